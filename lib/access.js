@@ -0,0 +1,288 @@
+/**
+ * Access control
+ *
+ * Roles come from the records themselves, per ship:
+ *
+ *   admin      listed in ADMIN_ADDRESSES
+ *   captain    created the ship
+ *   reviewer   sits on the ship's committee
+ *   applicant  has an application on the ship that isn't withdrawn
+ *   funder     has funded the ship
+ *
+ * Whether an address may act at all is an access policy. The platform has
+ * one (ACCESS_POLICY) and a ship can set its own, which then applies to
+ * every signed request about that ship.
+ *
+ *   { type: 'open' }
+ *   { type: 'allowlist', list }             a local list that admins manage
+ *   { type: 'erc20', token, minBalance }    minBalance in whole tokens
+ *   { type: 'erc721', token, minBalance }   number of NFTs held (default 1)
+ *   { type: 'remote', url }                 JSON array of addresses (or { address });
+ *                                           the server decides which hosts captains may use,
+ *                                           and ./urls.js keeps every fetch on public addresses
+ *   { type: 'any', policies }               passes when any listed policy does
+ *
+ * Any policy can carry a `message` shown on denial. Failure is explicit:
+ * when a provider can't answer (RPC error, remote list unreachable with no
+ * recent copy) the policy's `failMode` decides: 'closed' (the default)
+ * refuses with AccessUnavailableError, 'open' lets the request through.
+ */
+
+const { ethers } = require('ethers');
+const { cacheSet } = require('./cache');
+const { UrlError, parseOutboundUrl, checkOutboundUrl } = require('./urls');
+
+const ROLES = ['admin', 'captain', 'reviewer', 'applicant', 'funder'];
+const POLICY_TYPES = ['open', 'allowlist', 'erc20', 'erc721', 'remote', 'any'];
+const FAIL_MODES = ['closed', 'open'];
+const MAX_ANY_POLICIES = 10;
+const MAX_ALLOWLIST_SIZE = 10000;
+const ALLOWLIST_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const REMOTE_TTL = 5 * 60 * 1000;
+const REMOTE_STALE_TTL = 24 * 60 * 60 * 1000; // how long the last good copy of a remote list is trusted while it's down
+const REMOTE_TIMEOUT = 10000;
+const BALANCE_TTL = 60 * 1000;
+// Cache sizes; the least recently stored entries go first
+const MAX_REMOTE_LISTS = 100;
+const MAX_BALANCES = 10000;
+const MAX_TOKENS = 1000;
+
+const TOKEN_ABI = [
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
+class AccessError extends Error {}
+class AccessUnavailableError extends Error {}
+
+function parseAllowlistName(input) {
+  const name = String(input ?? '');
+  if (!ALLOWLIST_NAME.test(name)) {
+    throw new AccessError('Allowlist names are 1-64 lowercase letters, digits, - or _');
+  }
+  return name;
+}
+
+function parseAddressList(input, field = 'addresses') {
+  if (!Array.isArray(input)) throw new AccessError(`${field} must be an array of addresses`);
+  if (input.length > MAX_ALLOWLIST_SIZE) throw new AccessError(`${field}: at most ${MAX_ALLOWLIST_SIZE} addresses`);
+  const invalid = input.filter(a => !ethers.isAddress(a));
+  if (invalid.length > 0) throw new AccessError(`${field}: not addresses: ${invalid.slice(0, 5).join(', ')}`);
+  return Array.from(new Set(input.map(a => a.toLowerCase())));
+}
+
+function parseRemoteUrl(input, allowLocal) {
+  try {
+    return parseOutboundUrl(input, { allowLocal, field: 'remote policy url' });
+  } catch (err) {
+    if (err instanceof UrlError) throw new AccessError(err.message);
+    throw err;
+  }
+}
+
+function parseToken(input, type) {
+  if (!ethers.isAddress(input)) throw new AccessError(`${type} policy needs a token address`);
+  return input.toLowerCase();
+}
+
+// Validate and normalise a policy; allowlist names and the hosts of remote
+// lists are checked by the caller. allowLocal: see ./urls.js
+function parsePolicy(input, { allowLocal = false, nested = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AccessError(`access policy must be an object with a type (${POLICY_TYPES.join(', ')})`);
+  }
+  if (!POLICY_TYPES.includes(input.type)) {
+    throw new AccessError(`access policy type must be one of: ${POLICY_TYPES.join(', ')}`);
+  }
+
+  const policy = { type: input.type };
+  switch (input.type) {
+    case 'open':
+      break;
+    case 'allowlist':
+      policy.list = parseAllowlistName(input.list);
+      break;
+    case 'erc20': {
+      policy.token = parseToken(input.token, 'erc20');
+      const minBalance = String(input.minBalance ?? '');
+      if (!/^\d+(\.\d+)?$/.test(minBalance) || Number(minBalance) <= 0) {
+        throw new AccessError('erc20 policy minBalance must be a positive amount in whole tokens');
+      }
+      policy.minBalance = minBalance;
+      break;
+    }
+    case 'erc721': {
+      policy.token = parseToken(input.token, 'erc721');
+      const minBalance = Number(input.minBalance ?? 1);
+      if (!Number.isSafeInteger(minBalance) || minBalance < 1) {
+        throw new AccessError('erc721 policy minBalance must be a whole number of tokens');
+      }
+      policy.minBalance = minBalance;
+      break;
+    }
+    case 'remote':
+      policy.url = parseRemoteUrl(input.url, allowLocal);
+      break;
+    case 'any':
+      if (nested) throw new AccessError('"any" policies cannot be nested');
+      if (!Array.isArray(input.policies) || input.policies.length === 0 || input.policies.length > MAX_ANY_POLICIES) {
+        throw new AccessError(`"any" policy needs 1-${MAX_ANY_POLICIES} policies`);
+      }
+      policy.policies = input.policies.map(p => parsePolicy(p, { allowLocal, nested: true }));
+      break;
+  }
+
+  if (!nested) {
+    const failMode = input.failMode ?? 'closed';
+    if (!FAIL_MODES.includes(failMode)) throw new AccessError(`failMode must be one of: ${FAIL_MODES.join(', ')}`);
+    policy.failMode = failMode;
+  }
+  if (input.message !== undefined) {
+    if (typeof input.message !== 'string' || input.message.length > 280) {
+      throw new AccessError('message must be text of at most 280 characters');
+    }
+    policy.message = input.message;
+  }
+  return policy;
+}
+
+// Allowlist names a policy depends on
+function policyLists(policy) {
+  if (!policy) return [];
+  if (policy.type === 'allowlist') return [policy.list];
+  if (policy.type === 'any') return policy.policies.flatMap(policyLists);
+  return [];
+}
+
+// URLs of the remote lists a policy fetches
+function policyUrls(policy) {
+  if (!policy) return [];
+  if (policy.type === 'remote') return [policy.url];
+  if (policy.type === 'any') return policy.policies.flatMap(policyUrls);
+  return [];
+}
+
+function createAccessControl({ allowlists, getProvider, allowLocalUrls = false, fetchImpl = (...args) => fetch(...args), lookup }) {
+  const remoteCache = new Map();
+  const balanceCache = new Map();
+  const decimalsCache = new Map();
+
+  async function remoteList(url) {
+    const hit = remoteCache.get(url);
+    if (hit && Date.now() - hit.fetchedAt < REMOTE_TTL) return hit.addresses;
+    try {
+      await checkOutboundUrl(url, { allowLocal: allowLocalUrls, field: 'remote policy url', lookup });
+      const res = await fetchImpl(url, { signal: AbortSignal.timeout(REMOTE_TIMEOUT) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (!Array.isArray(data)) throw new Error('expected a JSON array');
+      const addresses = new Set(data.map(e => String(e?.address || e).toLowerCase()));
+      cacheSet(remoteCache, url, { addresses, fetchedAt: Date.now() }, MAX_REMOTE_LISTS);
+      return addresses;
+    } catch (err) {
+      console.error(`[ACCESS] ${url}: ${err.message}`);
+      if (hit && Date.now() - hit.fetchedAt < REMOTE_STALE_TTL) return hit.addresses;
+      throw new AccessUnavailableError(`Access list ${url} is unavailable`);
+    }
+  }
+
+  async function tokenBalance(token, address) {
+    const key = `${token}:${address}`;
+    const hit = balanceCache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.balance;
+    try {
+      const balance = await new ethers.Contract(token, TOKEN_ABI, getProvider()).balanceOf(address);
+      cacheSet(balanceCache, key, { balance, expires: Date.now() + BALANCE_TTL }, MAX_BALANCES);
+      return balance;
+    } catch (err) {
+      console.error(`[ACCESS] balanceOf ${token}: ${err.shortMessage || err.message}`);
+      throw new AccessUnavailableError(`Could not read token balances from ${token}`);
+    }
+  }
+
+  async function tokenDecimals(token) {
+    if (!decimalsCache.has(token)) {
+      try {
+        cacheSet(decimalsCache, token, Number(await new ethers.Contract(token, TOKEN_ABI, getProvider()).decimals()), MAX_TOKENS);
+      } catch (err) {
+        throw new AccessUnavailableError(`Could not read decimals of ${token}`);
+      }
+    }
+    return decimalsCache.get(token);
+  }
+
+  // { allowed, reason } without failMode; throws AccessUnavailableError
+  async function evaluate(policy, address) {
+    switch (policy.type) {
+      case 'open':
+        return { allowed: true };
+      case 'allowlist':
+        return allowlists.get(policy.list)?.addresses.includes(address)
+          ? { allowed: true }
+          : { allowed: false, reason: `Not on the ${policy.list} allowlist` };
+      case 'erc20': {
+        const minimum = ethers.parseUnits(policy.minBalance, await tokenDecimals(policy.token));
+        return (await tokenBalance(policy.token, address)) >= minimum
+          ? { allowed: true }
+          : { allowed: false, reason: `Hold at least ${policy.minBalance} of token ${policy.token}` };
+      }
+      case 'erc721':
+        return (await tokenBalance(policy.token, address)) >= BigInt(policy.minBalance)
+          ? { allowed: true }
+          : { allowed: false, reason: `Hold at least ${policy.minBalance} NFT(s) from ${policy.token}` };
+      case 'remote':
+        return (await remoteList(policy.url)).has(address)
+          ? { allowed: true }
+          : { allowed: false, reason: 'Not on the access list' };
+      case 'any': {
+        const reasons = [];
+        let unavailable = null;
+        for (const option of policy.policies) {
+          try {
+            const result = await evaluate(option, address);
+            if (result.allowed) return result;
+            reasons.push(option.message || result.reason);
+          } catch (err) {
+            if (!(err instanceof AccessUnavailableError)) throw err;
+            unavailable = err;
+          }
+        }
+        if (unavailable) throw unavailable;
+        return { allowed: false, reason: reasons.join('; or ') };
+      }
+      default:
+        throw new AccessError(`Unknown policy type "${policy.type}"`);
+    }
+  }
+
+  // The decision for one address, with the policy's failMode applied
+  async function check(policy, address) {
+    try {
+      const result = await evaluate(policy, address);
+      return result.allowed ? result : { allowed: false, reason: policy.message || result.reason };
+    } catch (err) {
+      if (!(err instanceof AccessUnavailableError) || policy.failMode !== 'open') throw err;
+      console.error(`[ACCESS] ${err.message}; failing open for ${address.slice(0, 10)}...`);
+      return { allowed: true, reason: `${err.message}; the policy fails open` };
+    }
+  }
+
+  return { check };
+}
+
+module.exports = {
+  AccessError,
+  AccessUnavailableError,
+  ROLES,
+  POLICY_TYPES,
+  FAIL_MODES,
+  MAX_ALLOWLIST_SIZE,
+  MAX_REMOTE_LISTS,
+  parsePolicy,
+  parseAllowlistName,
+  parseAddressList,
+  policyLists,
+  policyUrls,
+  createAccessControl
+};
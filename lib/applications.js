@@ -0,0 +1,146 @@
+/**
+ * Applications and application forms
+ *
+ * Applications move through:
+ *
+ *   pending           - submitted, waiting for the captain
+ *   changes_requested - captain asked for edits; the applicant's next edit
+ *                       puts it back to pending
+ *   approved          - accepted (and allocated, on manual ships)
+ *   rejected          - declined, with an optional reason
+ *   withdrawn         - pulled by the applicant
+ *
+ * A ship can define its own questions (`form`) on creation; answers are
+ * checked against that definition on apply and on every edit.
+ */
+
+const APPLICATION_STATUSES = ['pending', 'changes_requested', 'approved', 'rejected', 'withdrawn'];
+
+// Fields an applicant can change; previous values are kept as versions
+const EDITABLE_FIELDS = ['projectName', 'description', 'links', 'requestAmount', 'answers'];
+
+const QUESTION_TYPES = ['text', 'url', 'number', 'boolean', 'select', 'multiselect'];
+const MAX_QUESTIONS = 30;
+const DEFAULT_MAX_LENGTH = 2000;
+
+class ApplicationError extends Error {}
+
+// Ids for form questions and rubric criteria derived from their labels
+function slug(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Normalise a ship's form definition. A bare string is a required text question.
+function parseForm(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new ApplicationError('form must be an array of questions');
+  if (input.length > MAX_QUESTIONS) throw new ApplicationError(`form can have at most ${MAX_QUESTIONS} questions`);
+
+  const ids = new Set();
+  return input.map((q, i) => {
+    if (typeof q === 'string') q = { label: q };
+    if (!q?.label) throw new ApplicationError(`form[${i}]: label required`);
+
+    const id = q.id ? String(q.id) : slug(q.label);
+    if (!id) throw new ApplicationError(`form[${i}]: id required`);
+    if (ids.has(id)) throw new ApplicationError(`form[${i}]: duplicate question id "${id}"`);
+    ids.add(id);
+
+    const type = q.type || 'text';
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new ApplicationError(`form[${i}]: type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    const question = { id, label: String(q.label), type, required: q.required !== false };
+    if (type === 'select' || type === 'multiselect') {
+      if (!Array.isArray(q.options) || q.options.length === 0) {
+        throw new ApplicationError(`form[${i}]: options required for ${type}`);
+      }
+      question.options = q.options.map(String);
+    }
+    if (type === 'text') {
+      question.maxLength = Number(q.maxLength) > 0 ? Math.min(Number(q.maxLength), DEFAULT_MAX_LENGTH) : DEFAULT_MAX_LENGTH;
+    }
+    return question;
+  });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Check answers against the form; returns only the answers to known questions.
+function validateAnswers(form, input) {
+  if (input !== undefined && (typeof input !== 'object' || Array.isArray(input) || input === null)) {
+    throw new ApplicationError('answers must be an object keyed by question id');
+  }
+  const answers = input || {};
+  const errors = [];
+  const result = {};
+
+  for (const q of form) {
+    const value = answers[q.id];
+    if (isBlank(value)) {
+      if (q.required) errors.push(`${q.id}: required`);
+      continue;
+    }
+
+    switch (q.type) {
+      case 'text':
+        if (typeof value !== 'string') errors.push(`${q.id}: must be text`);
+        else if (value.length > q.maxLength) errors.push(`${q.id}: at most ${q.maxLength} characters`);
+        else result[q.id] = value;
+        break;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value)) errors.push(`${q.id}: must be an http(s) URL`);
+        else result[q.id] = value;
+        break;
+      case 'number':
+        if (!Number.isFinite(Number(value)) || typeof value === 'boolean') errors.push(`${q.id}: must be a number`);
+        else result[q.id] = Number(value);
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') errors.push(`${q.id}: must be true or false`);
+        else result[q.id] = value;
+        break;
+      case 'select':
+        if (!q.options.includes(value)) errors.push(`${q.id}: must be one of ${q.options.join(', ')}`);
+        else result[q.id] = value;
+        break;
+      case 'multiselect':
+        if (!Array.isArray(value) || !value.every(v => q.options.includes(v))) {
+          errors.push(`${q.id}: must be a list drawn from ${q.options.join(', ')}`);
+        } else {
+          result[q.id] = Array.from(new Set(value));
+        }
+        break;
+    }
+  }
+
+  const unknown = Object.keys(answers).filter(id => !form.some(q => q.id === id));
+  if (unknown.length > 0) errors.push(`unknown questions: ${unknown.join(', ')}`);
+
+  if (errors.length > 0) {
+    const err = new ApplicationError('Invalid answers');
+    err.details = errors;
+    throw err;
+  }
+  return result;
+}
+
+// The editable part of an application, as stored in its version history
+function snapshot(application) {
+  const fields = Object.fromEntries(EDITABLE_FIELDS.map(f => [f, application[f]]));
+  return { version: application.version, ...fields, updatedAt: application.updatedAt || application.createdAt };
+}
+
+module.exports = {
+  ApplicationError,
+  APPLICATION_STATUSES,
+  EDITABLE_FIELDS,
+  QUESTION_TYPES,
+  parseForm,
+  validateAnswers,
+  snapshot,
+  slug
+};
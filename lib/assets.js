@@ -0,0 +1,111 @@
+/**
+ * Budget assets
+ *
+ * A ship's budget is held either in native ETH or in a single ERC-20 token
+ * (e.g. USDC on Base). Every amount is stored as a base-unit string and
+ * parsed/formatted with the asset's decimals.
+ */
+
+const { ethers } = require('ethers');
+
+const NATIVE_ASSET = { type: 'native', address: null, symbol: 'ETH', decimals: 18 };
+
+// Shorthands accepted in place of a token address (Base mainnet)
+const KNOWN_TOKENS = {
+  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+};
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+class AssetError extends Error {}
+
+// 'ETH' (or nothing) -> native; a symbol from KNOWN_TOKENS or an address -> ERC-20.
+async function resolveAsset(input, provider) {
+  if (!input || String(input).toUpperCase() === 'ETH') return { ...NATIVE_ASSET };
+
+  const address = KNOWN_TOKENS[String(input).toUpperCase()] || input;
+  if (!ethers.isAddress(address)) {
+    throw new AssetError(`Unknown asset "${input}" (use ETH, ${Object.keys(KNOWN_TOKENS).join(', ')} or a token address)`);
+  }
+
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  try {
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return { type: 'erc20', address: address.toLowerCase(), symbol, decimals: Number(decimals) };
+  } catch (err) {
+    throw new AssetError(`${address} does not look like an ERC-20 token: ${err.shortMessage || err.message}`);
+  }
+}
+
+function formatAmount(units, asset = NATIVE_ASSET) {
+  return parseFloat(ethers.formatUnits(units.toString(), asset.decimals)).toFixed(6) + ' ' + asset.symbol;
+}
+
+function parseAmount(value, asset = NATIVE_ASSET) {
+  return ethers.parseUnits(String(value), asset.decimals);
+}
+
+// How much a confirmed tx moved into the treasury in this asset, and from whom.
+function fundedAmount(tx, receipt, asset, treasury) {
+  const treasuryLower = treasury.toLowerCase();
+
+  if (asset.type === 'native') {
+    if (tx.to?.toLowerCase() !== treasuryLower) {
+      throw new AssetError('Not sent to treasury');
+    }
+    return { amount: tx.value, from: tx.from.toLowerCase() };
+  }
+
+  let amount = 0n;
+  let from = null;
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== asset.address) continue;
+    let parsed;
+    try {
+      parsed = erc20.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (parsed?.name !== 'Transfer' || parsed.args.to.toLowerCase() !== treasuryLower) continue;
+    amount += parsed.args.value;
+    from = from || parsed.args.from.toLowerCase();
+  }
+
+  if (amount === 0n) {
+    throw new AssetError(`No ${asset.symbol} Transfer to treasury in this transaction`);
+  }
+  return { amount, from };
+}
+
+async function balanceOf(provider, asset, address) {
+  if (!asset || asset.type === 'native' || !asset.address) return provider.getBalance(address);
+  return new ethers.Contract(asset.address, ERC20_ABI, provider).balanceOf(address);
+}
+
+// Transaction fields that move `amount` of the asset to `to`.
+function transferRequest(asset, to, amount) {
+  if (!asset || asset.type === 'native') return { to, value: BigInt(amount) };
+  return { to: asset.address, value: 0n, data: erc20.encodeFunctionData('transfer', [to, BigInt(amount)]) };
+}
+
+module.exports = {
+  AssetError,
+  NATIVE_ASSET,
+  KNOWN_TOKENS,
+  ERC20_ABI,
+  resolveAsset,
+  formatAmount,
+  parseAmount,
+  fundedAmount,
+  balanceOf,
+  transferRequest
+};
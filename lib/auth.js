@@ -0,0 +1,132 @@
+/**
+ * Signed-action authentication (EIP-712)
+ *
+ * Every mutating route requires a typed-data signature over the action it
+ * performs. Clients send the action payload as usual plus an `auth` object:
+ *
+ *   { ...payload, auth: { signature, nonce, expiry } }
+ *
+ * The signed Action binds the method and path, the canonical JSON of the
+ * payload (keys sorted, `auth` removed), a client-chosen nonce and an expiry
+ * in unix seconds. The recovered signer becomes `req.actor`; body fields
+ * naming an address are never trusted for authorization.
+ *
+ * Reads that are private to their signer (GET has no body) send the same
+ * fields as X-Auth-Signature, X-Auth-Nonce and X-Auth-Expiry headers and
+ * sign an empty payload, `{}`.
+ *
+ * Any key can sign, so a nonce is only stored once the route's access check
+ * calls admit(req); until then it is held in memory for the request, which
+ * still refuses a concurrent replay.
+ */
+
+const { ethers } = require('ethers');
+
+const AUTH_TYPES = {
+  Action: [
+    { name: 'action', type: 'string' },
+    { name: 'payload', type: 'string' },
+    { name: 'nonce', type: 'string' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+const MAX_SIGNATURE_TTL = 24 * 60 * 60; // seconds
+const NONCE_PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// JSON.stringify with object keys sorted at every level, so client and
+// server serialise the same payload to the same string.
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function actionFor(req) {
+  return `${req.method} ${req.originalUrl.split('?')[0]}`;
+}
+
+function authFor(req) {
+  if (req.body?.auth) return req.body.auth;
+  return { signature: req.get('X-Auth-Signature'), nonce: req.get('X-Auth-Nonce'), expiry: req.get('X-Auth-Expiry') };
+}
+
+function payloadFor(req) {
+  const { auth, ...payload } = req.body || {};
+  return canonicalJSON(payload);
+}
+
+function createAuth({ chainId, nonces }) {
+  const domain = { name: 'Grant Ships', version: '1', chainId: Number(chainId) };
+  const inFlight = new Set(); // nonce ids of requests not yet admitted or finished
+  let lastPrune = 0;
+
+  function pruneNonces(nowSec) {
+    if (Date.now() - lastPrune < NONCE_PRUNE_INTERVAL) return;
+    lastPrune = Date.now();
+    for (const entry of Array.from(nonces.values())) {
+      if (entry.expiry < nowSec) nonces.delete(entry.id);
+    }
+  }
+
+  function requireSignature() {
+    return (req, res, next) => {
+      const { signature, nonce, expiry } = authFor(req);
+      if (!signature || !nonce || !expiry) {
+        return res.status(401).json({
+          error: 'Signed auth required',
+          expected: { auth: { signature: '0x... (EIP-712 Action)', nonce: 'unique string', expiry: 'unix seconds' } }
+        });
+      }
+
+      const nowSec = Math.floor(Date.now() / 1000);
+      const expirySec = Number(expiry);
+      if (!Number.isSafeInteger(expirySec) || expirySec < nowSec) {
+        return res.status(401).json({ error: 'Signature expired' });
+      }
+      if (expirySec > nowSec + MAX_SIGNATURE_TTL) {
+        return res.status(401).json({ error: `Signature expiry too far in the future (max ${MAX_SIGNATURE_TTL}s)` });
+      }
+
+      const message = {
+        action: actionFor(req),
+        payload: payloadFor(req),
+        nonce: String(nonce),
+        expiry: expirySec
+      };
+
+      let signer;
+      try {
+        signer = ethers.verifyTypedData(domain, AUTH_TYPES, message, signature).toLowerCase();
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      const nonceId = `${signer}:${message.nonce}`;
+      if (nonces.has(nonceId) || inFlight.has(nonceId)) {
+        return res.status(401).json({ error: 'Nonce already used' });
+      }
+      inFlight.add(nonceId);
+      res.once('close', () => inFlight.delete(nonceId));
+
+      req.actor = signer;
+      req.signedNonce = { id: nonceId, signer, action: message.action, expiry: expirySec };
+      next();
+    };
+  }
+
+  // The route let the signer in: store the nonce so it can't be replayed
+  function admit(req) {
+    const nonce = req.signedNonce;
+    if (!nonce || nonces.has(nonce.id)) return;
+    nonces.set(nonce.id, { ...nonce, usedAt: Date.now() });
+    pruneNonces(Math.floor(Date.now() / 1000));
+  }
+
+  return { domain, types: AUTH_TYPES, requireSignature, admit };
+}
+
+module.exports = { createAuth, canonicalJSON, AUTH_TYPES };
@@ -0,0 +1,15 @@
+/**
+ * Bounded caches
+ *
+ * Caches keyed by what clients send (names, URLs, addresses) are plain
+ * Maps capped with cacheSet(): storing a key moves it to the end, and the
+ * least recently stored entries are dropped once the cap is passed.
+ */
+
+function cacheSet(cache, key, value, max) {
+  cache.delete(key);
+  cache.set(key, value);
+  while (cache.size > max) cache.delete(cache.keys().next().value);
+}
+
+module.exports = { cacheSet };
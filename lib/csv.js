@@ -0,0 +1,89 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ *
+ * Fields are comma separated; fields containing commas, quotes or line
+ * breaks are quoted, with quotes doubled. Exports open in spreadsheets, so
+ * text cells that start with a formula character are prefixed with a
+ * single quote to keep them from being evaluated.
+ */
+
+class CsvError extends Error {}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is a list of [header, value(row)] pairs
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => escapeCell(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, value]) => escapeCell(value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Rows as objects keyed by the header line; blank lines are skipped
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else field += char;
+      i += 1;
+      continue;
+    }
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+  if (quoted) throw new CsvError('Unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonBlank = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonBlank.length === 0) throw new CsvError('CSV is empty');
+
+  const headers = nonBlank[0].map(h => h.trim());
+  if (headers.some(h => h === '')) throw new CsvError('Every column needs a header');
+  if (new Set(headers).size !== headers.length) throw new CsvError('Column headers must be unique');
+
+  return nonBlank.slice(1).map((cells, index) => {
+    if (cells.length > headers.length) {
+      throw new CsvError(`Row ${index + 1} has ${cells.length} fields but there are ${headers.length} columns`);
+    }
+    return Object.fromEntries(headers.map((h, col) => [h, (cells[col] ?? '').trim()]));
+  });
+}
+
+module.exports = { CsvError, toCsv, parseCsv };
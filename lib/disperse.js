@@ -0,0 +1,99 @@
+/**
+ * Batched payouts through a Disperse-style contract
+ *
+ * disperseEther / disperseToken pay every recipient in one transaction, so
+ * a ship's payouts share one gas overhead and succeed or fail together.
+ * Token batches need the treasury to approve the contract first.
+ *
+ * Any chain works: for a local Anvil/Hardhat node set BASE_RPC, CHAIN_ID and
+ * DISPERSE_ADDRESS to the node and a locally deployed Disperse contract.
+ */
+
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('./assets');
+
+// Disperse.app is deployed at the same address on Base and most EVM chains
+const DEFAULT_DISPERSE_ADDRESS = '0xD152f549545093347A162Dce210e7293f1452150';
+
+const DISPERSE_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+];
+const disperse = new ethers.Interface(DISPERSE_ABI);
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+function batchTotal(payouts) {
+  return payouts.reduce((sum, p) => sum + BigInt(p.amount), 0n);
+}
+
+// One transaction paying every payout in `payouts` (all in the same asset).
+function batchRequest(disperseAddress, asset, payouts) {
+  const recipients = payouts.map(p => p.to);
+  const values = payouts.map(p => BigInt(p.amount));
+
+  if (!asset || asset.type === 'native') {
+    return {
+      to: disperseAddress,
+      value: batchTotal(payouts),
+      data: disperse.encodeFunctionData('disperseEther', [recipients, values])
+    };
+  }
+  return {
+    to: disperseAddress,
+    value: 0n,
+    data: disperse.encodeFunctionData('disperseToken', [asset.address, recipients, values])
+  };
+}
+
+async function allowanceShortfall(provider, owner, asset, spender, amount) {
+  if (!asset || asset.type === 'native') return 0n;
+  const token = new ethers.Contract(asset.address, ERC20_ABI, provider);
+  const allowance = await token.allowance(owner, spender);
+  return allowance >= amount ? 0n : amount - allowance;
+}
+
+// Approve the disperse contract for `amount` and wait for it to be mined.
+async function ensureAllowance(wallet, asset, spender, amount, confirmations = 1) {
+  const shortfall = await allowanceShortfall(wallet.provider, wallet.address, asset, spender, amount);
+  if (shortfall === 0n) return null;
+
+  const tx = await wallet.sendTransaction({
+    to: asset.address,
+    data: erc20.encodeFunctionData('approve', [spender, amount])
+  });
+  const receipt = await tx.wait(confirmations);
+  if (receipt?.status !== 1) throw new Error(`Approval ${tx.hash} failed`);
+  return tx.hash;
+}
+
+// Gas estimate for a batch without sending anything. Token batches that
+// still need approval cannot be simulated until the allowance exists.
+async function estimateBatch(provider, from, disperseAddress, asset, payouts) {
+  const total = batchTotal(payouts);
+  const shortfall = await allowanceShortfall(provider, from, asset, disperseAddress, total);
+  const estimate = { approvalRequired: shortfall > 0n, approvalGas: null, batchGas: null, error: null };
+
+  try {
+    if (shortfall > 0n) {
+      estimate.approvalGas = await provider.estimateGas({
+        from,
+        to: asset.address,
+        data: erc20.encodeFunctionData('approve', [disperseAddress, total])
+      });
+    } else {
+      estimate.batchGas = await provider.estimateGas({ from, ...batchRequest(disperseAddress, asset, payouts) });
+    }
+  } catch (err) {
+    estimate.error = err.shortMessage || err.message;
+  }
+  return estimate;
+}
+
+module.exports = {
+  DEFAULT_DISPERSE_ADDRESS,
+  DISPERSE_ABI,
+  batchRequest,
+  batchTotal,
+  ensureAllowance,
+  estimateBatch
+};
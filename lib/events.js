@@ -0,0 +1,73 @@
+/**
+ * Event bus
+ *
+ * Route handlers publish typed events here instead of (well, as well as)
+ * logging them. Webhooks and the GET /events stream subscribe to the bus.
+ * Every event has the same envelope:
+ *
+ *   { id, type, shipId, data, createdAt }
+ *
+ * `id` increases monotonically within a process, so SSE clients can resume
+ * with Last-Event-ID from the recent-events buffer.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'ship.created',
+  'ship.funded',
+  'ship.phase_changed',
+  'application.submitted',
+  'allocation.made',
+  'payout.confirmed',
+  'payout.failed'
+];
+
+const RECENT_LIMIT = 500;
+
+function createEventBus({ recentLimit = RECENT_LIMIT } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one per open SSE connection
+  const recent = [];
+  let sequence = 0;
+
+  function publish(type, { shipId = null, data = {} } = {}) {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+
+    const event = { id: String(++sequence), type, shipId, data, createdAt: Date.now() };
+    recent.push(event);
+    if (recent.length > recentLimit) recent.shift();
+
+    // A failing subscriber must never break the request that published
+    for (const listener of emitter.listeners('event')) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`[EVENTS] ${type} subscriber failed: ${err.message}`);
+      }
+    }
+    return event;
+  }
+
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  // Buffered events after `lastId` (all buffered events when omitted)
+  function since(lastId) {
+    if (!lastId) return recent.slice();
+    return recent.filter(e => Number(e.id) > Number(lastId));
+  }
+
+  return { publish, subscribe, since };
+}
+
+// ?shipId= and ?types=a,b filters shared by webhooks and SSE
+function matchesFilter(event, { shipId, types } = {}) {
+  if (shipId && event.shipId !== shipId) return false;
+  if (types && types.length > 0 && !types.includes('*') && !types.includes(event.type)) return false;
+  return true;
+}
+
+module.exports = { EVENT_TYPES, createEventBus, matchesFilter };
@@ -0,0 +1,246 @@
+/**
+ * Round imports
+ *
+ * Applications, or whole rounds run elsewhere, can be loaded from CSV or
+ * JSON. Column names are matched loosely (case, spaces and punctuation are
+ * ignored) and Gitcoin Grants Stack export columns are accepted as
+ * aliases, so `payoutAddress`, `Payout Address` and `recipientId` all mean
+ * the applicant.
+ *
+ * Every row is validated on its own and all problems are reported with the
+ * row number (1 = first data row). Callers write nothing unless every row
+ * is valid.
+ */
+
+const { ethers } = require('ethers');
+const { parseCsv } = require('./csv');
+const { ApplicationError, validateAnswers } = require('./applications');
+const { parseAmount } = require('./assets');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_PROJECT_NAME = 200;
+
+const FIELD_ALIASES = {
+  applicant: ['applicant', 'address', 'payoutaddress', 'recipient', 'recipientaddress', 'recipientid', 'wallet', 'walletaddress'],
+  projectName: ['projectname', 'project', 'title', 'name'],
+  description: ['description', 'projectdescription', 'summary'],
+  requestAmount: ['requestamount', 'requestedamount', 'amountrequested', 'request'],
+  status: ['status', 'applicationstatus'],
+  allocation: ['allocation', 'amount', 'matched', 'matchamount', 'matchamountintoken', 'granted'],
+  payoutTxHash: ['payouttxhash', 'txhash', 'transactionhash', 'payouttx'],
+  externalId: ['externalid', 'applicationid', 'id'],
+  links: ['links', 'website', 'projectwebsite', 'github', 'projectgithub', 'usergithub', 'twitter', 'projecttwitter'],
+  answers: ['answers']
+};
+
+// Gitcoin uses upper-case statuses and a few extra review states
+const STATUS_ALIASES = {
+  pending: 'pending',
+  inreview: 'pending',
+  appeal: 'pending',
+  approved: 'approved',
+  accepted: 'approved',
+  rejected: 'rejected',
+  declined: 'rejected',
+  withdrawn: 'withdrawn',
+  cancelled: 'withdrawn',
+  canceled: 'withdrawn'
+};
+
+class ImportError extends Error {}
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_KEY = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field]))
+);
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Rows (and an optional round definition) from the request body
+function readImport(format, data) {
+  if (!IMPORT_FORMATS.includes(format)) throw new ImportError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+
+  let rows;
+  let ship = null;
+  if (format === 'csv') {
+    if (typeof data !== 'string') throw new ImportError('data must be the CSV text');
+    rows = parseCsv(data);
+  } else {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        throw new ImportError('data is not valid JSON');
+      }
+    }
+    if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+      ship = parsed.ship || null;
+      rows = parsed.applications;
+    } else {
+      rows = parsed;
+    }
+    if (!Array.isArray(rows)) throw new ImportError('data must be an array of applications or { ship, applications }');
+  }
+
+  if (rows.length === 0) throw new ImportError('Nothing to import');
+  if (rows.length > MAX_IMPORT_ROWS) throw new ImportError(`At most ${MAX_IMPORT_ROWS} rows per import`);
+  return { rows, ship };
+}
+
+// Sort a raw row's columns into known fields and everything else
+function mapColumns(raw) {
+  const fields = { links: [] };
+  const extra = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = FIELD_BY_KEY.get(normalizeKey(key));
+    if (field === 'links') {
+      const values = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/);
+      fields.links.push(...values.map(v => String(v).trim()).filter(Boolean));
+    } else if (field && fields[field] === undefined) {
+      fields[field] = value;
+    } else if (!isBlank(value)) {
+      extra[key] = value;
+    }
+  }
+  return { fields, extra };
+}
+
+// CSV cells are text; turn them into what the form question expects
+function coerceAnswer(question, value) {
+  if (typeof value !== 'string') return value;
+  switch (question.type) {
+    case 'number':
+      return value.trim() === '' ? value : Number(value);
+    case 'boolean': {
+      const lower = value.trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(lower)) return true;
+      if (['false', 'no', '0'].includes(lower)) return false;
+      return value;
+    }
+    case 'multiselect':
+      return value.split(/[;|]/).map(v => v.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Answers from an `answers` object, or from columns named after the form's questions
+function answersFrom(form, fields, extra) {
+  const source = fields.answers && typeof fields.answers === 'object' ? fields.answers : {};
+  const byKey = new Map(Object.entries(extra).map(([key, value]) => [normalizeKey(key), [key, value]]));
+  const answers = { ...source };
+  for (const q of form) {
+    const column = byKey.get(normalizeKey(q.id));
+    if (column) {
+      delete extra[column[0]];
+      answers[q.id] = answers[q.id] ?? column[1];
+    }
+    if (answers[q.id] !== undefined) answers[q.id] = coerceAnswer(q, answers[q.id]);
+  }
+  return answers;
+}
+
+function amountFrom(value, asset, baseUnits, name, errors) {
+  if (isBlank(value)) return 0n;
+  try {
+    const amount = baseUnits ? BigInt(String(value).trim()) : parseAmount(String(value).trim(), asset);
+    if (amount < 0n) throw new Error();
+    return amount;
+  } catch (e) {
+    errors.push(`${name}: must be ${baseUnits ? 'an integer amount in base units' : `an amount in ${asset.symbol}`}`);
+    return 0n;
+  }
+}
+
+/**
+ * Validate rows against the target ship.
+ *
+ *   historical  the rows describe a finished round: allocations and payout
+ *               tx hashes are kept as a record, and form answers aren't checked
+ *   taken       applicants that already have an application on the ship
+ *
+ * Returns { valid: [{ row, data }], errors: [{ row, errors }] }.
+ */
+function validateRows(rows, { asset, form = [], historical = false, baseUnits = false, taken = new Set() }) {
+  const valid = [];
+  const errors = [];
+  const seen = new Set(taken);
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, errors: ['must be an object'] });
+      return;
+    }
+    const { fields, extra } = mapColumns(raw);
+    const problems = [];
+
+    const applicant = String(fields.applicant ?? '').trim();
+    if (!ethers.isAddress(applicant)) problems.push('applicant: must be an address');
+    else if (seen.has(applicant.toLowerCase())) problems.push('applicant: already has an application on this ship');
+    else seen.add(applicant.toLowerCase());
+
+    const projectName = String(fields.projectName ?? '').trim();
+    if (!projectName) problems.push('projectName: required');
+    else if (projectName.length > MAX_PROJECT_NAME) problems.push(`projectName: at most ${MAX_PROJECT_NAME} characters`);
+
+    const status = isBlank(fields.status) ? 'pending' : STATUS_ALIASES[normalizeKey(fields.status)];
+    if (!status) problems.push(`status: must be one of ${Array.from(new Set(Object.values(STATUS_ALIASES))).join(', ')}`);
+
+    const requestAmount = amountFrom(fields.requestAmount, asset, baseUnits, 'requestAmount', problems);
+    const allocation = amountFrom(fields.allocation, asset, baseUnits, 'allocation', problems);
+
+    const payoutTxHash = isBlank(fields.payoutTxHash) ? null : String(fields.payoutTxHash).trim();
+    if (payoutTxHash && !/^0x[0-9a-fA-F]{64}$/.test(payoutTxHash)) problems.push('payoutTxHash: must be a transaction hash');
+
+    if (!historical && (allocation > 0n || payoutTxHash)) {
+      problems.push('allocation and payoutTxHash can only be imported with a new round (ship), not into a running one');
+    }
+    if (allocation > 0n && status !== 'approved') problems.push('allocation: only approved applications can have one');
+
+    let answers = {};
+    if (!historical) {
+      try {
+        answers = validateAnswers(form, answersFrom(form, fields, extra));
+      } catch (err) {
+        if (!(err instanceof ApplicationError)) throw err;
+        problems.push(...(err.details || [err.message]));
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row, errors: problems });
+      return;
+    }
+    valid.push({
+      row,
+      data: {
+        applicant: applicant.toLowerCase(),
+        projectName,
+        description: isBlank(fields.description) ? '' : String(fields.description),
+        requestAmount,
+        status,
+        allocation,
+        payoutTxHash,
+        externalId: isBlank(fields.externalId) ? null : String(fields.externalId),
+        links: fields.links,
+        answers,
+        extra
+      }
+    });
+  });
+
+  return { valid, errors };
+}
+
+module.exports = {
+  ImportError,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  FIELD_ALIASES,
+  readImport,
+  validateRows
+};
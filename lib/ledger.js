@@ -0,0 +1,90 @@
+/**
+ * Double-entry treasury ledger
+ *
+ * Every movement of value is one entry that debits one account and credits
+ * another by the same amount, in one asset. Balances are debit-positive:
+ *
+ *   treasury               asset: what the treasury should hold on chain
+ *   ship:<id>:unallocated  owed to the ship, not yet allocated (negative)
+ *   ship:<id>:allocated    allocated to grantees, not yet paid (negative)
+ *   fees                   platform fees kept in the treasury (negative)
+ *   gas                    gas spent by the treasury (positive)
+ *
+ * Entry types and their legs:
+ *
+ *   funding      treasury              <- ship:unallocated
+ *   allocation   ship:unallocated      <- ship:allocated
+ *   deallocation ship:allocated        <- ship:unallocated
+ *   payout       ship:allocated        <- treasury
+ *   fee          ship:allocated        <- fees
+ *   refund       ship:unallocated      <- treasury
+ *   rollover     ship:unallocated      <- successor ship:unallocated
+ *   gas          gas                   <- treasury (always native)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const ENTRY_TYPES = ['funding', 'allocation', 'deallocation', 'payout', 'fee', 'refund', 'rollover', 'gas'];
+
+const accounts = {
+  TREASURY: 'treasury',
+  FEES: 'fees',
+  GAS: 'gas',
+  unallocated: shipId => `ship:${shipId}:unallocated`,
+  allocated: shipId => `ship:${shipId}:allocated`
+};
+
+function assetKey(asset) {
+  return asset?.address || 'native';
+}
+
+function createLedger(entries) {
+
+  function record({ shipId = null, type, asset, debit, credit, amount, ref = {} }) {
+    if (!ENTRY_TYPES.includes(type)) throw new Error(`Unknown ledger entry type "${type}"`);
+    const value = BigInt(amount);
+    if (value <= 0n) return null;
+
+    const entry = {
+      id: uuidv4(),
+      shipId,
+      type,
+      asset: { address: asset.address || null, symbol: asset.symbol, decimals: asset.decimals },
+      debit,
+      credit,
+      amount: value.toString(),
+      ref,
+      createdAt: Date.now()
+    };
+    entries.set(entry.id, entry);
+    return entry;
+  }
+
+  function list(filter = () => true) {
+    return Array.from(entries.values()).filter(filter).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // { [assetKey]: { asset, accounts: { [account]: bigint } } }
+  function balances(filter) {
+    const result = {};
+    for (const entry of list(filter)) {
+      const key = assetKey(entry.asset);
+      const bucket = result[key] || (result[key] = { asset: entry.asset, accounts: {} });
+      const amount = BigInt(entry.amount);
+      bucket.accounts[entry.debit] = (bucket.accounts[entry.debit] || 0n) + amount;
+      bucket.accounts[entry.credit] = (bucket.accounts[entry.credit] || 0n) - amount;
+    }
+    return result;
+  }
+
+  function hasEntry(predicate) {
+    for (const entry of entries.values()) {
+      if (predicate(entry)) return true;
+    }
+    return false;
+  }
+
+  return { record, list, balances, hasEntry };
+}
+
+module.exports = { createLedger, accounts, assetKey, ENTRY_TYPES };
@@ -0,0 +1,99 @@
+/**
+ * Ship lifecycle
+ *
+ *   draft -> open -> review -> [voting] -> allocation -> distributing -> completed
+ *
+ * and any phase before completed can be cancelled. The dated phases
+ * (open, review, voting, allocation) each have a start and end date in
+ * ship.schedule; when a phase's end date passes the ship moves on to the
+ * next one, whether or not anyone is making requests. Captains can also
+ * move a ship along early, which shifts the later phases but keeps their
+ * lengths.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PHASES = ['draft', 'open', 'review', 'voting', 'allocation', 'distributing', 'completed', 'cancelled'];
+
+const TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['review', 'cancelled'],
+  review: ['voting', 'allocation', 'cancelled'],
+  voting: ['allocation', 'cancelled'],
+  allocation: ['distributing', 'completed', 'cancelled'],
+  distributing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const DATED_PHASES = ['open', 'review', 'voting', 'allocation'];
+
+const DEFAULT_DAYS = { open: 30, review: 7, allocation: 14 };
+
+class LifecycleError extends Error {}
+
+// Back-to-back windows starting at `startDate`; voting only if it has days.
+function buildSchedule({ startDate, openDays, reviewDays, votingDays, allocationDays }) {
+  const days = {
+    open: openDays ?? DEFAULT_DAYS.open,
+    review: reviewDays ?? DEFAULT_DAYS.review,
+    voting: votingDays || 0,
+    allocation: allocationDays ?? DEFAULT_DAYS.allocation
+  };
+
+  for (const [phase, value] of Object.entries(days)) {
+    if (!(Number(value) >= 0)) throw new LifecycleError(`${phase} duration must be zero or more days`);
+  }
+  if (!(days.open > 0)) throw new LifecycleError('durationDays must be positive');
+
+  const schedule = {};
+  let cursor = startDate;
+  for (const phase of DATED_PHASES) {
+    if (phase === 'voting' && !days.voting) continue;
+    schedule[phase] = { startDate: cursor, endDate: cursor + Number(days[phase]) * DAY_MS };
+    cursor = schedule[phase].endDate;
+  }
+  return schedule;
+}
+
+// Start `phase` at `now` and shift every later dated phase after it.
+function reschedule(schedule, phase, now) {
+  let cursor = now;
+  for (const p of DATED_PHASES.slice(DATED_PHASES.indexOf(phase))) {
+    if (!schedule[p]) continue;
+    const length = schedule[p].endDate - schedule[p].startDate;
+    schedule[p] = { startDate: cursor, endDate: cursor + length };
+    cursor += length;
+  }
+}
+
+function canTransition(from, to) {
+  return !!TRANSITIONS[from]?.includes(to);
+}
+
+// The phase a dated phase hands over to when its window closes.
+function nextPhase(ship) {
+  const later = DATED_PHASES.slice(DATED_PHASES.indexOf(ship.status) + 1);
+  return later.find(p => ship.schedule[p]) || 'distributing';
+}
+
+// Where the schedule says the ship should move next by `now`, or null.
+function dueTransition(ship, now = Date.now()) {
+  if (ship.status === 'draft') {
+    return now >= ship.schedule.open.startDate ? 'open' : null;
+  }
+  if (!DATED_PHASES.includes(ship.status)) return null;
+  return now >= ship.schedule[ship.status].endDate ? nextPhase(ship) : null;
+}
+
+module.exports = {
+  PHASES,
+  TRANSITIONS,
+  DATED_PHASES,
+  LifecycleError,
+  buildSchedule,
+  reschedule,
+  canTransition,
+  nextPhase,
+  dueTransition
+};
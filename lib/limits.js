@@ -0,0 +1,108 @@
+/**
+ * Per-ship limits and spam heuristics
+ *
+ * Captains can tune these per ship (on creation or later); the ranges keep
+ * any one ship from opting out of protection entirely.
+ *
+ *   maxApplications            open applications (not withdrawn) on the ship
+ *   applicationsPerHour        new applications per hour, across the ship
+ *   applicationsPerAddress     applications one address may ever submit to
+ *                              the ship, withdrawn ones included
+ *   maxDescriptionLength       characters in an application description
+ *   maxLinks                   links on an application
+ *   distributeCooldownSeconds  wait between distribute/retry calls
+ *   duplicates                 what to do when an application repeats
+ *                              another's project name, URL or description:
+ *                              flag (kept, marked for the captain), reject
+ *                              or allow
+ */
+
+const DUPLICATE_MODES = ['flag', 'reject', 'allow'];
+
+const DEFAULT_SHIP_LIMITS = {
+  maxApplications: 500,
+  applicationsPerHour: 50,
+  applicationsPerAddress: 3,
+  maxDescriptionLength: 5000,
+  maxLinks: 10,
+  distributeCooldownSeconds: 60,
+  duplicates: 'flag'
+};
+
+const LIMIT_RANGES = {
+  maxApplications: [1, 10000],
+  applicationsPerHour: [1, 1000],
+  applicationsPerAddress: [1, 20],
+  maxDescriptionLength: [100, 5000],
+  maxLinks: [0, 10],
+  distributeCooldownSeconds: [0, 86400]
+};
+
+const MIN_DUPLICATE_DESCRIPTION = 80; // shorter descriptions repeat innocently
+
+class LimitError extends Error {}
+
+// Merge `input` over `current`, checking every value against its range
+function parseShipLimits(input, current = DEFAULT_SHIP_LIMITS) {
+  if (input === undefined) return { ...current };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new LimitError('limits must be an object');
+
+  const limits = { ...DEFAULT_SHIP_LIMITS, ...current };
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'duplicates') {
+      if (!DUPLICATE_MODES.includes(value)) throw new LimitError(`limits.duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`);
+      limits.duplicates = value;
+      continue;
+    }
+    const range = LIMIT_RANGES[key];
+    if (!range) throw new LimitError(`Unknown limit "${key}" (available: ${Object.keys(DEFAULT_SHIP_LIMITS).join(', ')})`);
+    if (!Number.isSafeInteger(value) || value < range[0] || value > range[1]) {
+      throw new LimitError(`limits.${key} must be a whole number from ${range[0]} to ${range[1]}`);
+    }
+    limits[key] = value;
+  }
+  return limits;
+}
+
+const normalizeName = name => String(name || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]/g, '');
+const normalizeText = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Scheme, www., query, fragment and trailing slashes don't make a URL different
+function normalizeUrl(link) {
+  return String(link || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+}
+
+// Signals that `candidate` repeats one of `others` (applications by other addresses)
+function duplicateSignals(candidate, others) {
+  const name = normalizeName(candidate.projectName);
+  const urls = new Set((candidate.links || []).map(normalizeUrl).filter(Boolean));
+  const description = normalizeText(candidate.description);
+  const signals = [];
+
+  for (const other of others) {
+    if (name && normalizeName(other.projectName) === name) {
+      signals.push({ type: 'duplicate_name', applicationId: other.id });
+    }
+    const shared = Array.from(new Set((other.links || []).map(normalizeUrl))).filter(url => urls.has(url));
+    if (shared.length > 0) {
+      signals.push({ type: 'duplicate_url', applicationId: other.id, urls: shared });
+    }
+    if (description.length >= MIN_DUPLICATE_DESCRIPTION && normalizeText(other.description) === description) {
+      signals.push({ type: 'duplicate_description', applicationId: other.id });
+    }
+  }
+  return signals;
+}
+
+module.exports = {
+  LimitError,
+  DUPLICATE_MODES,
+  DEFAULT_SHIP_LIMITS,
+  LIMIT_RANGES,
+  parseShipLimits,
+  duplicateSignals
+};
@@ -0,0 +1,60 @@
+/**
+ * Milestone plans
+ *
+ * A captain can split an allocation into milestones, each with its own
+ * tranche. Milestones move through:
+ *
+ *   pending   - waiting for the applicant to submit evidence
+ *   submitted - evidence in, waiting for the captain
+ *   approved  - tranche is eligible for distribution
+ *   rejected  - captain sent it back; the applicant can resubmit
+ *   paid      - tranche payout confirmed on chain
+ */
+
+const { parseAmount, formatAmount } = require('./assets');
+
+const MILESTONE_STATUSES = ['pending', 'submitted', 'approved', 'rejected', 'paid'];
+
+class MilestoneError extends Error {}
+
+// Validate [{ description, amount, dueDate }] against the allocation;
+// tranches must add up to exactly the allocated amount.
+function parseMilestonePlan(input, allocationAmount, asset) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new MilestoneError('milestones array required: [{ description, amount, dueDate }]');
+  }
+
+  const plan = input.map((m, i) => {
+    if (!m?.description) throw new MilestoneError(`milestones[${i}]: description required`);
+
+    let amount;
+    try {
+      amount = parseAmount(m.amount, asset);
+    } catch (e) {
+      throw new MilestoneError(`milestones[${i}]: invalid amount`);
+    }
+    if (amount <= 0n) throw new MilestoneError(`milestones[${i}]: amount must be positive`);
+
+    const dueDate = typeof m.dueDate === 'number' ? m.dueDate : Date.parse(m.dueDate);
+    if (!Number.isFinite(dueDate)) throw new MilestoneError(`milestones[${i}]: invalid dueDate`);
+
+    return { index: i, description: String(m.description), amount, dueDate };
+  });
+
+  const total = plan.reduce((sum, m) => sum + m.amount, 0n);
+  if (total !== BigInt(allocationAmount)) {
+    throw new MilestoneError(`Milestone amounts total ${formatAmount(total, asset)} but the allocation is ${formatAmount(allocationAmount, asset)}`);
+  }
+  return plan;
+}
+
+function parseEvidence(body) {
+  const text = body.evidence ? String(body.evidence) : '';
+  const links = Array.isArray(body.links) ? body.links.map(String) : [];
+  if (!text && links.length === 0) {
+    throw new MilestoneError('evidence (text) or links required');
+  }
+  return { text, links, submittedAt: Date.now() };
+}
+
+module.exports = { MilestoneError, MILESTONE_STATUSES, parseMilestonePlan, parseEvidence };
@@ -0,0 +1,100 @@
+/**
+ * ENS and Basename resolution
+ *
+ * ENS names come from an Ethereum mainnet RPC (ENS_RPC); Basenames come
+ * from the Base L2 resolver, using the ENSIP-19 reverse node
+ * `<addr>.80002105.reverse`. Either side is skipped when it isn't
+ * configured. Reverse records are only trusted when the name resolves
+ * forward to the same address.
+ *
+ * Lookups are cached (up to MAX_CACHED names and addresses, since clients
+ * choose what is looked up), and a resolver that errors yields null rather than
+ * failing the request that asked.
+ */
+
+const { ethers } = require('ethers');
+const { cacheSet } = require('./cache');
+
+const DEFAULT_BASENAME_RESOLVER = '0xC6d566A56A1aFf6508b41f6c90ff131615583BCD';
+const BASE_REVERSE_NAMESPACE = '80002105.reverse'; // coinType for chain 8453, per ENSIP-11
+const CACHE_TTL = 60 * 60 * 1000;
+const ERROR_TTL = 5 * 60 * 1000;
+const MAX_CACHED = 10000;
+
+const RESOLVER_ABI = [
+  'function name(bytes32 node) view returns (string)',
+  'function addr(bytes32 node) view returns (address)'
+];
+
+class NameError extends Error {}
+
+function createNameResolver({ ensRpc, basenameResolver, getBaseProvider }) {
+  const cache = new Map();
+  let ensProvider = null;
+
+  function ens() {
+    if (!ensRpc) return null;
+    if (!ensProvider) ensProvider = new ethers.JsonRpcProvider(ensRpc);
+    return ensProvider;
+  }
+
+  function basenames() {
+    return basenameResolver ? new ethers.Contract(basenameResolver, RESOLVER_ABI, getBaseProvider()) : null;
+  }
+
+  async function cached(key, lookup) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    let value = null;
+    let ttl = CACHE_TTL;
+    try {
+      value = await lookup();
+    } catch (err) {
+      console.error(`[NAMES] ${key}: ${err.shortMessage || err.message}`);
+      ttl = ERROR_TTL;
+    }
+    cacheSet(cache, key, { value: value || null, expires: Date.now() + ttl }, MAX_CACHED);
+    return value || null;
+  }
+
+  async function basenameFor(address) {
+    const resolver = basenames();
+    if (!resolver) return null;
+    const node = ethers.namehash(`${address.slice(2).toLowerCase()}.${BASE_REVERSE_NAMESPACE}`);
+    const name = await resolver.name(node);
+    if (!name) return null;
+    const forward = await resolver.addr(ethers.namehash(name));
+    return forward.toLowerCase() === address ? name : null;
+  }
+
+  // { ens, basename } for an address; each null when unset or not configured
+  async function namesFor(address) {
+    const addr = address.toLowerCase();
+    const [ensName, basename] = await Promise.all([
+      ens() ? cached(`ens:${addr}`, () => ens().lookupAddress(addr)) : null,
+      basenames() ? cached(`base:${addr}`, () => basenameFor(addr)) : null
+    ]);
+    return { ens: ensName, basename };
+  }
+
+  // Address for a name: *.base.eth through the Base resolver, anything else through ENS
+  async function resolveName(name) {
+    const lower = name.toLowerCase();
+    if (lower.endsWith('.base.eth')) {
+      if (!basenames()) throw new NameError('Basename resolution is not configured');
+      const address = await cached(`base-name:${lower}`, () => basenames().addr(ethers.namehash(lower)));
+      return address && address !== ethers.ZeroAddress ? address.toLowerCase() : null;
+    }
+    if (!ens()) throw new NameError('ENS resolution is not configured (set ENS_RPC)');
+    const address = await cached(`ens-name:${lower}`, () => ens().resolveName(lower));
+    return address ? address.toLowerCase() : null;
+  }
+
+  return {
+    namesFor,
+    resolveName,
+    configured: { ens: !!ensRpc, basenames: !!basenameResolver }
+  };
+}
+
+module.exports = { NameError, DEFAULT_BASENAME_RESOLVER, MAX_CACHED, createNameResolver };
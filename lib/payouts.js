@@ -0,0 +1,206 @@
+/**
+ * Payout engine
+ *
+ * Every outgoing transfer is a payout record that moves through explicit
+ * states:
+ *
+ *   queued    - recorded with a reserved nonce, nothing signed yet
+ *   broadcast - signed; the raw tx and its hash are persisted *before* they
+ *               are sent, so a crash never loses track of a payment
+ *   confirmed - mined with status 1 and the configured confirmations
+ *   failed    - could not be sent, reverted, or dropped; retryable
+ *
+ * A failed payout is only re-signed once its old transaction can no longer
+ * land: either its nonce has been consumed, or the new transaction reuses
+ * the same nonce and replaces it. Recipients are never paid twice.
+ *
+ * Batched payouts share one transaction (and so one txHash and nonce) and
+ * move through the same states together. Retries resend them one by one.
+ */
+
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { transferRequest } = require('./assets');
+
+const PAYOUT_STATUSES = ['queued', 'broadcast', 'confirmed', 'failed'];
+
+// What the mined transaction cost the treasury, including reverted ones.
+function receiptFields(receipt) {
+  const gasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  return {
+    blockNumber: receipt.blockNumber,
+    gasCost: receipt.gasUsed ? (BigInt(receipt.gasUsed) * BigInt(gasPrice)).toString() : '0'
+  };
+}
+
+function createPayoutEngine({ payouts, getWallet, getProvider, confirmations = 1, confirmTimeout = 120000, onStatusChange = () => {} }) {
+
+  function setStatus(payout, status, fields = {}) {
+    const previous = payout.status;
+    Object.assign(payout, fields, { status, updatedAt: Date.now() });
+    payouts.set(payout.id, payout);
+    if (previous !== status) onStatusChange(payout, previous);
+    return payout;
+  }
+
+  function queue(fields) {
+    const now = Date.now();
+    const payout = {
+      id: uuidv4(),
+      ...fields,
+      status: 'queued',
+      nonce: null,
+      txHash: null,
+      rawTx: null,
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    payouts.set(payout.id, payout);
+    return payout;
+  }
+
+  async function reserveNonces(list) {
+    let next = await getWallet().getNonce('pending');
+    for (const payout of list) {
+      payout.nonce = next++;
+      payouts.set(payout.id, payout);
+    }
+  }
+
+  function buildTransaction(payout) {
+    return { ...transferRequest(payout.asset, payout.to, payout.amount), nonce: payout.nonce };
+  }
+
+  async function broadcast(payout) {
+    const wallet = getWallet();
+    try {
+      const populated = await wallet.populateTransaction(buildTransaction(payout));
+      const rawTx = await wallet.signTransaction(populated);
+      const txHash = ethers.Transaction.from(rawTx).hash;
+
+      setStatus(payout, 'broadcast', { rawTx, txHash, attempts: payout.attempts + 1, error: null });
+      await getProvider().broadcastTransaction(rawTx);
+      return true;
+    } catch (err) {
+      setStatus(payout, 'failed', { error: err.shortMessage || err.message });
+      return false;
+    }
+  }
+
+  async function confirm(payout) {
+    try {
+      const receipt = await getProvider().waitForTransaction(payout.txHash, confirmations, confirmTimeout);
+      if (!receipt) return payout;
+      if (receipt.status === 1) {
+        return setStatus(payout, 'confirmed', { ...receiptFields(receipt), confirmedAt: Date.now() });
+      }
+      return setStatus(payout, 'failed', { ...receiptFields(receipt), error: 'Transaction reverted' });
+    } catch (err) {
+      // Not mined within the timeout: stays broadcast, retry reconciles it.
+      payout.error = err.shortMessage || err.message;
+      payouts.set(payout.id, payout);
+      return payout;
+    }
+  }
+
+  // Sign, broadcast and await confirmation for a batch of queued payouts.
+  async function process(list) {
+    await reserveNonces(list);
+
+    for (let i = 0; i < list.length; i++) {
+      const ok = await broadcast(list[i]);
+      // The failed payout's nonce may now be a gap; renumber what's left.
+      if (!ok && i < list.length - 1) await reserveNonces(list.slice(i + 1));
+    }
+
+    for (const payout of list) {
+      if (payout.status === 'broadcast') await confirm(payout);
+    }
+    return list;
+  }
+
+  // Pay a whole list with the single transaction built by `buildBatch(list)`.
+  async function processBatch(list, buildBatch) {
+    const wallet = getWallet();
+    const batchId = uuidv4();
+
+    try {
+      const nonce = await wallet.getNonce('pending');
+      const populated = await wallet.populateTransaction({ ...buildBatch(list), nonce });
+      const rawTx = await wallet.signTransaction(populated);
+      const txHash = ethers.Transaction.from(rawTx).hash;
+
+      for (const payout of list) {
+        setStatus(payout, 'broadcast', { batchId, nonce, rawTx, txHash, attempts: payout.attempts + 1, error: null });
+      }
+      await getProvider().broadcastTransaction(rawTx);
+    } catch (err) {
+      for (const payout of list) {
+        setStatus(payout, 'failed', { batchId, error: err.shortMessage || err.message });
+      }
+      return list;
+    }
+
+    for (const payout of list) await confirm(payout);
+    return list;
+  }
+
+  // Work out what actually happened to a broadcast/failed payout on chain.
+  async function reconcile(payout) {
+    if (!payout.txHash) return payout;
+    const provider = getProvider();
+
+    const receipt = await provider.getTransactionReceipt(payout.txHash);
+    if (receipt) {
+      if (receipt.status === 1) {
+        return setStatus(payout, 'confirmed', { ...receiptFields(receipt), confirmedAt: Date.now(), error: null });
+      }
+      return setStatus(payout, 'failed', { ...receiptFields(receipt), error: 'Transaction reverted' });
+    }
+
+    const known = await provider.getTransaction(payout.txHash);
+    if (known) return setStatus(payout, 'broadcast');
+
+    if (payout.status === 'broadcast') {
+      // Persisted but never reached the node (e.g. crash before sending).
+      try {
+        await provider.broadcastTransaction(payout.rawTx);
+        return payout;
+      } catch (err) {
+        // "already known" for a batch sibling, or mined in the meantime
+        if (await provider.getTransaction(payout.txHash)) return payout;
+        return setStatus(payout, 'failed', { error: err.shortMessage || err.message });
+      }
+    }
+    return payout;
+  }
+
+  // Reconcile in-flight payouts, then re-sign and resend the failed ones.
+  async function retry(list) {
+    for (const payout of list) {
+      if (payout.status === 'broadcast' || payout.status === 'failed') await reconcile(payout);
+    }
+
+    const resend = [];
+    let next = await getWallet().getNonce('pending');
+    for (const payout of list) {
+      if (payout.status !== 'failed' && payout.status !== 'queued') continue;
+      // An unmined tx holding a nonce above the pending one could still land.
+      if (payout.status === 'failed' && payout.nonce !== null && payout.nonce > next && !payout.blockNumber) {
+        payout.error = `Nonce ${payout.nonce} still open (pending nonce ${next}); retry later`;
+        payouts.set(payout.id, payout);
+        continue;
+      }
+      resend.push(setStatus(payout, 'queued', { error: null }));
+    }
+
+    if (resend.length > 0) await process(resend);
+    return list;
+  }
+
+  return { queue, process, processBatch, retry, reconcile };
+}
+
+module.exports = { createPayoutEngine, PAYOUT_STATUSES };
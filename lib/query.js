@@ -0,0 +1,123 @@
+/**
+ * List queries
+ *
+ * Shared filtering, sorting and cursor pagination for the list endpoints.
+ * Responses use one envelope:
+ *
+ *   { items, total, nextCursor }
+ *
+ * `total` counts every match, not just this page. Cursors are opaque
+ * (base64url of the last item's sort key and id), so pages stay stable
+ * while new records are added.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class QueryError extends Error {}
+
+function compareValues(a, b, type) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (type === 'bigint') {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return x === y ? 0 : (x < y ? -1 : 1);
+  }
+  if (type === 'string') return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+  return a < b ? -1 : 1;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+// What a cursor's sort value can hold for each field type (null sorts first)
+const CURSOR_VALUES = {
+  bigint: v => typeof v === 'string' && /^-?\d+$/.test(v),
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  string: v => typeof v === 'string'
+};
+
+// A cursor is client input: its key has to fit the field it sorts by
+function decodeCursor(cursor, type) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (e) {
+    throw new QueryError('Invalid cursor');
+  }
+  const valid = key && typeof key === 'object' && typeof key.id === 'string' &&
+    (key.v === null || CURSOR_VALUES[type]?.(key.v));
+  if (!valid) throw new QueryError('Invalid cursor');
+  return key;
+}
+
+// `sortFields` maps a public sort name to { type, value(item) }.
+function paginate(items, query, sortFields, defaultSort = 'createdAt') {
+  const sort = query.sort || defaultSort;
+  const field = sortFields[sort];
+  if (!field) throw new QueryError(`sort must be one of: ${Object.keys(sortFields).join(', ')}`);
+
+  const order = query.order || (field.type === 'string' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') throw new QueryError('order must be asc or desc');
+  const direction = order === 'asc' ? 1 : -1;
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isSafeInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const keyOf = item => {
+    const value = field.value(item);
+    return { v: typeof value === 'bigint' ? value.toString() : (value ?? null), id: item.id };
+  };
+  const compareKeys = (a, b) =>
+    direction * compareValues(a.v, b.v, field.type) || direction * compareValues(a.id, b.id, 'string');
+
+  let sorted = items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor, field.type);
+    sorted = sorted.filter(entry => compareKeys(entry.key, after) > 0);
+  }
+
+  const page = sorted.slice(0, limit);
+  return {
+    items: page.map(entry => entry.item),
+    total: items.length,
+    nextCursor: sorted.length > limit ? encodeCursor(page[page.length - 1].key) : null
+  };
+}
+
+// Case-insensitive substring match across any of the given strings
+function matchesText(q, ...values) {
+  if (!q) return true;
+  const needle = String(q).toLowerCase();
+  return values.some(v => v && String(v).toLowerCase().includes(needle));
+}
+
+// ISO date or unix milliseconds from a query string
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new QueryError(`${name} must be an ISO date or unix milliseconds`);
+  return ms;
+}
+
+function inDateRange(timestamp, from, to) {
+  return (from === null || timestamp >= from) && (to === null || timestamp <= to);
+}
+
+module.exports = {
+  QueryError,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginate,
+  matchesText,
+  parseDate,
+  inDateRange
+};
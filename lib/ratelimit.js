@@ -0,0 +1,63 @@
+/**
+ * Rate limiting
+ *
+ * Fixed-window counters kept in memory, so limits are per process: on a
+ * serverless deployment every warm instance counts on its own. That is
+ * enough to stop one client from hammering the API or the RPC behind it;
+ * limits that must hold across restarts (per-ship application caps,
+ * distribute cooldowns) are checked against stored records instead.
+ */
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+class RateLimitError extends Error {}
+
+function createRateLimiter() {
+  const windows = new Map();
+
+  // Count one hit against `key`: { allowed, limit, remaining, resetAt }
+  function hit(key, { limit, windowMs }, now = Date.now()) {
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return { allowed: window.count <= limit, limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+  }
+
+  function sweep(now = Date.now()) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  setInterval(sweep, SWEEP_INTERVAL).unref();
+  return { hit, sweep };
+}
+
+// Defaults with overrides from JSON, e.g. '{"apply":{"limit":20}}'
+function parseRateLimits(defaults, json) {
+  let overrides = {};
+  if (json) {
+    try {
+      overrides = JSON.parse(json);
+    } catch (e) {
+      throw new RateLimitError('RATE_LIMITS must be JSON');
+    }
+  }
+
+  const limits = {};
+  for (const [name, base] of Object.entries(defaults)) {
+    const rule = { ...base, ...(overrides[name] || {}) };
+    if (!Number.isSafeInteger(rule.limit) || rule.limit < 1 || !Number.isSafeInteger(rule.windowMs) || rule.windowMs < 1) {
+      throw new RateLimitError(`RATE_LIMITS.${name} needs a positive whole limit and windowMs`);
+    }
+    limits[name] = rule;
+  }
+  const unknown = Object.keys(overrides).filter(name => !defaults[name]);
+  if (unknown.length > 0) throw new RateLimitError(`Unknown rate limits: ${unknown.join(', ')} (available: ${Object.keys(defaults).join(', ')})`);
+  return limits;
+}
+
+module.exports = { RateLimitError, createRateLimiter, parseRateLimits };
@@ -0,0 +1,144 @@
+/**
+ * Review committees and scoring rubrics
+ *
+ * Every ship has a committee: the captain plus any extra reviewer
+ * addresses. The ship's `criteria` become the rubric's scored dimensions,
+ * each with a weight and a maximum score. A reviewer scores each dimension;
+ * the review's overall score is the weighted mean, scaled to 0-100.
+ *
+ * Reviewers with a conflict of interest are recused from an applicant's
+ * applications, and allocations can require a quorum of reviews.
+ */
+
+const { ethers } = require('ethers');
+const { slug } = require('./applications');
+
+const DEFAULT_MAX_SCORE = 5;
+const MAX_REVIEWERS = 50;
+
+class ReviewError extends Error {}
+
+function normaliseAddress(value, field) {
+  if (!ethers.isAddress(value)) throw new ReviewError(`${field} must be an address`);
+  return value.toLowerCase();
+}
+
+// Dimensions from `rubric` ([{ criterion, weight, maxScore }]) or, failing
+// that, one equally weighted dimension per criterion.
+function buildRubric(rubric, criteria) {
+  const source = Array.isArray(rubric) && rubric.length > 0
+    ? rubric
+    : (criteria || []).map(criterion => ({ criterion }));
+  if (source.length === 0) return [{ id: 'overall', criterion: 'Overall', weight: 1, maxScore: DEFAULT_MAX_SCORE }];
+
+  const ids = new Set();
+  return source.map((d, i) => {
+    const criterion = typeof d === 'string' ? d : d?.criterion;
+    if (!criterion) throw new ReviewError(`rubric[${i}]: criterion required`);
+    const id = d.id ? String(d.id) : slug(criterion);
+    if (!id || ids.has(id)) throw new ReviewError(`rubric[${i}]: id must be unique`);
+    ids.add(id);
+
+    const weight = Number(d.weight ?? 1);
+    if (!(weight > 0)) throw new ReviewError(`rubric[${i}]: weight must be positive`);
+    const maxScore = Number(d.maxScore ?? DEFAULT_MAX_SCORE);
+    if (!Number.isSafeInteger(maxScore) || maxScore <= 0) throw new ReviewError(`rubric[${i}]: maxScore must be a positive integer`);
+
+    return { id, criterion: String(criterion), weight, maxScore };
+  });
+}
+
+function parseReviewers(input, captain) {
+  if (input !== undefined && !Array.isArray(input)) throw new ReviewError('reviewers must be an array of addresses');
+  const reviewers = new Set([captain, ...(input || []).map((a, i) => normaliseAddress(a, `reviewers[${i}]`))]);
+  if (reviewers.size > MAX_REVIEWERS) throw new ReviewError(`At most ${MAX_REVIEWERS} reviewers`);
+  return Array.from(reviewers);
+}
+
+function parseQuorum(input, reviewers) {
+  const quorum = Number(input ?? 0);
+  if (!Number.isSafeInteger(quorum) || quorum < 0) throw new ReviewError('quorum must be a non-negative integer');
+  if (quorum > reviewers.length) throw new ReviewError(`quorum (${quorum}) is larger than the committee (${reviewers.length})`);
+  return quorum;
+}
+
+// { reviewers, quorum, rubric } from POST /ships; the captain always sits on the committee.
+function configureCommittee(input, { captain, criteria }) {
+  const reviewers = parseReviewers(input?.reviewers, captain);
+  return {
+    reviewers,
+    quorum: parseQuorum(input?.quorum, reviewers),
+    rubric: buildRubric(input?.rubric, criteria),
+    recusals: []
+  };
+}
+
+// Reviewers and quorum can change later; the rubric can't once scores exist.
+function updateCommittee(committee, input, { captain }) {
+  const reviewers = input.reviewers !== undefined ? parseReviewers(input.reviewers, captain) : committee.reviewers;
+  const quorum = parseQuorum(input.quorum ?? committee.quorum, reviewers);
+  return { ...committee, reviewers, quorum };
+}
+
+function isRecused(committee, reviewer, applicant) {
+  return reviewer === applicant || committee.recusals.some(r => r.reviewer === reviewer && r.applicant === applicant);
+}
+
+// Validate { dimensionId: score } against the rubric; returns the weighted score (0-100).
+function scoreReview(rubric, scores) {
+  if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+    throw new ReviewError(`scores required: { ${rubric.map(d => `${d.id}: 0-${d.maxScore}`).join(', ')} }`);
+  }
+  const unknown = Object.keys(scores).filter(id => !rubric.some(d => d.id === id));
+  if (unknown.length > 0) throw new ReviewError(`Unknown rubric dimensions: ${unknown.join(', ')}`);
+
+  let weighted = 0;
+  let totalWeight = 0;
+  const normalised = {};
+  for (const d of rubric) {
+    const value = Number(scores[d.id]);
+    if (scores[d.id] === undefined || !Number.isFinite(value) || value < 0 || value > d.maxScore) {
+      throw new ReviewError(`${d.id}: score between 0 and ${d.maxScore} required`);
+    }
+    normalised[d.id] = value;
+    weighted += (value / d.maxScore) * d.weight;
+    totalWeight += d.weight;
+  }
+  return { scores: normalised, score: round((weighted / totalWeight) * 100) };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Mean score per dimension and overall, plus how closely reviewers agree:
+// 1 when every reviewer gave the same overall score, 0 at maximum spread.
+function aggregate(reviews, rubric, quorum = 0) {
+  const count = reviews.length;
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  if (count === 0) {
+    return { reviews: 0, score: null, dimensions: {}, agreement: null, quorumMet: quorum === 0 };
+  }
+
+  const overall = reviews.map(r => r.score);
+  const avg = mean(overall);
+  const stddev = Math.sqrt(mean(overall.map(s => (s - avg) ** 2)));
+
+  return {
+    reviews: count,
+    score: round(avg),
+    dimensions: Object.fromEntries(rubric.map(d => [d.id, round(mean(reviews.map(r => r.scores[d.id] ?? 0)))])),
+    agreement: count < 2 ? null : round(1 - stddev / 50),
+    quorumMet: count >= quorum
+  };
+}
+
+module.exports = {
+  ReviewError,
+  configureCommittee,
+  updateCommittee,
+  isRecused,
+  scoreReview,
+  aggregate
+};
@@ -0,0 +1,108 @@
+/**
+ * Request body schemas, one per write route (see lib/validation.js).
+ *
+ * These are platform-wide hard limits. Ships can tighten some of them
+ * (description length, links) through their limits; see lib/limits.js.
+ */
+
+const { EVENT_TYPES } = require('./events');
+const { PHASES } = require('./lifecycle');
+const { MAX_IMPORT_ROWS, IMPORT_FORMATS } = require('./imports');
+const { MAX_ALLOWLIST_SIZE } = require('./access');
+const { LIMIT_RANGES } = require('./limits');
+
+const ID = { type: 'string', maxLength: 64 };
+const NAME = { type: 'string', maxLength: 200 };
+const DESCRIPTION = { type: 'string', maxLength: LIMIT_RANGES.maxDescriptionLength[1] };
+const NOTE = { type: 'string', maxLength: 2000 };
+const LINKS = { type: 'array', maxItems: LIMIT_RANGES.maxLinks[1], items: { type: 'string', maxLength: 500 } };
+const DAYS = { type: 'number', min: 0, max: 365 };
+const DATE = { type: ['string', 'integer'], maxLength: 40 };
+const AMOUNT = { type: 'amount', maxLength: 80 };
+const ADDRESSES = { type: 'array', maxItems: MAX_ALLOWLIST_SIZE, items: { type: 'address' } };
+
+const application = {
+  projectName: NAME,
+  description: DESCRIPTION,
+  links: LINKS,
+  requestAmount: AMOUNT,
+  requestedAmount: AMOUNT,
+  requested_amount: AMOUNT,
+  answers: { type: 'object', maxKeys: 30, values: { type: ['string', 'number', 'boolean', 'array'], maxLength: 5000, maxItems: 50 } }
+};
+
+module.exports = {
+  createShip: {
+    name: NAME,
+    description: DESCRIPTION,
+    criteria: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 200 } },
+    startDate: DATE,
+    durationDays: DAYS,
+    reviewDays: DAYS,
+    allocationDays: DAYS,
+    asset: { type: 'string', maxLength: 64 },
+    strategy: { type: ['string', 'object'], maxLength: 64, maxKeys: 20 },
+    voting: { type: ['object', 'boolean'], maxKeys: 10 },
+    form: { type: 'array', maxItems: 30 },
+    committee: { type: 'object', properties: { reviewers: { type: 'array', maxItems: 50, items: { type: 'address' } }, rubric: { type: 'array', maxItems: 20 } } },
+    access: { type: 'object', maxKeys: 10 },
+    limits: { type: 'object', maxKeys: 20 }
+  },
+
+  fund: { txHash: { type: 'string', maxLength: 66 } },
+  transition: { to: { type: 'string', enum: PHASES } },
+  apply: application,
+  editApplication: application,
+  withdraw: { reason: NOTE },
+  vote: { votes: { type: ['integer', 'string'], maxLength: 12 } },
+
+  review: {
+    scores: { type: 'object', maxKeys: 20, values: { type: 'number' } },
+    comment: NOTE
+  },
+  committee: {
+    reviewers: { type: 'array', maxItems: 50, items: { type: 'address' } },
+    quorum: { type: 'integer', min: 0, max: 50 },
+    rubric: { type: 'array', maxItems: 20 }
+  },
+  recusal: { applicationId: ID, reviewer: { type: 'address' }, applicant: { type: 'address' }, reason: NOTE },
+
+  allocate: { amount: AMOUNT, approved: { type: 'boolean' }, note: NOTE, reason: NOTE },
+  note: { note: NOTE },
+  computeAllocations: {
+    contributions: { type: 'array', maxItems: 10000, items: { type: 'object', maxKeys: 5 } },
+    dryRun: { type: 'boolean' }
+  },
+
+  milestones: { milestones: { type: 'array', maxItems: 20, items: { type: 'object', maxKeys: 10, properties: { description: NOTE } } } },
+  milestoneSubmit: { evidence: NOTE, links: LINKS },
+  milestoneReview: { approved: { type: 'boolean' }, note: NOTE },
+
+  distribute: {
+    dryRun: { type: 'boolean' },
+    mode: { type: 'string', enum: ['single', 'batch'] },
+    idempotencyKey: { type: 'string', maxLength: 128 }
+  },
+  close: { mode: { type: 'string', enum: ['refund', 'rollover'] }, successorShipId: ID },
+
+  access: { access: { type: 'object', maxKeys: 10 } },
+  limits: { limits: { type: 'object', required: true, maxKeys: 20 } },
+  allowlist: { name: { type: 'string', maxLength: 64 }, description: NOTE, addresses: ADDRESSES },
+  allowlistUpdate: { add: ADDRESSES, remove: ADDRESSES, description: NOTE },
+
+  import: {
+    format: { type: 'string', enum: IMPORT_FORMATS },
+    data: { type: ['string', 'array', 'object'], maxLength: 5 * 1024 * 1024, maxItems: MAX_IMPORT_ROWS },
+    shipId: ID,
+    ship: { type: 'object', maxKeys: 20 },
+    source: { type: 'string', maxLength: 100 },
+    baseUnits: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  },
+
+  webhook: {
+    url: { type: 'string', maxLength: 2048 },
+    events: { type: 'array', maxItems: EVENT_TYPES.length + 1, items: { type: 'string', maxLength: 64 } },
+    shipId: ID
+  }
+};
@@ -0,0 +1,659 @@
+/**
+ * Storage layer
+ *
+ * Records live in named collections that expose the same Map-style
+ * operations the route handlers already use (get, set, has, delete,
+ * values, size). A driver decides where the data goes:
+ *
+ *   memory - process-local, wiped on restart (tests, local hacking)
+ *   json     - a JSON snapshot plus an append-only journal: each change adds
+ *              one line, and the journal is folded back into the snapshot on
+ *              startup and every `compactAfter` changes. Needs a writable disk
+ *              that outlives the process, which serverless platforms lack.
+ *   postgres - one row per record in a Postgres database (`url`, or a `pg`
+ *              Pool as `pool`), for serverless deployments where many short-
+ *              lived instances share the data. See PostgresDriver.
+ *
+ * Schema migrations run once on startup, before any collection is read.
+ * Drivers for data outside the process load asynchronously: wait for
+ * ready() before reading, sync() to pick up other instances' writes and
+ * settle() to have every change so far written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { slug } = require('./applications');
+
+const COMPACT_AFTER = 1000; // journal lines before the snapshot is rewritten
+const SYNC_OVERLAP = 100; // postgres: seqs read again on every sync
+const FLUSH_DELAY_MS = 50; // postgres: writes made outside a request are sent this soon
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+// Each migration receives the raw data ({ schemaVersion, collections }) and
+// mutates it in place. Append new entries; never edit an applied one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial collections',
+    up(data) {
+      for (const name of ['ships', 'applications', 'allocations', 'distributions']) {
+        data.collections[name] = data.collections[name] || {};
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Default ships to the manual distribution strategy',
+    up(data) {
+      for (const ship of Object.values(data.collections.ships || {})) {
+        ship.strategy = ship.strategy || { type: 'manual' };
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Ships without a voting phase',
+    up(data) {
+      for (const ship of Object.values(data.collections.ships || {})) {
+        ship.voting = ship.voting || { enabled: false };
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Native ETH budget asset for existing ships and payouts',
+    up(data) {
+      const native = { type: 'native', address: null, symbol: 'ETH', decimals: 18 };
+      for (const ship of Object.values(data.collections.ships || {})) {
+        ship.asset = ship.asset || { ...native };
+      }
+      for (const payout of Object.values(data.collections.payouts || {})) {
+        payout.asset = payout.asset || { ...native };
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Track distributed amounts gross of fees and backfill the treasury ledger',
+    up(data) {
+      const c = data.collections;
+      const ledger = c.ledger = c.ledger || {};
+      const entry = (id, fields) => {
+        const { address = null, symbol, decimals } = fields.asset;
+        ledger[id] = { id, ref: {}, ...fields, asset: { address, symbol, decimals } };
+      };
+      const confirmed = Object.values(c.payouts || {}).filter(p => p.status === 'confirmed');
+
+      for (const ship of Object.values(c.ships || {})) {
+        entry(`migrated:funding:${ship.id}`, {
+          shipId: ship.id, type: 'funding', asset: ship.asset, debit: 'treasury',
+          credit: `ship:${ship.id}:unallocated`, amount: ship.budget, ref: { migrated: true }, createdAt: ship.createdAt
+        });
+        ship.distributed = '0';
+      }
+
+      for (const alloc of Object.values(c.allocations || {})) {
+        const ship = c.ships?.[alloc.shipId];
+        if (!ship) continue;
+        entry(`migrated:allocation:${alloc.id}`, {
+          shipId: ship.id, type: 'allocation', asset: ship.asset, debit: `ship:${ship.id}:unallocated`,
+          credit: `ship:${ship.id}:allocated`, amount: alloc.amount, ref: { allocationId: alloc.id }, createdAt: alloc.createdAt
+        });
+
+        // Paid before payouts had their own records: the old flat 95% net
+        if (alloc.distributed && !alloc.payoutId && !alloc.hasMilestones) {
+          confirmed.push({
+            id: `legacy-${alloc.id}`, shipId: ship.id, allocationId: alloc.id, asset: ship.asset, to: alloc.applicant,
+            txHash: alloc.txHash, gross: alloc.amount, amount: ((BigInt(alloc.amount) * 95n) / 100n).toString(),
+            updatedAt: alloc.distributedAt || alloc.createdAt
+          });
+        }
+      }
+
+      for (const payout of confirmed) {
+        const ship = c.ships?.[payout.shipId];
+        if (!ship) continue;
+        const ref = { payoutId: payout.id, allocationId: payout.allocationId, txHash: payout.txHash, to: payout.to };
+        const fee = BigInt(payout.gross) - BigInt(payout.amount);
+        entry(`migrated:payout:${payout.id}`, {
+          shipId: ship.id, type: 'payout', asset: payout.asset, debit: `ship:${ship.id}:allocated`,
+          credit: 'treasury', amount: payout.amount, ref, createdAt: payout.updatedAt
+        });
+        if (fee > 0n) {
+          entry(`migrated:fee:${payout.id}`, {
+            shipId: ship.id, type: 'fee', asset: payout.asset, debit: `ship:${ship.id}:allocated`,
+            credit: 'fees', amount: fee.toString(), ref, createdAt: payout.updatedAt
+          });
+        }
+        ship.distributed = (BigInt(ship.distributed) + BigInt(payout.gross)).toString();
+      }
+
+      for (const id of Object.keys(ledger)) {
+        if (BigInt(ledger[id].amount) <= 0n) delete ledger[id];
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Register already-credited funding txs so they cannot be replayed',
+    up(data) {
+      const fundings = data.collections.fundings = data.collections.fundings || {};
+      for (const entry of Object.values(data.collections.ledger || {})) {
+        if (entry.type !== 'funding' || !entry.ref?.txHash) continue;
+        const txHash = entry.ref.txHash.toLowerCase();
+        fundings[txHash] = fundings[txHash] || {
+          id: txHash,
+          shipId: entry.shipId,
+          from: entry.ref.from || null,
+          amount: entry.amount,
+          blockNumber: null,
+          timestamp: null,
+          createdAt: entry.createdAt
+        };
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Explicit lifecycle phases with a dated schedule per ship',
+    up(data) {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      for (const ship of Object.values(data.collections.ships || {})) {
+        if (ship.schedule) continue;
+        // Existing rounds had no review window; the scheduler moves them on from there
+        const schedule = {
+          open: { startDate: ship.startDate, endDate: ship.endDate },
+          review: { startDate: ship.endDate, endDate: ship.endDate }
+        };
+        let cursor = ship.endDate;
+        if (ship.voting?.enabled) {
+          schedule.voting = { startDate: ship.voting.startDate, endDate: ship.voting.endDate };
+          ship.voting.durationDays = (ship.voting.endDate - ship.voting.startDate) / DAY_MS;
+          cursor = ship.voting.endDate;
+        }
+        schedule.allocation = { startDate: cursor, endDate: cursor + 14 * DAY_MS };
+        ship.schedule = schedule;
+        if (ship.status === 'closed') ship.status = 'review';
+        ship.phaseHistory = ship.phaseHistory || [];
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Application forms, versions and review notes',
+    up(data) {
+      for (const ship of Object.values(data.collections.ships || {})) {
+        ship.form = ship.form || [];
+      }
+      for (const application of Object.values(data.collections.applications || {})) {
+        application.answers = application.answers || {};
+        application.version = application.version || 1;
+        application.versions = application.versions || [];
+        application.reviewNotes = application.reviewNotes || [];
+        application.rejectionReason = application.rejectionReason || null;
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Review committee (captain only) and a rubric from each ship\'s criteria',
+    up(data) {
+      data.collections.reviews = data.collections.reviews || {};
+      for (const ship of Object.values(data.collections.ships || {})) {
+        if (ship.committee) continue;
+        const criteria = (ship.criteria || []).filter(Boolean).map(String);
+        const rubric = criteria.length > 0
+          ? criteria.map((criterion, i) => ({
+            id: slug(criterion) || `criterion_${i + 1}`,
+            criterion,
+            weight: 1,
+            maxScore: 5
+          }))
+          : [{ id: 'overall', criterion: 'Overall', weight: 1, maxScore: 5 }];
+        ship.committee = { reviewers: [ship.captain], quorum: 0, rubric, recusals: [] };
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Ships follow the platform access policy; local allowlists',
+    up(data) {
+      data.collections.allowlists = data.collections.allowlists || {};
+      for (const ship of Object.values(data.collections.ships || {})) {
+        if (ship.access === undefined) ship.access = null;
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Per-ship limits and duplicate flags on applications',
+    up(data) {
+      // The defaults as of this version; later changes to lib/limits.js don't apply retroactively
+      const limits = {
+        maxApplications: 500,
+        applicationsPerHour: 50,
+        applicationsPerAddress: 3,
+        maxDescriptionLength: 5000,
+        maxLinks: 10,
+        distributeCooldownSeconds: 60,
+        duplicates: 'flag'
+      };
+      for (const ship of Object.values(data.collections.ships || {})) {
+        ship.limits = ship.limits || { ...limits };
+      }
+      for (const application of Object.values(data.collections.applications || {})) {
+        application.flags = application.flags || [];
+      }
+    }
+  }
+];
+
+function migrate(data) {
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= data.schemaVersion) continue;
+    migration.up(data);
+    data.schemaVersion = migration.version;
+    applied.push(migration);
+  }
+  return applied;
+}
+
+// ============================================================================
+// COLLECTIONS
+// ============================================================================
+
+class Collection {
+  constructor(name, records, onChange) {
+    this.name = name;
+    this._onChange = onChange;
+    this._load(records);
+  }
+
+  // Replace the contents without recording a change
+  _load(records) {
+    this._records = new Map(Object.entries(records || {}));
+  }
+
+  get(id) {
+    return this._records.get(id);
+  }
+
+  has(id) {
+    return this._records.has(id);
+  }
+
+  set(id, record) {
+    this._records.set(id, record);
+    this._onChange({ id, record });
+    return this;
+  }
+
+  delete(id) {
+    const deleted = this._records.delete(id);
+    if (deleted) this._onChange({ id, deleted: true });
+    return deleted;
+  }
+
+  values() {
+    return this._records.values();
+  }
+
+  get size() {
+    return this._records.size;
+  }
+
+  toJSON() {
+    return Object.fromEntries(this._records);
+  }
+}
+
+// ============================================================================
+// DRIVERS
+// ============================================================================
+
+class MemoryDriver {
+  get persistent() {
+    return false;
+  }
+
+  load() {
+    return null;
+  }
+
+  save() {}
+}
+
+class JsonFileDriver {
+  constructor(file, { compactAfter = COMPACT_AFTER } = {}) {
+    if (!file) throw new Error('json storage driver requires a file path');
+    this.file = path.resolve(file);
+    this.journal = `${this.file}.journal`;
+    this.compactAfter = compactAfter;
+    this.journalLength = 0;
+    this.fd = null;
+  }
+
+  get persistent() {
+    return true;
+  }
+
+  get needsCompaction() {
+    return this.journalLength >= this.compactAfter;
+  }
+
+  // The snapshot with the journal replayed over it, in order
+  load() {
+    const data = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : null;
+    if (!fs.existsSync(this.journal)) return data;
+
+    const result = data || { schemaVersion: 0, collections: {} };
+    result.collections = result.collections || {};
+    const lines = fs.readFileSync(this.journal, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch (err) {
+        // A crash mid-append can only tear the last line
+        if (i === lines.length - 1) return;
+        throw err;
+      }
+      const records = result.collections[change.collection] = result.collections[change.collection] || {};
+      if (change.deleted) delete records[change.id];
+      else records[change.id] = change.record;
+    });
+    this.journalLength = lines.length;
+    return result;
+  }
+
+  append(change) {
+    if (this.fd === null) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.fd = fs.openSync(this.journal, 'a');
+    }
+    fs.writeSync(this.fd, JSON.stringify(change) + '\n');
+    this.journalLength++;
+  }
+
+  // Write to a temp file and rename so a crash mid-write never leaves a
+  // truncated store behind; the journal is only emptied once the snapshot
+  // holds its changes (replaying it again would be harmless).
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.file);
+    if (fs.existsSync(this.journal)) fs.truncateSync(this.journal, 0);
+    this.journalLength = 0;
+  }
+}
+
+// Records are rows keyed by (collection, id). Every write takes the next
+// `seq`, and deletes leave a tombstone (record NULL), so instances catch up
+// with each other by reading the rows past the last seq they saw. Writes
+// are queued, coalesced per record and sent by settle() in one transaction;
+// a failed batch stays queued for the next settle().
+class PostgresDriver {
+  constructor({ url, pool, table = 'grant_ships' } = {}) {
+    if (!pool && !url) throw new Error('postgres storage driver requires a database url');
+    if (!/^[a-z_][a-z0-9_]*$/.test(table)) throw new Error(`Invalid postgres table name "${table}"`);
+    if (!pool) {
+      const { Pool } = require('pg');
+      pool = new Pool({ connectionString: url, max: 3 });
+    }
+    this.pool = pool;
+    this.table = table;
+    this.seq = 0;
+    this.pending = new Map();
+    this.snapshot = null;
+    this.flushing = Promise.resolve();
+    this.timer = null;
+  }
+
+  get persistent() {
+    return true;
+  }
+
+  get external() {
+    return true;
+  }
+
+  async load() {
+    const { table } = this;
+    await this.pool.query(`CREATE SEQUENCE IF NOT EXISTS ${table}_seq`);
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS ${table} (collection TEXT NOT NULL, id TEXT NOT NULL, record JSONB, seq BIGINT NOT NULL, PRIMARY KEY (collection, id))`);
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS ${table}_meta (key TEXT PRIMARY KEY, value JSONB NOT NULL)`);
+
+    const meta = await this.pool.query(`SELECT value FROM ${table}_meta WHERE key = 'schemaVersion'`);
+    const { rows } = await this.pool.query(`SELECT collection, id, record, seq FROM ${table}`);
+    if (meta.rows.length === 0 && rows.length === 0) return null;
+
+    const data = { schemaVersion: Number(meta.rows[0]?.value ?? 0), collections: {} };
+    for (const row of rows) {
+      this.seq = Math.max(this.seq, Number(row.seq));
+      if (row.record === null) continue;
+      (data.collections[row.collection] = data.collections[row.collection] || {})[row.id] = row.record;
+    }
+    return data;
+  }
+
+  // Everything, replacing what is stored (after migrations)
+  save(data) {
+    this.snapshot = data;
+    this.pending.clear();
+  }
+
+  append(change) {
+    this.pending.set(`${change.collection}:${change.id}`, change);
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.settle().catch(err => console.error(`[STORAGE] write failed, will retry: ${err.message}`));
+    }, FLUSH_DELAY_MS);
+    this.timer.unref();
+  }
+
+  isPending(collection, id) {
+    return this.pending.has(`${collection}:${id}`);
+  }
+
+  settle() {
+    this.flushing = this.flushing.catch(() => {}).then(() => this._flush());
+    return this.flushing;
+  }
+
+  // Rows written since the last call, by any instance. Sequences are handed
+  // out before commit, so a few already seen are read again in case an
+  // earlier one committed late.
+  async changes() {
+    const { rows } = await this.pool.query(
+      `SELECT collection, id, record, seq FROM ${this.table} WHERE seq > $1 ORDER BY seq`,
+      [Math.max(0, this.seq - SYNC_OVERLAP)]
+    );
+    for (const row of rows) this.seq = Math.max(this.seq, Number(row.seq));
+    return rows;
+  }
+
+  async _flush() {
+    const snapshot = this.snapshot;
+    const changes = Array.from(this.pending.values());
+    if (!snapshot && changes.length === 0) return;
+    this.snapshot = null;
+    this.pending.clear();
+
+    try {
+      await this._write(snapshot, changes);
+    } catch (err) {
+      // Keep them for the next attempt, behind anything newer for the same record
+      if (snapshot && !this.snapshot) this.snapshot = snapshot;
+      for (const change of changes) {
+        const key = `${change.collection}:${change.id}`;
+        if (!this.pending.has(key)) this.pending.set(key, change);
+      }
+      throw err;
+    }
+  }
+
+  async _write(snapshot, changes) {
+    const { table } = this;
+    const upsert = `INSERT INTO ${table} (collection, id, record, seq) VALUES ($1, $2, $3, nextval('${table}_seq'))
+      ON CONFLICT (collection, id) DO UPDATE SET record = EXCLUDED.record, seq = EXCLUDED.seq`;
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (snapshot) {
+        await client.query(`DELETE FROM ${table}`);
+        for (const [collection, records] of Object.entries(snapshot.collections)) {
+          for (const [id, record] of Object.entries(records)) {
+            await client.query(upsert, [collection, id, JSON.stringify(record)]);
+          }
+        }
+        await client.query(
+          `INSERT INTO ${table}_meta (key, value) VALUES ('schemaVersion', $1) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+          [JSON.stringify(snapshot.schemaVersion)]
+        );
+      }
+      for (const change of changes) {
+        await client.query(upsert, [change.collection, change.id, change.deleted ? null : JSON.stringify(change.record)]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+const DRIVERS = {
+  memory: () => new MemoryDriver(),
+  json: (options) => new JsonFileDriver(options.file, options),
+  postgres: (options) => new PostgresDriver(options)
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+class Storage {
+  constructor(driver) {
+    this.driver = driver;
+    this.schemaVersion = 0;
+    this._collections = new Map();
+    this._ready = null;
+  }
+
+  // True when the data lives outside this process and other instances write it too
+  get external() {
+    return Boolean(this.driver.external);
+  }
+
+  // Load persisted data and bring it up to the current schema; returns the
+  // migrations applied, or a promise of them for external drivers.
+  open() {
+    const loaded = this.driver.load();
+    return loaded instanceof Promise ? loaded.then(data => this._opened(data)) : this._opened(loaded);
+  }
+
+  // Resolves once the data is loaded; a failed load is tried again on the next call
+  ready() {
+    if (!this._ready) {
+      this._ready = !this.external ? Promise.resolve() : this.open().then(applied => {
+        logMigrations(applied);
+        return this.driver.settle();
+      });
+      this._ready.catch(() => { this._ready = null; });
+    }
+    return this._ready;
+  }
+
+  // Take in other instances' writes, leaving records with unsaved local changes alone
+  async sync() {
+    if (!this.external) return;
+    for (const { collection, id, record } of await this.driver.changes()) {
+      if (this.driver.isPending(collection, id)) continue;
+      const records = this.collection(collection)._records;
+      if (record === null) records.delete(id);
+      else if (JSON.stringify(records.get(id)) !== JSON.stringify(record)) records.set(id, record);
+    }
+  }
+
+  // Resolves once every change so far is written
+  settle() {
+    return this.external ? this.driver.settle() : Promise.resolve();
+  }
+
+  collection(name) {
+    return this._collections.get(name) || this._attach(name, {});
+  }
+
+  // Rewrite the whole snapshot
+  flush() {
+    if (!this.driver.persistent) return;
+    this.driver.save(this.toJSON());
+  }
+
+  // One change, appended; the snapshot catches up now and then
+  _write(change) {
+    if (!this.driver.persistent) return;
+    this.driver.append(change);
+    if (this.driver.needsCompaction) this.flush();
+  }
+
+  _opened(loaded) {
+    const data = loaded || { schemaVersion: 0, collections: {} };
+    data.collections = data.collections || {};
+    const applied = migrate(data);
+
+    this.schemaVersion = data.schemaVersion;
+    for (const [name, records] of Object.entries(data.collections)) {
+      const existing = this._collections.get(name);
+      if (existing) existing._load(records);
+      else this._attach(name, records);
+    }
+    // Starting from a fresh snapshot also drops a torn journal line
+    if (applied.length > 0 || this.driver.journalLength > 0) this.flush();
+
+    return applied;
+  }
+
+  toJSON() {
+    const collections = {};
+    for (const [name, collection] of this._collections) {
+      collections[name] = collection.toJSON();
+    }
+    return { schemaVersion: this.schemaVersion, collections };
+  }
+
+  _attach(name, records) {
+    const collection = new Collection(name, records, change => this._write({ collection: name, ...change }));
+    this._collections.set(name, collection);
+    return collection;
+  }
+}
+
+function logMigrations(applied) {
+  for (const migration of applied) {
+    console.log(`[STORAGE] migrated to v${migration.version}: ${migration.description}`);
+  }
+}
+
+// External drivers (postgres) load on the first ready() call
+function createStorage(options = {}) {
+  const driver = options.driver || 'memory';
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const storage = new Storage(factory(options));
+  if (!storage.external) logMigrations(storage.open());
+  return storage;
+}
+
+module.exports = { createStorage, MIGRATIONS };
@@ -0,0 +1,27 @@
+/**
+ * Helpers shared by strategy modules.
+ */
+
+class StrategyError extends Error {}
+
+// Integer square root for wei amounts (Newton's method).
+function sqrtBigInt(value) {
+  if (value < 0n) throw new RangeError('Square root of negative value');
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// Split `budget` across weighted entries, rounding down; dust stays unallocated.
+function splitByWeight(entries, budget) {
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0n);
+  if (totalWeight === 0n) return [];
+  return entries.map(e => ({ applicationId: e.applicationId, amount: (budget * e.weight) / totalWeight }));
+}
+
+module.exports = { StrategyError, sqrtBigInt, splitByWeight };
@@ -0,0 +1,18 @@
+/**
+ * Equal split: the remaining budget is divided evenly among approved projects.
+ */
+
+const { splitByWeight } = require('./common');
+
+module.exports = {
+  name: 'equal',
+  description: 'Split the remaining budget evenly among approved projects',
+
+  configure() {
+    return {};
+  },
+
+  compute({ applications, budget }) {
+    return splitByWeight(applications.map(a => ({ applicationId: a.id, weight: 1n })), budget);
+  }
+};
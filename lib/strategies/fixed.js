@@ -0,0 +1,31 @@
+/**
+ * Fixed: every approved project receives the same configured amount.
+ */
+
+const { parseAmount, formatAmount } = require('../assets');
+const { StrategyError } = require('./common');
+
+module.exports = {
+  name: 'fixed',
+  description: 'Pay a fixed amount to each approved project',
+
+  configure(config, { asset }) {
+    let amount;
+    try {
+      amount = parseAmount(config.amount ?? '', asset);
+    } catch (e) {
+      throw new StrategyError(`fixed strategy requires amount (${asset?.symbol || 'ETH'})`);
+    }
+    if (amount <= 0n) throw new StrategyError('fixed strategy amount must be positive');
+    return { amount: amount.toString() };
+  },
+
+  compute({ ship, config, applications, budget }) {
+    const amount = BigInt(config.amount);
+    const total = amount * BigInt(applications.length);
+    if (total > budget) {
+      throw new StrategyError(`Insufficient budget: ${applications.length} projects x ${formatAmount(amount, ship.asset)} exceeds remaining ${formatAmount(budget, ship.asset)}`);
+    }
+    return applications.map(a => ({ applicationId: a.id, amount }));
+  }
+};
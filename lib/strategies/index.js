@@ -0,0 +1,69 @@
+/**
+ * Distribution strategies
+ *
+ * A strategy turns a ship's approved applications into allocation amounts.
+ * Every strategy module exports the same shape:
+ *
+ *   name        - unique id stored in ship.strategy.type
+ *   description - one line for /agent
+ *   manual      - true if allocations are typed in by the captain instead
+ *   configure(config, { asset }) -> normalised config; throws StrategyError if invalid
+ *   compute(context)   -> [{ applicationId, amount }] with amount in base units (bigint)
+ *
+ * compute() receives { ship, config, applications, budget, contributions, ballots, scores }
+ * where `applications` are the eligible (approved) applications, `budget`
+ * is what is still free to allocate (base units of ship.asset), `ballots`
+ * are the ship's votes and `scores` maps applicationId to its committee
+ * review aggregate.
+ */
+
+const { StrategyError, sqrtBigInt, splitByWeight } = require('./common');
+
+const strategies = new Map();
+
+function registerStrategy(strategy) {
+  for (const field of ['name', 'configure', 'compute']) {
+    if (!strategy?.[field]) throw new Error(`Strategy is missing "${field}"`);
+  }
+  strategies.set(strategy.name, strategy);
+  return strategy;
+}
+
+function getStrategy(name) {
+  return strategies.get(name) || null;
+}
+
+function listStrategies() {
+  return Array.from(strategies.values()).map(s => ({ name: s.name, description: s.description || '' }));
+}
+
+// Accepts 'pro-rata' or { type: 'pro-rata', ...options }.
+function configureStrategy(input, context = {}) {
+  const config = typeof input === 'string' ? { type: input } : { ...(input || { type: 'manual' }) };
+  const strategy = getStrategy(config.type);
+  if (!strategy) {
+    throw new StrategyError(`Unknown strategy "${config.type}" (available: ${Array.from(strategies.keys()).join(', ')})`);
+  }
+  return { ...strategy.configure(config, context), type: strategy.name };
+}
+
+for (const strategy of [
+  require('./manual'),
+  require('./quadratic'),
+  require('./pro-rata'),
+  require('./equal'),
+  require('./fixed'),
+  require('./score')
+]) {
+  registerStrategy(strategy);
+}
+
+module.exports = {
+  StrategyError,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  configureStrategy,
+  sqrtBigInt,
+  splitByWeight
+};
@@ -0,0 +1,17 @@
+/**
+ * Captain-manual: the captain types each amount into /applications/:id/allocate.
+ */
+
+module.exports = {
+  name: 'manual',
+  description: 'Captain sets each allocation amount by hand',
+  manual: true,
+
+  configure() {
+    return {};
+  },
+
+  compute() {
+    return [];
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Pro-rata: approved projects get what they asked for, scaled down evenly
+ * when the requests add up to more than the budget.
+ */
+
+const { splitByWeight } = require('./common');
+
+module.exports = {
+  name: 'pro-rata',
+  description: 'Pay each approved requestAmount, scaled down proportionally if over budget',
+
+  configure() {
+    return {};
+  },
+
+  compute({ applications, budget }) {
+    const entries = applications
+      .map(a => ({ applicationId: a.id, weight: BigInt(a.requestAmount) }))
+      .filter(e => e.weight > 0n);
+    const totalRequested = entries.reduce((sum, e) => sum + e.weight, 0n);
+
+    if (totalRequested <= budget) {
+      return entries.map(e => ({ applicationId: e.applicationId, amount: e.weight }));
+    }
+    return splitByWeight(entries, budget);
+  }
+};
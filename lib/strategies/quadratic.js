@@ -0,0 +1,95 @@
+/**
+ * Quadratic funding: the matching pool is split in proportion to
+ * (sum of sqrt(contribution))^2 per project, so many small backers count
+ * for more than one large one.
+ *
+ * source 'contributions': passed to compute-allocations as
+ *   [{ applicationId, contributor, amount }] (amount in the ship's asset).
+ * source 'votes': the ship's quadratic-voting ballots. A voter's n votes
+ *   cost n^2 credits, so sqrt(credits) is simply n.
+ */
+
+const { ethers } = require('ethers');
+const { parseAmount } = require('../assets');
+const { StrategyError, sqrtBigInt, splitByWeight } = require('./common');
+
+const SOURCES = ['contributions', 'votes'];
+
+function parseContributions(contributions, eligible, asset) {
+  if (!Array.isArray(contributions)) {
+    throw new StrategyError('contributions array required: [{ applicationId, contributor, amount }]');
+  }
+
+  // Sum per contributor per project first, so splitting a donation does not game the match
+  const totals = new Map();
+  contributions.forEach((c, i) => {
+    if (!eligible.has(c?.applicationId)) return;
+    if (!c.contributor || !ethers.isAddress(c.contributor)) {
+      throw new StrategyError(`contributions[${i}]: invalid contributor address`);
+    }
+    let amount;
+    try {
+      amount = parseAmount(c.amount, asset);
+    } catch (e) {
+      throw new StrategyError(`contributions[${i}]: invalid amount`);
+    }
+    if (amount <= 0n) return;
+
+    const key = `${c.applicationId}:${c.contributor.toLowerCase()}`;
+    totals.set(key, (totals.get(key) || 0n) + amount);
+  });
+
+  const byProject = new Map();
+  for (const [key, amount] of totals) {
+    const applicationId = key.slice(0, key.lastIndexOf(':'));
+    if (!byProject.has(applicationId)) byProject.set(applicationId, []);
+    byProject.get(applicationId).push(amount);
+  }
+  return byProject;
+}
+
+function votesByProject(ballots, eligible) {
+  const byProject = new Map();
+  for (const ballot of ballots) {
+    for (const [applicationId, n] of Object.entries(ballot.votes)) {
+      if (!eligible.has(applicationId) || n <= 0) continue;
+      byProject.set(applicationId, (byProject.get(applicationId) || 0n) + BigInt(n));
+    }
+  }
+  return byProject;
+}
+
+module.exports = {
+  name: 'quadratic',
+  description: 'Quadratic funding: match in proportion to (sum of sqrt(contributions))^2',
+
+  configure(config) {
+    const source = config.source || 'contributions';
+    if (!SOURCES.includes(source)) {
+      throw new StrategyError(`quadratic source must be one of: ${SOURCES.join(', ')}`);
+    }
+    return { source };
+  },
+
+  compute({ ship, config, applications, budget, contributions, ballots }) {
+    const eligible = new Set(applications.map(a => a.id));
+
+    if (config.source === 'votes') {
+      if (!ship.voting?.enabled) throw new StrategyError('Ship has no voting phase');
+      if (ship.status === 'voting') throw new StrategyError('Voting is still open');
+      const entries = Array.from(votesByProject(ballots || [], eligible), ([applicationId, votes]) => ({
+        applicationId,
+        weight: votes * votes
+      }));
+      return splitByWeight(entries, budget);
+    }
+
+    const byProject = parseContributions(contributions, eligible, ship.asset);
+
+    const entries = Array.from(byProject, ([applicationId, amounts]) => {
+      const root = amounts.reduce((sum, amount) => sum + sqrtBigInt(amount), 0n);
+      return { applicationId, weight: root * root };
+    });
+    return splitByWeight(entries, budget);
+  }
+};
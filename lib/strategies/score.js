@@ -0,0 +1,32 @@
+/**
+ * Score-weighted: the budget is split in proportion to each approved
+ * project's committee score (see lib/reviews.js), optionally only above a
+ * minimum score and with an exponent to favour the top of the ranking.
+ */
+
+const { StrategyError, splitByWeight } = require('./common');
+
+module.exports = {
+  name: 'score',
+  description: 'Split the budget by committee review scores; options: minScore (0-100), exponent (1-4)',
+
+  configure(config) {
+    const minScore = Number(config.minScore ?? 0);
+    if (!(minScore >= 0 && minScore <= 100)) throw new StrategyError('score minScore must be between 0 and 100');
+    const exponent = Number(config.exponent ?? 1);
+    if (!Number.isSafeInteger(exponent) || exponent < 1 || exponent > 4) {
+      throw new StrategyError('score exponent must be an integer from 1 to 4');
+    }
+    return { minScore, exponent };
+  },
+
+  compute({ config, applications, budget, scores }) {
+    const entries = applications
+      .map(a => ({ applicationId: a.id, score: scores?.get(a.id)?.score }))
+      .filter(e => e.score !== null && e.score !== undefined && e.score >= config.minScore && e.score > 0)
+      .map(e => ({ applicationId: e.applicationId, weight: BigInt(Math.round(e.score * 100)) ** BigInt(config.exponent) }));
+
+    if (entries.length === 0) throw new StrategyError('No approved application has a review score above minScore');
+    return splitByWeight(entries, budget);
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Outbound URLs
+ *
+ * Webhooks and remote access lists make the server fetch URLs that users
+ * chose, so those URLs have to lead to the public internet: https only, to
+ * hosts whose every address is public. Loopback, private, shared,
+ * link-local (cloud metadata) and reserved ranges are refused.
+ *
+ * `allowLocal` (ALLOW_LOCAL_URLS=true, for development) also lets through
+ * http or https receivers on this machine.
+ *
+ * parseOutboundUrl() checks the text when a URL is saved; checkOutboundUrl()
+ * resolves the host, at save time and again before every request, since a
+ * name can be pointed elsewhere in between.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const loopback = new net.BlockList();
+loopback.addSubnet('127.0.0.0', 8, 'ipv4');
+loopback.addAddress('::1', 'ipv6');
+
+// One list per family: a BlockList matches IPv4 addresses against IPv6 rules too
+const nonPublic = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3] // multicast, reserved and broadcast
+]) {
+  nonPublic.ipv4.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::ffff:0:0', 96], // IPv4-mapped in hex; dotted ones are checked as IPv4
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  nonPublic.ipv6.addSubnet(prefix, bits, 'ipv6');
+}
+
+class UrlError extends Error {}
+
+// 'public', 'loopback' or 'private' (everything else a request must not reach)
+function addressKind(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return addressKind(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  if (loopback.check(address, family)) return 'loopback';
+  if (nonPublic[family].check(address, family)) return 'private';
+  return 'public';
+}
+
+function refuse(field, hostname, address, allowLocal) {
+  const kind = addressKind(address);
+  if (kind === 'private' || (kind === 'loopback' && !allowLocal)) {
+    throw new UrlError(`${field} must point at a public address (${hostname} is ${address})`);
+  }
+}
+
+// Text checks only; returns the normalised URL
+function parseOutboundUrl(input, { allowLocal = false, field = 'url' } = {}) {
+  let url;
+  try {
+    url = new URL(String(input));
+  } catch (e) {
+    throw new UrlError(`${field} must be a valid URL`);
+  }
+  const local = LOCAL_HOSTS.includes(url.hostname);
+  if (url.protocol !== 'https:' && !(allowLocal && local && url.protocol === 'http:')) {
+    throw new UrlError(`${field} must use https`);
+  }
+  if (local && !allowLocal) throw new UrlError(`${field} must point at a public address, not ${url.hostname}`);
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) refuse(field, hostname, hostname, allowLocal);
+  return url.toString();
+}
+
+// Resolves the host and throws UrlError unless every address it has is allowed
+async function checkOutboundUrl(input, { allowLocal = false, field = 'url', lookup = (...args) => dns.promises.lookup(...args) } = {}) {
+  const url = new URL(parseOutboundUrl(input, { allowLocal, field }));
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return url.toString();
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true, verbatim: true });
+  } catch (err) {
+    throw new UrlError(`${field} host ${hostname} does not resolve`);
+  }
+  for (const { address } of addresses) refuse(field, hostname, address, allowLocal);
+  return url.toString();
+}
+
+module.exports = { UrlError, addressKind, parseOutboundUrl, checkOutboundUrl };
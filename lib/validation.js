@@ -0,0 +1,121 @@
+/**
+ * Request validation
+ *
+ * Routes declare the shape of their body as a schema (see lib/schemas.js)
+ * and validateBody() checks it before the handler runs. Every failure has
+ * the same shape:
+ *
+ *   400 { error: 'Invalid request: <first problem>', details: [{ field, message }] }
+ *
+ * Schemas check types and sizes only; rules that need stored state
+ * (phases, ownership, per-ship limits) stay in the routes.
+ *
+ * Field rules:
+ *
+ *   type        string, number, integer, boolean, array, object, address,
+ *               url, amount, hash or any; or a list of them
+ *   required    must be present (undefined, null and '' count as absent)
+ *   minLength, maxLength   strings (maxLength defaults to 10000)
+ *   min, max    numbers
+ *   enum        allowed values
+ *   maxItems, items        arrays, with a rule for every element
+ *   maxKeys, properties, values   objects: rules per known key, or for every value
+ */
+
+const { ethers } = require('ethers');
+
+const DEFAULT_MAX_LENGTH = 10000;
+
+const TYPES = {
+  string: { check: v => typeof v === 'string', name: 'text' },
+  number: { check: v => typeof v === 'number' && Number.isFinite(v), name: 'a number' },
+  integer: { check: v => Number.isSafeInteger(v), name: 'a whole number' },
+  boolean: { check: v => typeof v === 'boolean', name: 'true or false' },
+  array: { check: v => Array.isArray(v), name: 'a list' },
+  object: { check: v => v !== null && typeof v === 'object' && !Array.isArray(v), name: 'an object' },
+  address: { check: v => typeof v === 'string' && ethers.isAddress(v), name: 'an address' },
+  url: { check: v => typeof v === 'string' && /^https?:\/\/\S+$/i.test(v), name: 'an http(s) URL' },
+  amount: { check: v => (typeof v === 'string' || typeof v === 'number') && /^\d+(\.\d+)?$/.test(String(v)), name: 'a decimal amount' },
+  hash: { check: v => typeof v === 'string' && /^0x[0-9a-fA-F]{64}$/.test(v), name: 'a 32-byte hex hash' },
+  any: { check: () => true, name: 'anything' }
+};
+
+class ValidationError extends Error {
+  constructor(details) {
+    super(`Invalid request: ${details[0].field}: ${details[0].message}`);
+    this.details = details;
+  }
+}
+
+const isAbsent = value => value === undefined || value === null || value === '';
+
+function checkValue(rule, value, field, errors) {
+  const types = [].concat(rule.type || 'any');
+  const type = types.find(t => TYPES[t].check(value));
+  if (!type) {
+    errors.push({ field, message: `must be ${types.map(t => TYPES[t].name).join(' or ')}` });
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    const maxLength = rule.maxLength ?? DEFAULT_MAX_LENGTH;
+    if (value.length > maxLength) errors.push({ field, message: `at most ${maxLength} characters` });
+    if (rule.minLength && value.length < rule.minLength) errors.push({ field, message: `at least ${rule.minLength} characters` });
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) errors.push({ field, message: `must be at least ${rule.min}` });
+    if (rule.max !== undefined && value > rule.max) errors.push({ field, message: `must be at most ${rule.max}` });
+  }
+  if (type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `at most ${rule.maxItems} items` });
+      return;
+    }
+    if (rule.items) value.forEach((item, i) => checkValue(rule.items, item, `${field}[${i}]`, errors));
+  }
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    if (rule.maxKeys !== undefined && keys.length > rule.maxKeys) {
+      errors.push({ field, message: `at most ${rule.maxKeys} keys` });
+      return;
+    }
+    if (rule.properties) checkProperties(rule.properties, value, `${field}.`, errors);
+    if (rule.values) keys.forEach(key => checkValue(rule.values, value[key], `${field}.${key}`, errors));
+  }
+}
+
+function checkProperties(properties, body, prefix, errors) {
+  for (const [key, rule] of Object.entries(properties)) {
+    const field = `${prefix}${key}`;
+    if (isAbsent(body[key])) {
+      if (rule.required) errors.push({ field, message: 'required' });
+      continue;
+    }
+    checkValue(rule, body[key], field, errors);
+  }
+}
+
+// Throws ValidationError listing every problem; unknown keys are left alone
+function validate(schema, body) {
+  const errors = [];
+  checkProperties(schema, body || {}, '', errors);
+  if (errors.length > 0) throw new ValidationError(errors);
+}
+
+function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      validate(schema, req.body);
+    } catch (err) {
+      if (err instanceof ValidationError) return res.status(400).json({ error: err.message, details: err.details });
+      return next(err);
+    }
+    next();
+  };
+}
+
+module.exports = { ValidationError, DEFAULT_MAX_LENGTH, validate, validateBody };
@@ -0,0 +1,77 @@
+/**
+ * Quadratic voting
+ *
+ * Each whitelisted voter gets `creditsPerVoter` voice credits per ship and
+ * one ballot. Putting n votes on an application costs n^2 credits; a voter
+ * can revise their ballot while the ship is in its voting phase, but never
+ * spend more than their budget across all applications.
+ */
+
+const DEFAULT_CREDITS = 100;
+const DEFAULT_VOTING_DAYS = 7;
+
+class VotingError extends Error {}
+
+// The voting window itself lives in ship.schedule.voting (see lib/lifecycle).
+function configureVoting(input) {
+  if (!input) return { enabled: false };
+
+  const creditsPerVoter = Number(input.creditsPerVoter ?? DEFAULT_CREDITS);
+  if (!Number.isSafeInteger(creditsPerVoter) || creditsPerVoter <= 0) {
+    throw new VotingError('voting.creditsPerVoter must be a positive integer');
+  }
+  const durationDays = Number(input.durationDays ?? DEFAULT_VOTING_DAYS);
+  if (!(durationDays > 0)) {
+    throw new VotingError('voting.durationDays must be positive');
+  }
+
+  return {
+    enabled: true,
+    creditsPerVoter,
+    durationDays
+  };
+}
+
+// Set the voter's votes on one application, replacing any earlier choice.
+function castVote(ballot, applicationId, votes, creditsPerVoter) {
+  if (!Number.isSafeInteger(votes) || votes < 0) {
+    throw new VotingError('votes must be a non-negative integer');
+  }
+
+  const next = { ...ballot.votes, [applicationId]: votes };
+  if (votes === 0) delete next[applicationId];
+
+  const creditsSpent = Object.values(next).reduce((sum, n) => sum + n * n, 0);
+  if (creditsSpent > creditsPerVoter) {
+    throw new VotingError(`Ballot would cost ${creditsSpent} credits; budget is ${creditsPerVoter}`);
+  }
+
+  ballot.votes = next;
+  ballot.creditsSpent = creditsSpent;
+  ballot.updatedAt = Date.now();
+  return ballot;
+}
+
+// Per-application totals across a ship's ballots, highest first.
+function tally(ballots, applications) {
+  const rows = new Map(applications.map(a => [a.id, {
+    applicationId: a.id,
+    projectName: a.projectName,
+    votes: 0,
+    credits: 0,
+    voters: 0
+  }]));
+
+  for (const ballot of ballots) {
+    for (const [applicationId, n] of Object.entries(ballot.votes)) {
+      const row = rows.get(applicationId);
+      if (!row) continue;
+      row.votes += n;
+      row.credits += n * n;
+      row.voters += 1;
+    }
+  }
+  return Array.from(rows.values()).sort((a, b) => b.votes - a.votes);
+}
+
+module.exports = { VotingError, configureVoting, castVote, tally };
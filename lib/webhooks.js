@@ -0,0 +1,173 @@
+/**
+ * Webhooks
+ *
+ * Subscribers register a URL, the event types they want and optionally a
+ * shipId. Each matching event becomes a delivery record that is POSTed as
+ * JSON with:
+ *
+ *   X-GrantShips-Event      event type
+ *   X-GrantShips-Delivery   delivery id (stable across retries)
+ *   X-GrantShips-Timestamp  unix seconds of this attempt
+ *   X-GrantShips-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Any non-2xx response or network error is retried with exponential
+ * backoff until maxAttempts, after which the delivery is marked failed.
+ * Pending deliveries are persisted, so resume() picks them up after a
+ * restart. URLs pass the outbound guard in ./urls.js when registered and
+ * before every attempt.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_TYPES, matchesFilter } = require('./events');
+const { UrlError, checkOutboundUrl } = require('./urls');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // finished deliveries kept for inspection
+
+class WebhookError extends Error {}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+
+function parseEventTypes(input) {
+  const types = input === undefined ? ['*'] : input;
+  if (!Array.isArray(types) || types.length === 0) throw new WebhookError('events must be a non-empty array');
+  const unknown = types.filter(t => t !== '*' && !EVENT_TYPES.includes(t));
+  if (unknown.length > 0) throw new WebhookError(`Unknown events: ${unknown.join(', ')} (available: ${EVENT_TYPES.join(', ')})`);
+  return Array.from(new Set(types));
+}
+
+function createWebhookDispatcher({ webhooks, deliveries, maxAttempts = 6, backoffMs = 5000, timeoutMs = 10000, allowLocalUrls = false, fetchImpl = (...args) => fetch(...args), lookup }) {
+  const timers = new Map();
+  const checkUrl = url => checkOutboundUrl(url, { allowLocal: allowLocalUrls, lookup });
+
+  async function register({ url, events, shipId, owner }) {
+    const types = parseEventTypes(events);
+    let checked;
+    try {
+      checked = await checkUrl(url);
+    } catch (err) {
+      if (err instanceof UrlError) throw new WebhookError(err.message);
+      throw err;
+    }
+    const webhook = {
+      id: uuidv4(),
+      url: checked,
+      events: types,
+      shipId: shipId || null,
+      owner,
+      secret: crypto.randomBytes(32).toString('hex'),
+      active: true,
+      createdAt: Date.now()
+    };
+    webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  function schedule(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const delay = Math.max(0, delivery.nextAttemptAt - Date.now());
+    const timer = setTimeout(() => attempt(delivery.id), delay);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(deliveryId) {
+    timers.delete(deliveryId);
+    const delivery = deliveries.get(deliveryId);
+    const webhook = delivery && webhooks.get(delivery.webhookId);
+    if (!delivery || delivery.status !== 'pending') return;
+    if (!webhook?.active) {
+      Object.assign(delivery, { status: 'failed', lastError: 'Webhook removed' });
+      deliveries.set(delivery.id, delivery);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts += 1;
+
+    let error = null;
+    try {
+      await checkUrl(webhook.url);
+      const res = await fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'GrantShips-Webhooks/1',
+          'x-grantships-event': delivery.event.type,
+          'x-grantships-delivery': delivery.id,
+          'x-grantships-timestamp': String(timestamp),
+          'x-grantships-signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      delivery.responseStatus = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      Object.assign(delivery, { status: 'delivered', lastError: null, deliveredAt: Date.now() });
+    } else if (delivery.attempts >= maxAttempts) {
+      Object.assign(delivery, { status: 'failed', lastError: error });
+      console.error(`[WEBHOOK FAILED] ${delivery.event.type} to ${webhook.url}: ${error}`);
+    } else {
+      Object.assign(delivery, {
+        lastError: error,
+        nextAttemptAt: Date.now() + backoffMs * 2 ** (delivery.attempts - 1)
+      });
+      schedule(delivery);
+    }
+    delivery.updatedAt = Date.now();
+    deliveries.set(delivery.id, delivery);
+  }
+
+  // Event bus subscriber: queue a delivery per matching webhook
+  function dispatch(event) {
+    for (const webhook of webhooks.values()) {
+      if (!webhook.active || !matchesFilter(event, { shipId: webhook.shipId, types: webhook.events })) continue;
+      const now = Date.now();
+      const delivery = {
+        id: uuidv4(),
+        webhookId: webhook.id,
+        event,
+        status: 'pending',
+        attempts: 0,
+        responseStatus: null,
+        lastError: null,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now
+      };
+      deliveries.set(delivery.id, delivery);
+      schedule(delivery);
+    }
+  }
+
+  // Reschedule pending deliveries after a restart and drop old finished ones
+  function resume() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const delivery of Array.from(deliveries.values())) {
+      if (delivery.status === 'pending') schedule(delivery);
+      else if (delivery.updatedAt < cutoff) deliveries.delete(delivery.id);
+    }
+  }
+
+  function remove(webhookId) {
+    const webhook = webhooks.get(webhookId);
+    if (!webhook) return null;
+    webhook.active = false;
+    webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  return { register, dispatch, resume, remove };
+}
+
+module.exports = { WebhookError, DELIVERY_STATUSES, createWebhookDispatcher, sign };
@@ -0,0 +1,814 @@
+/**
+ * Grant Ships dashboard
+ *
+ * A single page over the public API, routed by the URL hash:
+ *
+ *   #/                         ships with budgets and progress
+ *   #/new                      launch a ship
+ *   #/ships/:id                overview: schedule, applications, allocations
+ *   #/ships/:id/apply          application form built from the ship's form
+ *   #/ships/:id/fund           send to the treasury, then credit it with /fund
+ *   #/ships/:id/review         captain queue: approve, reject, allocate, phases
+ *   #/ships/:id/distributions  payouts with explorer links; distribute, retry
+ *
+ * Writes are signed by the connected wallet with eth_signTypedData_v4,
+ * using the EIP-712 domain and types published at /agent: the same
+ * requests any other client sends (see lib/auth.js). Everything from the
+ * API is rendered as text nodes, never as HTML.
+ */
+
+const view = document.getElementById('view');
+const walletButton = document.getElementById('wallet');
+
+const state = {
+  config: null,   // { chainId, explorer, treasury, fundingConfirmations, domain, types, strategies }
+  account: null   // lowercase address of the connected wallet
+};
+
+const TABS = [
+  ['', 'Overview'],
+  ['apply', 'Apply'],
+  ['fund', 'Fund'],
+  ['review', 'Review'],
+  ['distributions', 'Distributions']
+];
+
+const CHAINS = {
+  8453: { chainName: 'Base', rpcUrls: ['https://mainnet.base.org'], blockExplorerUrls: ['https://basescan.org'] },
+  84532: { chainName: 'Base Sepolia', rpcUrls: ['https://sepolia.base.org'], blockExplorerUrls: ['https://sepolia.basescan.org'] }
+};
+
+// ============================================================================
+// DOM
+// ============================================================================
+
+// el('a', { href, class, onclick }, 'text', otherNode): children are text or nodes
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    if (value === undefined || value === null || value === false) continue;
+    if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else if (key === 'class') node.className = value;
+    else if (key === 'href') node.setAttribute('href', safeHref(value));
+    else if (key in node && typeof value !== 'string') node[key] = value;
+    else node.setAttribute(key, value === true ? '' : value);
+  }
+  for (const child of children.flat()) {
+    if (child === undefined || child === null || child === false) continue;
+    node.append(child instanceof Node ? child : String(child));
+  }
+  return node;
+}
+
+// Applicant-supplied links are shown only when they are plain web links
+function safeHref(value) {
+  const href = String(value);
+  if (href.startsWith('#') || href.startsWith('/')) return href;
+  try {
+    const url = new URL(href);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : '#';
+  } catch (e) {
+    return '#';
+  }
+}
+
+const notice = (text, kind = '') => el('div', { class: `notice ${kind}` }, text);
+const badge = (text, kind = text) => el('span', { class: `badge ${kind}` }, String(text).replace(/_/g, ' '));
+
+function toast(message, kind = 'ok') {
+  const node = el('div', { class: `toast ${kind}` }, message);
+  document.getElementById('toasts').append(node);
+  setTimeout(() => node.remove(), kind === 'error' ? 9000 : 5000);
+}
+
+// Runs an action from a button, disabling it meanwhile and reporting failures
+async function act(button, action) {
+  button.disabled = true;
+  try {
+    return await action();
+  } catch (err) {
+    toast(err.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function field(label, input, { hint, required } = {}) {
+  return el('label', {}, el('span', { class: required ? 'required' : '' }, label), input, hint && el('span', { class: 'hint' }, hint));
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatUnits(units, decimals, digits = 6) {
+  const value = BigInt(units || 0);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const base = 10n ** BigInt(decimals);
+  const fraction = (abs % base).toString().padStart(decimals, '0').slice(0, digits).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${(abs / base).toLocaleString('en-US')}${fraction ? `.${fraction}` : ''}`;
+}
+
+function parseUnits(text, decimals) {
+  const value = String(text).trim();
+  if (!/^\d+(\.\d+)?$/.test(value)) throw new Error('Enter an amount like 1.5');
+  const [whole, fraction = ''] = value.split('.');
+  if (fraction.length > decimals) throw new Error(`At most ${decimals} decimals`);
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+const amount = (units, asset) => `${formatUnits(units, asset.decimals)} ${asset.symbol}`;
+const short = address => (address ? `${address.slice(0, 6)}…${address.slice(-4)}` : '');
+const percent = (part, whole) => (BigInt(whole) === 0n ? 0 : Math.min(100, Number((BigInt(part) * 10000n) / BigInt(whole)) / 100));
+const date = ms => (ms ? new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+function relative(ms) {
+  const minutes = Math.round((ms - Date.now()) / 60000);
+  const [value, unit] = Math.abs(minutes) >= 2880 ? [Math.round(minutes / 1440), 'day']
+    : Math.abs(minutes) >= 120 ? [Math.round(minutes / 60), 'hour'] : [minutes, 'minute'];
+  return new Intl.RelativeTimeFormat('en', { numeric: 'auto' }).format(value, unit);
+}
+
+const explorerLink = (kind, value, text = short(value)) =>
+  el('a', { href: `${state.config.explorer}/${kind}/${value}`, target: '_blank', rel: 'noopener', class: 'mono' }, text);
+
+function meter(label, part, whole, asset, kind = '') {
+  return el('div', { class: 'meter small' },
+    el('div', { class: 'row spread' }, el('span', { class: 'muted' }, label), el('span', {}, amount(part, asset))),
+    el('div', { class: `progress ${kind}` }, el('span', { style: `width: ${percent(part, whole)}%` })));
+}
+
+// ============================================================================
+// API & WALLET
+// ============================================================================
+
+class ApiError extends Error {
+  constructor(status, body) {
+    const details = (body?.details || []).map(d => (d.field ? `${d.field}: ${d.message}` : d.message || String(d)));
+    super(body?.error ? [body.error, ...details.slice(1)].join('; ') : `Request failed (${status})`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function api(method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(res.status, data);
+  return data;
+}
+
+// Same serialisation as the server: keys sorted at every level
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function ethereum() {
+  if (!window.ethereum) throw new Error('No wallet found. Install a browser wallet such as MetaMask or Coinbase Wallet.');
+  return window.ethereum;
+}
+
+async function connect() {
+  const [account] = await ethereum().request({ method: 'eth_requestAccounts' });
+  setAccount(account);
+  return state.account;
+}
+
+function setAccount(account) {
+  const next = account ? account.toLowerCase() : null;
+  if (next === state.account) return;
+  state.account = next;
+  walletButton.textContent = next ? short(next) : 'Connect wallet';
+  route();
+}
+
+// Wallets refuse typed data for another chain, and funding must land on Base
+async function ensureChain() {
+  const wanted = `0x${state.config.chainId.toString(16)}`;
+  if ((await ethereum().request({ method: 'eth_chainId' })) === wanted) return;
+  try {
+    await ethereum().request({ method: 'wallet_switchEthereumChain', params: [{ chainId: wanted }] });
+  } catch (err) {
+    const chain = CHAINS[state.config.chainId];
+    if (err.code !== 4902 || !chain) throw err;
+    await ethereum().request({
+      method: 'wallet_addEthereumChain',
+      params: [{ chainId: wanted, nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, ...chain }]
+    });
+  }
+}
+
+// A signed API call from the connected wallet
+async function signed(method, path, payload = {}) {
+  const account = state.account || await connect();
+  await ensureChain();
+  const message = {
+    action: `${method} ${path.split('?')[0]}`,
+    payload: canonicalJSON(payload),
+    nonce: crypto.randomUUID(),
+    expiry: Math.floor(Date.now() / 1000) + 600
+  };
+  const { domain, types } = state.config;
+  const typedData = {
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' }
+      ],
+      ...types
+    },
+    primaryType: 'Action',
+    domain,
+    message
+  };
+  const signature = await ethereum().request({ method: 'eth_signTypedData_v4', params: [account, JSON.stringify(typedData)] });
+  return api(method, path, { ...payload, auth: { signature, nonce: message.nonce, expiry: message.expiry } });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+let renders = 0;
+
+async function route() {
+  if (!state.config) return;
+  const hash = location.hash || '#/';
+  const render = ++renders;
+  view.replaceChildren(el('p', { class: 'muted' }, 'Loading…'));
+
+  let page;
+  try {
+    const ship = hash.match(/^#\/ships\/([^/?]+)(?:\/([a-z]+))?/);
+    if (ship) page = await shipPage(decodeURIComponent(ship[1]), ship[2] || '');
+    else if (hash.startsWith('#/new')) page = newShipPage();
+    else page = await shipsPage();
+  } catch (err) {
+    page = notice(err.message, 'error');
+  }
+  if (render === renders) view.replaceChildren(page);
+}
+
+const refresh = () => route();
+
+// ============================================================================
+// SHIPS
+// ============================================================================
+
+function currentPhaseEnd(ship) {
+  const phase = ship.schedule?.[ship.status === 'draft' ? 'open' : ship.status];
+  if (ship.status === 'draft') return phase && `opens ${relative(phase.startDate)}`;
+  return phase?.endDate && `${ship.status} ends ${relative(phase.endDate)}`;
+}
+
+function shipCard(ship) {
+  return el('div', { class: 'card' },
+    el('div', { class: 'row spread' }, el('h3', {}, el('a', { href: `#/ships/${ship.id}` }, ship.name)), badge(ship.status)),
+    ship.description && el('p', { class: 'muted small' }, ship.description.length > 140 ? `${ship.description.slice(0, 140)}…` : ship.description),
+    el('div', { class: 'row spread small' }, el('span', {}, `Budget ${amount(ship.budget, ship.asset)}`), el('span', { class: 'muted' }, currentPhaseEnd(ship) || '')),
+    meter('Allocated', ship.allocated, ship.budget, ship.asset),
+    meter('Distributed', ship.distributed, ship.budget, ship.asset, 'paid'));
+}
+
+async function shipsPage() {
+  const params = new URLSearchParams(location.hash.split('?')[1] || '');
+  const grid = el('div', { class: 'grid' });
+  const more = el('button', { class: 'button', hidden: true });
+
+  async function load(cursor) {
+    const query = new URLSearchParams({ limit: '24' });
+    for (const key of ['status', 'q']) if (params.get(key)) query.set(key, params.get(key));
+    if (cursor) query.set('cursor', cursor);
+    const page = await api('GET', `/ships?${query}`);
+    grid.append(...page.items.map(shipCard));
+    if (!cursor && page.items.length === 0) grid.append(notice('No ships match. Launch one!'));
+    more.hidden = !page.nextCursor;
+    more.onclick = () => act(more, () => load(page.nextCursor));
+  }
+  await load();
+
+  const search = el('input', { type: 'search', placeholder: 'Search ships and projects', value: params.get('q') || '' });
+  const status = el('select', {},
+    el('option', { value: '' }, 'Any phase'),
+    ...['draft', 'open', 'review', 'voting', 'allocation', 'distributing', 'completed', 'cancelled']
+      .map(s => el('option', { value: s, selected: params.get('status') === s }, s)));
+  const filter = event => {
+    event.preventDefault();
+    const next = new URLSearchParams();
+    if (search.value.trim()) next.set('q', search.value.trim());
+    if (status.value) next.set('status', status.value);
+    location.hash = `#/?${next}`;
+  };
+
+  return el('div', {},
+    el('div', { class: 'hero' },
+      el('h1', {}, '🚢 Grant Ships'),
+      el('p', {}, 'Launch modular grant rounds. Configure budget, criteria, duration. Accept applications. Distribute to approved projects.')),
+    el('form', { class: 'row', style: 'margin-bottom: 1rem', onsubmit: filter },
+      el('div', { style: 'flex: 1' }, search), status, el('button', { class: 'button' }, 'Filter')),
+    grid,
+    el('div', { class: 'row', style: 'justify-content: center; margin-top: 1rem' }, more));
+}
+
+function newShipPage() {
+  const questions = el('div', { class: 'stack' });
+  const addQuestion = () => {
+    const type = el('select', {}, ...['text', 'url', 'number', 'boolean', 'select', 'multiselect'].map(t => el('option', { value: t }, t)));
+    const row = el('div', { class: 'row question' },
+      el('input', { placeholder: 'Question', name: 'label', style: 'flex: 2' }),
+      type,
+      el('input', { placeholder: 'Options (comma separated)', name: 'options', style: 'flex: 1' }),
+      el('label', { class: 'choice small' }, el('input', { type: 'checkbox', name: 'required', checked: true }), 'required'),
+      el('button', { type: 'button', class: 'button link', onclick: () => row.remove() }, 'remove'));
+    questions.append(row);
+  };
+
+  const input = (name, attrs = {}) => el('input', { name, ...attrs });
+  const form = el('form', { class: 'stack' },
+    field('Name', input('name', { required: true, maxLength: 200 }), { required: true }),
+    field('Description', el('textarea', { name: 'description' })),
+    field('Criteria', el('textarea', { name: 'criteria', placeholder: 'open source\nactive development' }), { hint: 'One per line; they become the review rubric and are shown to applicants' }),
+    el('div', { class: 'row' },
+      field('Applications open (days)', input('durationDays', { type: 'number', min: 0, step: 'any', value: 14 })),
+      field('Review (days)', input('reviewDays', { type: 'number', min: 0, step: 'any', value: 7 })),
+      field('Allocation (days)', input('allocationDays', { type: 'number', min: 0, step: 'any', value: 14 }))),
+    el('div', { class: 'row' },
+      field('Asset', input('asset', { value: 'ETH' }), { hint: 'ETH, USDC or a token address' }),
+      field('Strategy', el('select', { name: 'strategy' }, ...state.config.strategies.map(s => el('option', { value: s.name, title: s.description }, s.name))))),
+    el('div', { class: 'stack' }, el('strong', {}, 'Application questions'), questions,
+      el('button', { type: 'button', class: 'button', onclick: addQuestion }, 'Add question')),
+    el('button', { class: 'button primary' }, 'Launch ship'));
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const body = {
+      name: data.get('name').trim(),
+      description: data.get('description').trim() || undefined,
+      criteria: data.get('criteria').split('\n').map(c => c.trim()).filter(Boolean),
+      durationDays: Number(data.get('durationDays')),
+      reviewDays: Number(data.get('reviewDays')),
+      allocationDays: Number(data.get('allocationDays')),
+      asset: data.get('asset').trim() || 'ETH',
+      strategy: data.get('strategy'),
+      form: Array.from(questions.querySelectorAll('.question')).map(row => {
+        const options = row.querySelector('[name=options]').value.split(',').map(o => o.trim()).filter(Boolean);
+        return {
+          label: row.querySelector('[name=label]').value.trim(),
+          type: row.querySelector('select').value,
+          required: row.querySelector('[name=required]').checked,
+          options: options.length > 0 ? options : undefined
+        };
+      }).filter(q => q.label)
+    };
+    act(form.querySelector('button.primary'), async () => {
+      const ship = await signed('POST', '/ships', body);
+      toast(`${ship.name} launched`);
+      location.hash = `#/ships/${ship.id}/fund`;
+    });
+  });
+
+  return el('div', {}, el('h1', {}, 'Launch a ship'), el('p', { class: 'muted', style: 'margin-bottom: 1rem' }, 'You sign as captain: you review applications, allocate and distribute.'), el('div', { class: 'card' }, form));
+}
+
+// ============================================================================
+// SHIP PAGES
+// ============================================================================
+
+async function shipPage(id, tab) {
+  const ship = await api('GET', `/ships/${encodeURIComponent(id)}`);
+  const pages = { '': overviewTab, apply: applyTab, fund: fundTab, review: reviewTab, distributions: distributionsTab };
+  const render = pages[tab] || overviewTab;
+
+  const phases = ['open', 'review', 'voting', 'allocation'].filter(p => ship.schedule?.[p]);
+  return el('div', {},
+    el('div', { class: 'row spread' }, el('h1', {}, ship.name), badge(ship.status)),
+    el('p', { class: 'muted small' }, 'Captain ', explorerLink('address', ship.captain), ` · ${ship.asset.symbol} · ${ship.strategy.type} strategy`),
+    ship.description && el('p', { style: 'margin-top: 0.5rem' }, ship.description),
+    el('div', { class: 'timeline' }, ...phases.map(p => el('div', { class: `phase ${ship.status === p ? 'current' : ''}` },
+      el('strong', {}, p), `${date(ship.schedule[p].startDate)} → ${date(ship.schedule[p].endDate)}`))),
+    el('div', { class: 'card stack' },
+      el('div', { class: 'row spread' }, el('strong', {}, `Budget ${amount(ship.budget, ship.asset)}`), el('span', { class: 'muted small' }, `Unallocated ${amount(BigInt(ship.budget) - BigInt(ship.allocated), ship.asset)}`)),
+      meter('Allocated', ship.allocated, ship.budget, ship.asset),
+      meter('Distributed', ship.distributed, ship.budget, ship.asset, 'paid')),
+    el('nav', { class: 'tabs' }, ...TABS.map(([key, label]) =>
+      el('a', { href: `#/ships/${ship.id}${key ? `/${key}` : ''}`, class: key === tab ? 'active' : '' }, label))),
+    await render(ship));
+}
+
+function applicationRow(ship, a) {
+  return el('tr', {},
+    el('td', {}, a.projectName, a.flags?.length ? [' ', badge('possible duplicate', 'flag')] : null),
+    el('td', {}, explorerLink('address', a.applicant)),
+    el('td', { class: 'num' }, amount(a.requestAmount, ship.asset)),
+    el('td', { class: 'num' }, amount(a.allocation, ship.asset)),
+    el('td', {}, badge(a.status)));
+}
+
+async function overviewTab(ship) {
+  const visible = ship.applications.filter(a => a.status !== 'withdrawn');
+  return el('div', { class: 'stack' },
+    ship.criteria.length > 0 && el('div', { class: 'card' }, el('h3', {}, 'Criteria'), el('ul', { style: 'padding-left: 1.25rem' }, ...ship.criteria.map(c => el('li', {}, c)))),
+    el('div', { class: 'card' },
+      el('h3', { style: 'margin-bottom: 0.5rem' }, `Applications (${visible.length})`),
+      visible.length === 0 ? el('p', { class: 'muted' }, 'No applications yet.') : el('table', {},
+        el('thead', {}, el('tr', {}, el('th', {}, 'Project'), el('th', {}, 'Applicant'), el('th', { class: 'num' }, 'Requested'), el('th', { class: 'num' }, 'Allocated'), el('th', {}, 'Status'))),
+        el('tbody', {}, ...visible.map(a => applicationRow(ship, a))))));
+}
+
+// ============================================================================
+// APPLY
+// ============================================================================
+
+function questionInput(question) {
+  const name = `answer:${question.id}`;
+  switch (question.type) {
+    case 'boolean':
+      return el('label', { class: 'choice' }, el('input', { type: 'checkbox', name }), question.label);
+    case 'select':
+      return el('select', { name, required: question.required }, el('option', { value: '' }, 'Choose…'), ...question.options.map(o => el('option', { value: o }, o)));
+    case 'multiselect':
+      return el('div', {}, ...question.options.map(o => el('label', { class: 'choice' }, el('input', { type: 'checkbox', name, value: o }), o)));
+    case 'number':
+      return el('input', { type: 'number', step: 'any', name, required: question.required });
+    case 'url':
+      return el('input', { type: 'url', name, required: question.required, placeholder: 'https://' });
+    default:
+      return el('textarea', { name, required: question.required, maxLength: question.maxLength });
+  }
+}
+
+function answersFrom(ship, data) {
+  const answers = {};
+  for (const q of ship.form) {
+    const key = `answer:${q.id}`;
+    if (q.type === 'boolean') answers[q.id] = data.has(key);
+    else if (q.type === 'multiselect') answers[q.id] = data.getAll(key);
+    else if (q.type === 'number') {
+      if (data.get(key) !== '') answers[q.id] = Number(data.get(key));
+    } else if (data.get(key).trim() !== '') answers[q.id] = data.get(key).trim();
+  }
+  return answers;
+}
+
+async function applyTab(ship) {
+  const mine = state.account && ship.applications.find(a => a.applicant === state.account && a.status !== 'withdrawn');
+  if (mine) {
+    return el('div', { class: 'card stack' },
+      el('div', { class: 'row spread' }, el('h3', {}, mine.projectName), badge(mine.status)),
+      el('p', { class: 'muted' }, `You applied ${relative(mine.createdAt)} for ${amount(mine.requestAmount, ship.asset)}.`),
+      mine.reviewNotes.filter(n => n.note).map(n => notice(`${n.kind.replace(/_/g, ' ')}: ${n.note}`)),
+      mine.status === 'rejected' && mine.rejectionReason && notice(`Reason: ${mine.rejectionReason}`, 'error'));
+  }
+  if (ship.status !== 'open') return notice(`Applications are closed: the ship is in ${ship.status}.`);
+
+  const limits = ship.limits || {};
+  const form = el('form', { class: 'stack' },
+    field('Project name', el('input', { name: 'projectName', required: true, maxLength: 200 }), { required: true }),
+    field('Description', el('textarea', { name: 'description', maxLength: limits.maxDescriptionLength }), { hint: limits.maxDescriptionLength && `Up to ${limits.maxDescriptionLength} characters` }),
+    field(`Requested amount (${ship.asset.symbol})`, el('input', { name: 'requestAmount', inputMode: 'decimal', placeholder: '0.5' })),
+    limits.maxLinks !== 0 && field('Links', el('textarea', { name: 'links', placeholder: 'https://github.com/…' }), { hint: `One per line${limits.maxLinks ? `, up to ${limits.maxLinks}` : ''}` }),
+    ...ship.form.map(q => (q.type === 'boolean'
+      ? questionInput(q)
+      : field(q.label, questionInput(q), { required: q.required, hint: q.maxLength && `Up to ${q.maxLength} characters` }))),
+    el('button', { class: 'button primary' }, 'Sign & submit application'));
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const body = {
+      projectName: data.get('projectName').trim(),
+      description: data.get('description').trim() || undefined,
+      requestAmount: data.get('requestAmount').trim() || undefined,
+      links: (data.get('links') || '').split('\n').map(l => l.trim()).filter(Boolean),
+      answers: answersFrom(ship, data)
+    };
+    act(form.querySelector('button.primary'), async () => {
+      if (body.requestAmount) parseUnits(body.requestAmount, ship.asset.decimals);
+      const application = await signed('POST', `/ships/${ship.id}/apply`, body);
+      toast(application.flags?.length ? 'Submitted. It resembles another application, so the captain will take a closer look.' : 'Application submitted');
+      location.hash = `#/ships/${ship.id}`;
+    });
+  });
+
+  return el('div', { class: 'stack' },
+    ship.criteria.length > 0 && el('div', { class: 'card' }, el('h3', {}, 'What the captain looks for'), el('ul', { style: 'padding-left: 1.25rem' }, ...ship.criteria.map(c => el('li', {}, c)))),
+    el('div', { class: 'card' }, form));
+}
+
+// ============================================================================
+// FUND
+// ============================================================================
+
+// ERC-20 transfer(to, amount) calldata
+function transferData(to, units) {
+  return `0xa9059cbb${to.slice(2).toLowerCase().padStart(64, '0')}${units.toString(16).padStart(64, '0')}`;
+}
+
+async function waitForConfirmations(txHash, needed, progress) {
+  const deadline = Date.now() + 15 * 60 * 1000;
+  while (Date.now() < deadline) {
+    const receipt = await ethereum().request({ method: 'eth_getTransactionReceipt', params: [txHash] });
+    if (receipt) {
+      if (receipt.status === '0x0') throw new Error('The transaction failed on chain');
+      const head = parseInt(await ethereum().request({ method: 'eth_blockNumber' }), 16);
+      const have = head - parseInt(receipt.blockNumber, 16) + 1;
+      progress(`${Math.min(have, needed)} of ${needed} confirmations`);
+      if (have >= needed) return;
+    }
+    await sleep(3000);
+  }
+  throw new Error('Still unconfirmed; credit it below with the transaction hash once it is mined');
+}
+
+// POST /fund, waiting out "not enough confirmations" answers
+async function credit(ship, txHash, progress) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await signed('POST', `/ships/${ship.id}/fund`, { txHash });
+    } catch (err) {
+      if (err.status !== 425 || attempt >= 5) throw err;
+      progress(`Waiting for confirmations (${err.body.confirmations} of ${err.body.required})`);
+      await sleep(5000);
+    }
+  }
+}
+
+async function fundTab(ship) {
+  const funders = await api('GET', `/ships/${ship.id}/funders`);
+  const { treasury, fundingConfirmations } = state.config;
+  const steps = el('ul', { class: 'steps' });
+  const step = (...parts) => steps.append(el('li', {}, ...parts));
+
+  const finished = ['completed', 'cancelled'].includes(ship.status);
+  const form = el('form', { class: 'stack' },
+    field(`Amount (${ship.asset.symbol})`, el('input', { name: 'amount', inputMode: 'decimal', placeholder: '1.0', required: true })),
+    el('button', { class: 'button primary' }, `Send ${ship.asset.symbol} & credit the ship`),
+    steps);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    act(form.querySelector('button.primary'), async () => {
+      steps.replaceChildren();
+      const units = parseUnits(new FormData(form).get('amount'), ship.asset.decimals);
+      if (units === 0n) throw new Error('Enter an amount above zero');
+      const from = state.account || await connect();
+      await ensureChain();
+
+      const tx = ship.asset.type === 'native'
+        ? { from, to: treasury, value: `0x${units.toString(16)}` }
+        : { from, to: ship.asset.address, data: transferData(treasury, units) };
+      const txHash = await ethereum().request({ method: 'eth_sendTransaction', params: [tx] });
+      step('Sent ', explorerLink('tx', txHash));
+
+      const waiting = el('li', {}, 'Waiting for confirmations…');
+      steps.append(waiting);
+      await waitForConfirmations(txHash, fundingConfirmations, text => { waiting.textContent = text; });
+
+      step('Crediting the ship (sign the request)…');
+      const result = await credit(ship, txHash, text => step(text));
+      step(`Credited ${result.funded}`);
+      toast(`Funded ${ship.name} with ${result.funded}`);
+      setTimeout(refresh, 1500);
+    });
+  });
+
+  // Funds sent some other way (or a credit that timed out) can be credited by hash
+  const manual = el('form', { class: 'row' },
+    el('input', { name: 'txHash', placeholder: '0x… transaction hash', pattern: '0x[0-9a-fA-F]{64}', required: true, style: 'flex: 1' }),
+    el('button', { class: 'button' }, 'Credit'));
+  manual.addEventListener('submit', event => {
+    event.preventDefault();
+    act(manual.querySelector('button'), async () => {
+      const result = await credit(ship, new FormData(manual).get('txHash').trim(), text => toast(text));
+      toast(`Credited ${result.funded}`);
+      refresh();
+    });
+  });
+
+  return el('div', { class: 'stack' },
+    finished ? notice(`The ship is ${ship.status} and no longer takes funds.`) : el('div', { class: 'card stack' },
+      el('p', {}, `Funds go to the platform treasury `, explorerLink('address', treasury, treasury), ` and are credited to this ship after ${fundingConfirmations} confirmations.`),
+      form,
+      el('details', {}, el('summary', { class: 'muted small' }, 'Already sent? Credit a transaction'), manual)),
+    el('div', { class: 'card' },
+      el('h3', { style: 'margin-bottom: 0.5rem' }, `Funders · ${funders.totalFunded}`),
+      funders.fundings.length === 0 ? el('p', { class: 'muted' }, 'Nobody has funded this ship yet.') : el('table', {},
+        el('thead', {}, el('tr', {}, el('th', {}, 'From'), el('th', { class: 'num' }, 'Amount'), el('th', {}, 'Transaction'), el('th', {}, 'When'))),
+        el('tbody', {}, ...funders.fundings.map(f => el('tr', {},
+          el('td', {}, explorerLink('address', f.from)),
+          el('td', { class: 'num' }, f.amountFormatted),
+          el('td', {}, explorerLink('tx', f.id)),
+          el('td', { class: 'muted' }, date(f.timestamp || f.createdAt))))))));
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+function reviewCard(ship, application, score) {
+  const manual = ship.strategy.type === 'manual';
+  const open = application.status === 'pending' || application.status === 'changes_requested';
+  const reviewing = ['review', 'voting', 'allocation'].includes(ship.status);
+  const actions = el('div', { class: 'row' });
+  const post = (path, body, done) => async event => {
+    await act(event.currentTarget, async () => {
+      await signed('POST', path, body());
+      toast(done);
+      refresh();
+    });
+  };
+
+  // The server replaces an unpaid allocation; paid and milestone ones are final
+  const allocation = ship.allocations.find(a => a.applicationId === application.id);
+  const settled = allocation && (allocation.distributed || allocation.payoutId || allocation.hasMilestones);
+  if (manual && ship.status === 'allocation' && application.status !== 'rejected' && !settled) {
+    const current = allocation ? allocation.amount : application.requestAmount;
+    const input = el('input', { inputMode: 'decimal', value: formatUnits(current, ship.asset.decimals, ship.asset.decimals).replace(/,/g, ''), style: 'width: 9rem' });
+    actions.append(input, el('button', { class: 'button primary', onclick: post(`/applications/${application.id}/allocate`, () => ({ amount: input.value.trim() }), `Allocated to ${application.projectName}`) }, allocation ? 'Change allocation' : 'Approve & allocate'));
+  } else if (!manual && reviewing && open) {
+    actions.append(el('button', { class: 'button primary', onclick: post(`/applications/${application.id}/allocate`, () => ({ approved: true }), `Approved ${application.projectName}`) }, 'Approve'));
+  }
+  if (reviewing && application.status !== 'rejected' && BigInt(application.allocation) === 0n) {
+    const reason = el('input', { placeholder: 'Reason (shown to the applicant)', style: 'flex: 1' });
+    actions.append(reason, el('button', { class: 'button danger', onclick: post(`/applications/${application.id}/allocate`, () => ({ approved: false, reason: reason.value.trim() || undefined }), `Rejected ${application.projectName}`) }, 'Reject'));
+  }
+  if (['open', 'review'].includes(ship.status) && application.status === 'pending') {
+    const note = el('input', { placeholder: 'What should change?', style: 'flex: 1' });
+    actions.append(note, el('button', { class: 'button', onclick: post(`/applications/${application.id}/request-changes`, () => ({ note: note.value.trim() }), 'Changes requested') }, 'Request changes'));
+  }
+
+  const record = application.trackRecord;
+  const answers = ship.form.filter(q => application.answers?.[q.id] !== undefined);
+  return el('div', { class: 'card stack' },
+    el('div', { class: 'row spread' },
+      el('h3', {}, application.projectName),
+      el('div', { class: 'row' }, score?.score !== null && score?.score !== undefined && el('span', { class: 'small muted' }, `Score ${score.score} (${score.reviews} reviews)`), badge(application.status))),
+    el('p', { class: 'small muted' },
+      explorerLink('address', application.applicant),
+      ` · requests ${amount(application.requestAmount, ship.asset)}`,
+      BigInt(application.allocation) > 0n ? ` · allocated ${amount(application.allocation, ship.asset)}` : '',
+      record ? ` · ${record.completedGrants} completed grants, ${record.applications} applications elsewhere` : ''),
+    application.flags?.length > 0 && el('div', { class: 'row' }, ...Array.from(new Set(application.flags.map(f => f.type))).map(t => badge(t.replace('duplicate_', 'same '), 'flag'))),
+    application.description && el('p', {}, application.description),
+    application.links.length > 0 && el('div', { class: 'row small' }, ...application.links.map(l => el('a', { href: /^https?:\/\//.test(l) ? l : `https://${l}`, target: '_blank', rel: 'noopener nofollow' }, l))),
+    answers.length > 0 && el('table', {}, el('tbody', {}, ...answers.map(q => el('tr', {},
+      el('th', {}, q.label),
+      el('td', {}, [].concat(application.answers[q.id]).map(String).join(', ')))))),
+    actions.childElementCount > 0 && actions);
+}
+
+async function reviewTab(ship) {
+  if (state.account !== ship.captain) {
+    return notice(state.account ? 'Only the captain reviews and allocates on this ship.' : 'Connect the captain wallet to review applications.');
+  }
+
+  const phaseButtons = ship.allowedTransitions
+    .filter(to => to !== 'distributing')
+    .map(to => el('button', {
+      class: `button ${to === 'cancelled' ? 'danger' : ''}`,
+      onclick: event => {
+        if (to === 'cancelled' && !confirm('Cancel this ship? Funders can then reclaim the budget.')) return;
+        act(event.currentTarget, async () => {
+          await signed('POST', `/ships/${ship.id}/transition`, { to });
+          toast(`Ship moved to ${to}`);
+          refresh();
+        });
+      }
+    }, to === 'cancelled' ? 'Cancel ship' : `Move to ${to}`));
+
+  const compute = ship.strategy.type !== 'manual' && ship.status === 'allocation' && el('button', {
+    class: 'button primary',
+    onclick: event => act(event.currentTarget, async () => {
+      const result = await signed('POST', `/ships/${ship.id}/compute-allocations`, {});
+      toast(`Allocated ${result.allocations?.length ?? 0} applications with the ${ship.strategy.type} strategy`);
+      refresh();
+    })
+  }, 'Compute allocations');
+
+  const order = { pending: 0, changes_requested: 1, approved: 2, rejected: 3 };
+  const queue = ship.applications
+    .filter(a => a.status !== 'withdrawn')
+    .sort((a, b) => order[a.status] - order[b.status] || a.createdAt - b.createdAt);
+  const scores = new Map(ship.scoring.map(s => [s.applicationId, s]));
+  const pending = queue.filter(a => a.status === 'pending').length;
+
+  return el('div', { class: 'stack' },
+    el('div', { class: 'card row spread' },
+      el('span', { class: 'muted' }, `${pending} waiting for review · unallocated ${amount(BigInt(ship.budget) - BigInt(ship.allocated), ship.asset)}`),
+      el('div', { class: 'row' }, compute, ...phaseButtons)),
+    queue.length === 0 ? notice('No applications yet.') : queue.map(a => reviewCard(ship, a, scores.get(a.id))));
+}
+
+// ============================================================================
+// DISTRIBUTIONS
+// ============================================================================
+
+function distributionCard(ship, distribution) {
+  return el('div', { class: 'card stack' },
+    el('div', { class: 'row spread' },
+      el('strong', {}, `${distribution.kind === 'refund' ? 'Refund' : 'Distribution'} · ${date(distribution.createdAt)}`),
+      badge(distribution.status)),
+    distribution.totalNet && el('p', { class: 'small muted' }, `Gross ${distribution.totalGross} · fee ${distribution.totalFee} · net ${distribution.totalNet}`),
+    el('table', {},
+      el('thead', {}, el('tr', {}, el('th', {}, 'Project'), el('th', {}, 'Recipient'), el('th', { class: 'num' }, 'Net'), el('th', {}, 'Status'), el('th', {}, 'Transaction'))),
+      el('tbody', {}, ...(distribution.payouts || []).map(p => el('tr', {},
+        el('td', {}, p.projectName || 'Refund'),
+        el('td', {}, explorerLink('address', p.applicant)),
+        el('td', { class: 'num' }, p.net),
+        el('td', {}, badge(p.status), p.error && el('div', { class: 'small muted' }, p.error)),
+        el('td', {}, p.txHash ? explorerLink('tx', p.txHash) : '—'))))));
+}
+
+async function distributionsTab(ship) {
+  const { items } = await api('GET', `/distributions?shipId=${ship.id}&limit=100`);
+  const captain = state.account === ship.captain;
+  const controls = el('div', { class: 'stack' });
+
+  if (captain && ['allocation', 'distributing'].includes(ship.status)) {
+    const preview = el('div', { class: 'stack' });
+    const previewButton = el('button', {
+      class: 'button',
+      onclick: event => act(event.currentTarget, async () => {
+        const plan = await signed('POST', `/ships/${ship.id}/distribute`, { dryRun: true });
+        // One key per previewed plan, so a double click can't pay twice
+        const idempotencyKey = crypto.randomUUID();
+        const send = el('button', {
+          class: 'button primary',
+          onclick: e => act(e.currentTarget, async () => {
+            const result = await signed('POST', `/ships/${ship.id}/distribute`, { idempotencyKey });
+            toast(result.success ? 'Distribution confirmed' : `Distribution ${result.distribution.status}; retry the failed payouts`, result.success ? 'ok' : 'error');
+            refresh();
+          })
+        }, `Send ${plan.totalNet}`);
+        preview.replaceChildren(el('div', { class: 'card stack' },
+          el('p', {}, `${plan.recipients.length} payouts · gross ${plan.totalGross} · fee ${plan.totalFee} · net ${plan.totalNet}`),
+          plan.gasEstimate?.estimatedCost && el('p', { class: 'small muted' }, `Estimated gas ${plan.gasEstimate.estimatedCost}`),
+          el('ul', { class: 'steps' }, ...plan.recipients.map(r => el('li', {}, `${r.projectName}: ${r.net} to `, explorerLink('address', r.applicant)))),
+          send));
+      })
+    }, 'Preview distribution');
+    controls.append(el('div', { class: 'row' }, previewButton), preview);
+  }
+
+  const unsettled = items.some(d => d.kind !== 'refund' && (d.payouts || []).some(p => p.status !== 'confirmed'));
+  // Refunds can also be retried by whoever closed the ship and by the funder refunded
+  const refundable = items.some(d => d.kind === 'refund' && (d.payouts || []).some(p =>
+    p.status !== 'confirmed' && (captain || state.account === ship.closeout?.by || state.account === p.applicant)));
+  if ((captain && unsettled && ship.status === 'distributing') || refundable) {
+    controls.append(el('button', {
+      class: 'button',
+      onclick: event => act(event.currentTarget, async () => {
+        const result = await signed('POST', `/ships/${ship.id}/distribute/retry`, {});
+        toast(result.success ? 'All payouts confirmed' : 'Some payouts are still unsettled', result.success ? 'ok' : 'error');
+        refresh();
+      })
+    }, 'Retry failed payouts'));
+  }
+
+  return el('div', { class: 'stack' },
+    controls,
+    items.length === 0 ? notice('Nothing has been paid out yet.') : items.map(d => distributionCard(ship, d)));
+}
+
+// ============================================================================
+// START
+// ============================================================================
+
+async function start() {
+  const [health, agent] = await Promise.all([api('GET', '/health'), api('GET', '/agent')]);
+  state.config = {
+    chainId: health.chainId,
+    explorer: health.explorer,
+    treasury: health.treasury,
+    fundingConfirmations: health.fundingConfirmations,
+    domain: agent.authentication.domain,
+    types: agent.authentication.types,
+    strategies: agent.strategies
+  };
+  document.getElementById('treasury').replaceChildren(explorerLink('address', health.treasury));
+
+  walletButton.addEventListener('click', () => act(walletButton, connect));
+  if (window.ethereum) {
+    window.ethereum.on?.('accountsChanged', accounts => setAccount(accounts[0]));
+    const [account] = await window.ethereum.request({ method: 'eth_accounts' }).catch(() => []);
+    if (account) setAccount(account);
+  }
+
+  window.addEventListener('hashchange', route);
+  route();
+}
+
+start().catch(err => view.replaceChildren(notice(`Could not load the dashboard: ${err.message}`, 'error')));
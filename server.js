@@ -9,16 +9,145 @@ const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const { ethers } = require('ethers');
-
-const app = express();
-app.use(cors());
-app.use(express.json());
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { createAuth } = require('./lib/auth');
+const { createPayoutEngine } = require('./lib/payouts');
+const { AssetError, NATIVE_ASSET, resolveAsset, formatAmount, parseAmount, fundedAmount, balanceOf, transferRequest } = require('./lib/assets');
+const { createLedger, accounts, assetKey } = require('./lib/ledger');
+const { DEFAULT_DISPERSE_ADDRESS, batchRequest, batchTotal, ensureAllowance, estimateBatch } = require('./lib/disperse');
+const { VotingError, configureVoting, castVote, tally } = require('./lib/voting');
+const { PHASES, TRANSITIONS, LifecycleError, buildSchedule, reschedule, canTransition, nextPhase, dueTransition } = require('./lib/lifecycle');
+const { MilestoneError, parseMilestonePlan, parseEvidence } = require('./lib/milestones');
+const { ReviewError, configureCommittee, updateCommittee, isRecused, scoreReview, aggregate } = require('./lib/reviews');
+const { EVENT_TYPES, createEventBus, matchesFilter } = require('./lib/events');
+const { WebhookError, createWebhookDispatcher } = require('./lib/webhooks');
+const { UrlError, checkOutboundUrl } = require('./lib/urls');
+const { QueryError, MAX_LIMIT, paginate, matchesText, parseDate, inDateRange } = require('./lib/query');
+const { NameError, DEFAULT_BASENAME_RESOLVER, createNameResolver } = require('./lib/names');
+const { CsvError, toCsv } = require('./lib/csv');
+const { AccessError, AccessUnavailableError, ROLES, POLICY_TYPES, MAX_ALLOWLIST_SIZE, parsePolicy, parseAllowlistName, parseAddressList, policyLists, policyUrls, createAccessControl } = require('./lib/access');
+const { ImportError, FIELD_ALIASES, MAX_IMPORT_ROWS, readImport, validateRows } = require('./lib/imports');
+const { ApplicationError, APPLICATION_STATUSES, EDITABLE_FIELDS, QUESTION_TYPES, parseForm, validateAnswers, snapshot } = require('./lib/applications');
+const { ValidationError, validateBody } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { LimitError, DUPLICATE_MODES, DEFAULT_SHIP_LIMITS, LIMIT_RANGES, parseShipLimits, duplicateSignals } = require('./lib/limits');
+const { createRateLimiter, parseRateLimits } = require('./lib/ratelimit');
+const { StrategyError, configureStrategy, getStrategy, listStrategies, registerStrategy, splitByWeight } = require('./lib/strategies');
 
 // Config
 const BASE_RPC = process.env.BASE_RPC || 'https://mainnet.base.org';
 const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
 const TREASURY_PRIVATE_KEY = process.env.TREASURY_PRIVATE_KEY?.trim();
+const CHAIN_ID = Number(process.env.CHAIN_ID || 8453); // Base mainnet, used as the EIP-712 domain chainId
+const ENS_RPC = process.env.ENS_RPC || null; // Ethereum mainnet RPC for ENS names; unset disables ENS
+const EXPLORER_URL = (process.env.EXPLORER_URL || (CHAIN_ID === 84532 ? 'https://sepolia.basescan.org' : 'https://basescan.org')).replace(/\/+$/, ''); // tx and address links in the dashboard
+const BASENAME_RESOLVER = process.env.BASENAME_RESOLVER ?? (CHAIN_ID === 8453 ? DEFAULT_BASENAME_RESOLVER : ''); // '' disables Basenames
 const FEE_PERCENT = 5n;
+const PAYOUT_CONFIRMATIONS = Number(process.env.PAYOUT_CONFIRMATIONS || 1);
+const PAYOUT_CONFIRM_TIMEOUT = Number(process.env.PAYOUT_CONFIRM_TIMEOUT_MS || 120000);
+const DISPERSE_ADDRESS = process.env.DISPERSE_ADDRESS || DEFAULT_DISPERSE_ADDRESS;
+const FUNDING_CONFIRMATIONS = Number(process.env.FUNDING_CONFIRMATIONS || 3);
+const PHASE_TICK_MS = Number(process.env.PHASE_TICK_MS || 60000); // how often `node server.js` advances ship phases
+const CRON_SECRET = process.env.CRON_SECRET || null; // unset disables /cron/phases
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 5000); // doubled after every failed attempt
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const ALLOW_LOCAL_URLS = process.env.ALLOW_LOCAL_URLS === 'true'; // development: webhooks and access lists may reach this machine
+const ADMIN_ADDRESSES = (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean); // platform operators
+// Who may act on the platform, and on ships without their own policy (see lib/access.js)
+const PLATFORM_ACCESS_POLICY = parsePolicy(process.env.ACCESS_POLICY ? JSON.parse(process.env.ACCESS_POLICY) : {
+  type: 'remote',
+  url: 'https://www.owockibot.xyz/api/whitelist',
+  message: 'Invite-only. Tag @owockibot on X to request access.'
+}, { allowLocal: ALLOW_LOCAL_URLS });
+// Hosts captains may point ship `remote` policies at, besides the platform policy's;
+// only admins can use others, since the server fetches whatever URL a policy names
+const REMOTE_POLICY_HOSTS = new Set([
+  ...(process.env.REMOTE_POLICY_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+  ...policyUrls(PLATFORM_ACCESS_POLICY).map(url => new URL(url).host)
+]);
+const DATABASE_URL = process.env.DATABASE_URL || process.env.POSTGRES_URL || null; // Postgres, e.g. from a Vercel Postgres or Neon integration
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (DATABASE_URL ? 'postgres' : 'json'); // json, postgres, memory
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'grant-ships.json');
+const BODY_LIMIT = process.env.BODY_LIMIT || '100kb'; // JSON bodies
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb'; // /admin/import
+// Hops (e.g. 1 behind one proxy), true, or addresses/subnets, so per-IP limits see the client IP
+const TRUST_PROXY = (() => {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+})();
+// Per-process rate limits; override with RATE_LIMITS='{"apply":{"limit":20,"windowMs":3600000}}'
+const RATE_LIMITS = parseRateLimits({
+  ip: { limit: 300, windowMs: 60 * 1000 },               // every request, per client IP
+  write: { limit: 60, windowMs: 60 * 1000 },             // signed requests, per signer
+  apply: { limit: 10, windowMs: 60 * 60 * 1000 },        // new applications, per signer across ships
+  fund: { limit: 20, windowMs: 10 * 60 * 1000 },         // funding verifications (RPC reads), per signer
+  distribute: { limit: 20, windowMs: 60 * 60 * 1000 },   // distribute and retry, per signer
+  import: { limit: 10, windowMs: 60 * 60 * 1000 }        // admin imports, per signer
+}, process.env.RATE_LIMITS);
+
+const app = express();
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors());
+
+// ============================================================================
+// RATE LIMITS & BODY PARSING
+// ============================================================================
+
+const limiter = createRateLimiter();
+
+// Counts a hit and answers 429 when `key` is over the `name` limit; true if it did
+function overLimit(res, name, key) {
+  const result = limiter.hit(`${name}:${key}`, RATE_LIMITS[name]);
+  const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+  if (name === 'ip') {
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(retryAfter));
+  }
+  if (result.allowed) return false;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `Too many requests (${name} limit: ${result.limit} per ${RATE_LIMITS[name].windowMs / 1000}s)`, limit: name, retryAfter });
+  return true;
+}
+
+// Per signer; runs after requireSignature()
+function throttle(name) {
+  return (req, res, next) => {
+    if (overLimit(res, name, req.actor)) return;
+    next();
+  };
+}
+
+app.use((req, res, next) => {
+  if (overLimit(res, 'ip', req.ip)) return;
+  next();
+});
+app.use('/admin/import', express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use(express.json({ limit: BODY_LIMIT }));
+
+// Body parser failures in the same shape as every other error
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body larger than ${req.path === '/admin/import' ? IMPORT_BODY_LIMIT : BODY_LIMIT}` });
+  }
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+  next(err);
+});
+
+// Express 4 ignores rejected promises: async handlers pass them to the error handler at the end
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Platform fee on every payout: net goes to the grantee, fee stays in the treasury
+function splitFee(gross) {
+  const fee = (BigInt(gross) * FEE_PERCENT) / 100n;
+  return { fee, net: BigInt(gross) - fee };
+}
 
 let provider = null;
 let wallet = null;
@@ -35,15 +164,73 @@ function getWallet() {
   return wallet;
 }
 
-function formatETH(wei) {
-  return parseFloat(ethers.formatEther(wei.toString())).toFixed(6) + ' ETH';
+// Custom strategy modules, e.g. STRATEGY_MODULES=./strategies/conviction.js
+for (const modulePath of (process.env.STRATEGY_MODULES || '').split(',').map(p => p.trim()).filter(Boolean)) {
+  registerStrategy(require(path.resolve(modulePath)));
 }
 
 // Data Storage
-const ships = new Map();          // Grant ships/rounds
-const applications = new Map();   // Grant applications
-const allocations = new Map();    // Approved allocations
-const distributions = new Map();  // Payout history
+// Serverless functions run on a read-only filesystem, one copy per instance:
+// a json store there fails on its first write or forks between instances
+if (STORAGE_DRIVER === 'json' && (process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME)) {
+  throw new Error('The json storage driver needs a persistent disk, which serverless platforms lack; set DATABASE_URL (or POSTGRES_URL) to store data in Postgres');
+}
+const storage = createStorage({ driver: STORAGE_DRIVER, file: STORAGE_FILE, url: DATABASE_URL });
+const ships = storage.collection('ships');                 // Grant ships/rounds
+const applications = storage.collection('applications');   // Grant applications
+const allocations = storage.collection('allocations');     // Approved allocations
+const distributions = storage.collection('distributions'); // Payout history
+const payouts = storage.collection('payouts');             // Per-allocation payout state
+const nonces = storage.collection('nonces');               // Used auth nonces (replay protection)
+const ballots = storage.collection('ballots');             // Quadratic-voting ballots, one per voter per ship
+const milestones = storage.collection('milestones');       // Staged tranches of an allocation
+const ledgerEntries = storage.collection('ledger');        // Double-entry treasury ledger
+const fundings = storage.collection('fundings');           // Credited funding txs, keyed by hash (each credited once)
+const reviews = storage.collection('reviews');             // Committee rubric scores, one per reviewer per application
+const webhooks = storage.collection('webhooks');           // Registered webhook subscriptions
+const deliveries = storage.collection('deliveries');       // Webhook deliveries and their retry state
+const allowlists = storage.collection('allowlists');       // Local allowlists for access policies, keyed by name
+
+const ledger = createLedger(ledgerEntries);
+
+const names = createNameResolver({ ensRpc: ENS_RPC, basenameResolver: BASENAME_RESOLVER, getBaseProvider: getProvider });
+
+const events = createEventBus();
+const webhookDispatcher = createWebhookDispatcher({
+  webhooks,
+  deliveries,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  backoffMs: WEBHOOK_BACKOFF_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  allowLocalUrls: ALLOW_LOCAL_URLS
+});
+events.subscribe(webhookDispatcher.dispatch);
+storage.ready().then(() => webhookDispatcher.resume(), err => console.error(`[STORAGE] ${err.message}`));
+
+// Postgres: data is loaded before the first request, each request starts by
+// taking in other instances' writes, and its response waits until its own
+// are written, since a serverless instance may be frozen once it answers
+if (storage.external) {
+  app.use(asyncRoute(async (req, res, next) => {
+    await storage.ready();
+    await storage.sync();
+    const end = res.end;
+    res.end = function (...args) {
+      storage.settle().then(() => end.apply(res, args), err => {
+        console.error(`[STORAGE] ${req.method} ${req.path}: ${err.message}`);
+        if (res.headersSent) return end.apply(res, args);
+        const body = JSON.stringify({ error: 'Storage is unavailable; this change may not have been saved' });
+        res.status(503).set({ 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+        end.call(res, body);
+      });
+      return res;
+    };
+    next();
+  }));
+}
+
+const auth = createAuth({ chainId: CHAIN_ID, nonces });
+const { requireSignature } = auth;
 
 // ============================================================================
 // SHIPS (Grant Rounds)
@@ -51,128 +238,368 @@ const distributions = new Map();  // Payout history
 
 
 // ============================================================================
-// WHITELIST MIDDLEWARE
+// ACCESS CONTROL (roles and access policies, see lib/access.js)
 // ============================================================================
 
-let _whitelistCache = null;
-let _whitelistCacheTime = 0;
-const WHITELIST_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const access = createAccessControl({ allowlists, getProvider, allowLocalUrls: ALLOW_LOCAL_URLS });
 
-async function fetchWhitelist() {
-  const now = Date.now();
-  if (_whitelistCache && (now - _whitelistCacheTime) < WHITELIST_CACHE_TTL) {
-    return _whitelistCache;
-  }
-  try {
-    const res = await fetch('https://www.owockibot.xyz/api/whitelist');
-    const data = await res.json();
-    _whitelistCache = new Set(data.map(e => (e.address || e).toLowerCase()));
-    _whitelistCacheTime = now;
-    return _whitelistCache;
-  } catch (err) {
-    console.error('Whitelist fetch failed:', err.message);
-    if (_whitelistCache) return _whitelistCache;
-    return new Set();
+// The ship a signed request is about, so that ship's policy applies to it
+const shipOf = {
+  ship: req => ships.get(req.params.id),
+  application: req => ships.get(applications.get(req.params.id)?.shipId),
+  allocation: req => ships.get(allocations.get(req.params.id)?.shipId),
+  milestone: req => ships.get(milestones.get(req.params.id)?.shipId)
+};
+
+function rolesFor(address, ship = null) {
+  const roles = [];
+  if (ADMIN_ADDRESSES.includes(address)) roles.push('admin');
+  if (!ship) return roles;
+  if (ship.captain === address) roles.push('captain');
+  if (ship.committee?.reviewers.includes(address)) roles.push('reviewer');
+  if (Array.from(applications.values()).some(a => a.shipId === ship.id && a.applicant === address && a.status !== 'withdrawn')) {
+    roles.push('applicant');
   }
+  if (Array.from(fundings.values()).some(f => f.shipId === ship.id && f.from === address)) roles.push('funder');
+  return roles;
+}
+
+function policyFor(ship) {
+  return ship?.access || PLATFORM_ACCESS_POLICY;
+}
+
+// Runs after requireSignature(): the signer is the only address checked, and
+// its nonce is only stored once it is let in (see lib/auth.js). Every signed
+// route goes through this or requireAdmin().
+// `findShip` picks the ship whose policy applies; platform routes omit it.
+function requireAccess(findShip = null) {
+  return asyncRoute(async (req, res, next) => {
+    if (!req.actor) {
+      return res.status(401).json({ error: 'Signed auth required' });
+    }
+    if (overLimit(res, 'write', req.actor)) return;
+    const ship = findShip ? findShip(req) : null;
+    req.roles = rolesFor(req.actor, ship);
+    // The policy decides who joins a ship; anyone who already holds a role
+    // on it (or runs it) keeps access, even if the policy tightens later
+    if (req.roles.length > 0) {
+      auth.admit(req);
+      return next();
+    }
+
+    let decision;
+    try {
+      decision = await access.check(policyFor(ship), req.actor);
+    } catch (err) {
+      if (err instanceof AccessUnavailableError) {
+        return res.status(503).json({ error: `${err.message}; access is refused until it answers (failMode closed)` });
+      }
+      return next(err);
+    }
+    if (!decision.allowed) {
+      return res.status(403).json({ error: decision.reason || 'Access denied', policy: ship?.access ? 'ship' : 'platform' });
+    }
+    auth.admit(req);
+    next();
+  });
 }
 
-function requireWhitelist(addressField = 'address') {
-  return async (req, res, next) => {
-    const addr = req.body?.[addressField] || req.body?.creator || req.body?.participant || req.body?.sender || req.body?.from || req.body?.address;
-    if (!addr) {
-      return res.status(400).json({ error: 'Address required' });
+// Runs after requireSignature(): only addresses listed in ADMIN_ADDRESSES
+function requireAdmin() {
+  return (req, res, next) => {
+    if (!req.actor) {
+      return res.status(401).json({ error: 'Signed auth required' });
     }
-    const whitelist = await fetchWhitelist();
-    if (!whitelist.has(addr.toLowerCase())) {
-      return res.status(403).json({ error: 'Invite-only. Tag @owockibot on X to request access.' });
+    if (overLimit(res, 'write', req.actor)) return;
+    if (!rolesFor(req.actor).includes('admin')) {
+      return res.status(403).json({ error: 'Admin only' });
     }
+    auth.admit(req);
     next();
   };
 }
 
+// A ship's `access` input from `actor`: omitted or null follows the platform policy
+async function shipPolicyFrom(input, actor) {
+  if (input === undefined || input === null) return null;
+  const policy = parsePolicy(input, { allowLocal: ALLOW_LOCAL_URLS });
+  const missing = policyLists(policy).filter(name => !allowlists.get(name));
+  if (missing.length > 0) throw new AccessError(`Unknown allowlist: ${missing.join(', ')}`);
+  const urls = policyUrls(policy);
+  const foreign = urls.map(url => new URL(url).host).filter(host => !REMOTE_POLICY_HOSTS.has(host));
+  if (foreign.length > 0 && !rolesFor(actor).includes('admin')) {
+    throw new AccessError(`Remote access lists must be on ${[...REMOTE_POLICY_HOSTS].join(', ') || 'an approved host'}; ask an admin to use ${foreign.join(', ')}`);
+  }
+  for (const url of urls) {
+    try {
+      await checkOutboundUrl(url, { allowLocal: ALLOW_LOCAL_URLS, field: 'remote policy url' });
+    } catch (err) {
+      if (err instanceof UrlError) throw new AccessError(err.message);
+      throw err;
+    }
+  }
+  return policy;
+}
+
+function allowlistView(list, withAddresses = false) {
+  const { addresses, ...rest } = list;
+  return withAddresses ? list : { ...rest, size: addresses.length };
+}
 
-app.post('/ships', requireWhitelist(), (req, res) => {
-  const { name, description, criteria, durationDays, captain } = req.body;
+app.post('/ships', requireSignature(), requireAccess(), validateBody(schemas.createShip), asyncRoute(async (req, res) => {
+  const { name, description, criteria, durationDays, reviewDays, allocationDays } = req.body;
+  const captain = req.actor;
 
-  if (!name || !captain) {
+  if (!name) {
     return res.status(400).json({ 
-      error: 'name and captain required',
+      error: 'name required',
       example: { 
         name: 'DeFi Builders Round', 
-        captain: '0x...', 
         criteria: ['open source', 'active development'], 
-        durationDays: 30 
+        durationDays: 30,
+        reviewDays: 7,
+        allocationDays: 14,
+        asset: 'USDC',
+        strategy: { type: 'pro-rata' },
+        committee: { reviewers: ['0x...'], quorum: 2, rubric: [{ criterion: 'open source', weight: 2 }] },
+        form: [{ id: 'team', label: 'Who is on the team?' }, { id: 'repo', label: 'Repository', type: 'url' }],
+        access: { type: 'erc721', token: '0x...', minBalance: 1 },
+        limits: { maxApplications: 200, duplicates: 'reject' }
       }
     });
   }
 
-  if (!ethers.isAddress(captain)) {
-    return res.status(400).json({ error: 'Invalid captain address' });
+  let form;
+  try {
+    form = parseForm(req.body.form);
+  } catch (err) {
+    if (err instanceof ApplicationError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  let accessPolicy;
+  try {
+    accessPolicy = await shipPolicyFrom(req.body.access, req.actor);
+  } catch (err) {
+    if (err instanceof AccessError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  let limits;
+  try {
+    limits = parseShipLimits(req.body.limits);
+  } catch (err) {
+    if (err instanceof LimitError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  let committee;
+  try {
+    committee = configureCommittee(req.body.committee, { captain, criteria });
+  } catch (err) {
+    if (err instanceof ReviewError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  let asset;
+  try {
+    asset = await resolveAsset(req.body.asset, getProvider());
+  } catch (err) {
+    if (err instanceof AssetError) return res.status(400).json({ error: err.message });
+    return res.status(502).json({ error: `Could not resolve asset: ${err.message}` });
+  }
+
+  let strategy;
+  try {
+    strategy = configureStrategy(req.body.strategy || 'manual', { asset });
+  } catch (err) {
+    if (err instanceof StrategyError) return res.status(400).json({ error: err.message, strategies: listStrategies() });
+    throw err;
   }
 
   const now = Date.now();
+  // A future startDate keeps the ship in draft until applications open
+  const startDate = req.body.startDate ? new Date(req.body.startDate).getTime() : now;
+  if (Number.isNaN(startDate)) {
+    return res.status(400).json({ error: 'startDate must be an ISO date or unix milliseconds' });
+  }
+
+  let voting;
+  try {
+    voting = configureVoting(req.body.voting);
+  } catch (err) {
+    if (err instanceof VotingError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+  if (strategy.source === 'votes' && !voting.enabled) {
+    return res.status(400).json({ error: 'A votes-based strategy needs voting: { creditsPerVoter, durationDays }' });
+  }
+
+  let schedule;
+  try {
+    schedule = buildSchedule({
+      startDate: Math.max(startDate, now),
+      openDays: durationDays,
+      reviewDays,
+      votingDays: voting.durationDays,
+      allocationDays
+    });
+  } catch (err) {
+    if (err instanceof LifecycleError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
   const ship = {
     id: uuidv4(),
     name,
     description: description || '',
     captain: captain.toLowerCase(),
     criteria: criteria || [],
+    form,
+    committee,
+    access: accessPolicy, // null: the platform policy
+    limits,
+    asset,
+    strategy,
+    voting,
     budget: '0',
     allocated: '0',
     distributed: '0',
-    startDate: now,
-    endDate: now + (durationDays || 30) * 24 * 60 * 60 * 1000,
-    status: 'open', // open, closed, distributing, completed
+    schedule,
+    status: schedule.open.startDate > now ? 'draft' : 'open', // see lib/lifecycle.js
+    phaseHistory: [],
     createdAt: now
   };
+  syncPhaseDates(ship);
 
   ships.set(ship.id, ship);
   console.log(`[SHIP] ${name} created by ${captain.slice(0, 10)}...`);
+  events.publish('ship.created', { shipId: ship.id, data: { ...shipSummary(ship), captain: ship.captain, strategy: ship.strategy.type } });
   
   res.status(201).json(ship);
-});
+}));
 
-app.get('/ships', (req, res) => {
-  const { status } = req.query;
-  let results = Array.from(ships.values());
-  
-  // Update statuses based on time
-  const now = Date.now();
-  results = results.map(s => {
-    if (s.status === 'open' && now > s.endDate) {
-      s.status = 'closed';
-      ships.set(s.id, s);
+// Run a list query, answering 400 for bad filters, sorts or cursors
+function sendPage(res, build) {
+  try {
+    res.json(build());
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+}
+
+// min/max are in the record's own asset units (e.g. "0.5" ETH, "100" USDC)
+function amountInRange(units, asset, min, max, name) {
+  const bound = (value, param) => {
+    if (value === undefined || value === '') return null;
+    try {
+      return parseAmount(value, asset);
+    } catch (e) {
+      throw new QueryError(`${param} must be an amount`);
     }
-    return s;
-  });
-  
-  if (status) results = results.filter(s => s.status === status);
-  results.sort((a, b) => b.createdAt - a.createdAt);
-  
-  res.json(results);
-});
+  };
+  const lo = bound(min, `min${name}`);
+  const hi = bound(max, `max${name}`);
+  const value = BigInt(units);
+  return (lo === null || value >= lo) && (hi === null || value <= hi);
+}
+
+const SHIP_SORTS = {
+  createdAt: { type: 'number', value: s => s.createdAt },
+  endDate: { type: 'number', value: s => s.endDate },
+  budget: { type: 'bigint', value: s => s.budget },
+  allocated: { type: 'bigint', value: s => s.allocated },
+  name: { type: 'string', value: s => s.name }
+};
+
+app.get('/ships', (req, res) => sendPage(res, () => {
+  const { status, captain, asset, q } = req.query;
+  const from = parseDate(req.query.createdFrom, 'createdFrom');
+  const to = parseDate(req.query.createdTo, 'createdTo');
+
+  // Text search also covers the names of projects that applied to a ship
+  const projectNames = new Map();
+  if (q) {
+    for (const a of applications.values()) {
+      projectNames.set(a.shipId, [...(projectNames.get(a.shipId) || []), a.projectName]);
+    }
+  }
+
+  const results = Array.from(ships.values())
+    .map(s => shipAsOf(s))
+    .filter(s => !status || s.status === status)
+    .filter(s => !captain || s.captain === String(captain).toLowerCase())
+    .filter(s => !asset || s.asset.symbol.toLowerCase() === String(asset).toLowerCase() || s.asset.address === String(asset).toLowerCase())
+    .filter(s => inDateRange(s.createdAt, from, to))
+    .filter(s => amountInRange(s.budget, s.asset, req.query.minBudget, req.query.maxBudget, 'Budget'))
+    .filter(s => matchesText(q, s.name, s.description, ...(projectNames.get(s.id) || [])));
+
+  return paginate(results, req.query, SHIP_SORTS);
+}));
 
 app.get('/ships/:id', (req, res) => {
-  const ship = ships.get(req.params.id);
+  const ship = viewShip(req.params.id);
   if (!ship) return res.status(404).json({ error: 'Ship not found' });
   
   const shipApps = Array.from(applications.values())
     .filter(a => a.shipId === ship.id)
-    .sort((a, b) => b.createdAt - a.createdAt);
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(a => ({ ...a, trackRecord: trackRecord(a.applicant, ship.id) }));
   
+  const shipMilestones = Array.from(milestones.values())
+    .filter(m => m.shipId === ship.id);
+
   const shipAllocations = Array.from(allocations.values())
-    .filter(a => a.shipId === ship.id);
+    .filter(a => a.shipId === ship.id)
+    .map(a => a.hasMilestones
+      ? { ...a, milestones: shipMilestones.filter(m => m.allocationId === a.id).sort((x, y) => x.index - y.index) }
+      : a);
+
+  let voting = ship.voting;
+  if (voting?.enabled) {
+    const shipBallots = Array.from(ballots.values()).filter(b => b.shipId === ship.id);
+    voting = {
+      ...voting,
+      open: ship.status === 'voting',
+      ballots: shipBallots.length,
+      tallies: tally(shipBallots, shipApps.filter(a => a.status !== 'rejected' && a.status !== 'withdrawn'))
+    };
+  }
   
-  res.json({ ...ship, applications: shipApps, allocations: shipAllocations });
+  const scores = shipScores(ship, shipApps);
+  const scoring = shipApps
+    .filter(a => a.status !== 'withdrawn')
+    .map(a => ({ applicationId: a.id, projectName: a.projectName, ...scores.get(a.id) }))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+
+  res.json({
+    ...ship,
+    voting,
+    allowedTransitions: TRANSITIONS[ship.status],
+    scoring,
+    applications: shipApps,
+    allocations: shipAllocations
+  });
 });
 
 // Fund a ship
-app.post('/ships/:id/fund', requireWhitelist(), async (req, res) => {
-  const { txHash } = req.body;
-  const ship = ships.get(req.params.id);
+app.post('/ships/:id/fund', requireSignature(), requireAccess(shipOf.ship), throttle('fund'), validateBody(schemas.fund), asyncRoute(async (req, res) => {
+  const ship = loadShip(req.params.id);
   
   if (!ship) return res.status(404).json({ error: 'Ship not found' });
-  if (!txHash) return res.status(400).json({ error: 'txHash required' });
+  const notFundable = phaseError(ship, LIVE_PHASES, 'fund');
+  if (notFundable) return res.status(409).json(notFundable);
+  if (!req.body.txHash || !ethers.isHexString(req.body.txHash, 32)) {
+    return res.status(400).json({ error: 'txHash required' });
+  }
+
+  const txHash = req.body.txHash.toLowerCase();
+  const alreadyCredited = () => {
+    const previous = fundings.get(txHash);
+    return previous && res.status(409).json({ error: 'Transaction already credited', shipId: previous.shipId });
+  };
+  if (alreadyCredited()) return;
 
   try {
     const tx = await getProvider().getTransaction(txHash);
@@ -181,56 +608,398 @@ app.post('/ships/:id/fund', requireWhitelist(), async (req, res) => {
     if (!tx || !receipt || receipt.status !== 1) {
       return res.status(400).json({ error: 'Transaction not found or failed' });
     }
-    
-    if (tx.to?.toLowerCase() !== TREASURY_ADDRESS.toLowerCase()) {
-      return res.status(400).json({ error: 'Not sent to treasury' });
+
+    const confirmations = (await getProvider().getBlockNumber()) - receipt.blockNumber + 1;
+    if (confirmations < FUNDING_CONFIRMATIONS) {
+      return res.status(425).json({
+        error: 'Not enough confirmations yet, try again shortly',
+        confirmations,
+        required: FUNDING_CONFIRMATIONS
+      });
     }
 
-    ship.budget = (BigInt(ship.budget) + tx.value).toString();
+    let funded;
+    try {
+      funded = fundedAmount(tx, receipt, ship.asset, TREASURY_ADDRESS);
+    } catch (err) {
+      if (err instanceof AssetError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    const block = await getProvider().getBlock(receipt.blockNumber);
+
+    // A concurrent request may have credited the same hash while we were waiting on the RPC
+    if (alreadyCredited()) return;
+
+    const funding = {
+      id: txHash,
+      shipId: ship.id,
+      from: funded.from,
+      submittedBy: req.actor,
+      amount: funded.amount.toString(),
+      amountFormatted: formatAmount(funded.amount, ship.asset),
+      blockNumber: receipt.blockNumber,
+      timestamp: block ? block.timestamp * 1000 : null,
+      createdAt: Date.now()
+    };
+    fundings.set(funding.id, funding);
+
+    ship.budget = (BigInt(ship.budget) + funded.amount).toString();
     ships.set(ship.id, ship);
+    ledger.record({
+      shipId: ship.id,
+      type: 'funding',
+      asset: ship.asset,
+      debit: accounts.TREASURY,
+      credit: accounts.unallocated(ship.id),
+      amount: funded.amount,
+      ref: { txHash, from: funded.from }
+    });
     
-    console.log(`[SHIP FUNDED] ${ship.name}: +${formatETH(tx.value)} (total: ${formatETH(ship.budget)})`);
-    res.json({ ship, funded: formatETH(tx.value) });
+    console.log(`[SHIP FUNDED] ${ship.name}: +${formatAmount(funded.amount, ship.asset)} from ${funded.from.slice(0, 10)}... (total: ${formatAmount(ship.budget, ship.asset)})`);
+    events.publish('ship.funded', { shipId: ship.id, data: { funding, budget: formatAmount(ship.budget, ship.asset) } });
+    res.json({ ship, funding, funded: formatAmount(funded.amount, ship.asset) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
+}));
+
+app.get('/ships/:id/funders', (req, res) => {
+  const ship = ships.get(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  const shipFundings = Array.from(fundings.values())
+    .filter(f => f.shipId === ship.id)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const byFunder = new Map();
+  for (const f of shipFundings) {
+    const entry = byFunder.get(f.from) || { from: f.from, total: 0n, fundings: 0 };
+    entry.total += BigInt(f.amount);
+    entry.fundings += 1;
+    byFunder.set(f.from, entry);
+  }
+
+  res.json({
+    shipId: ship.id,
+    asset: ship.asset.symbol,
+    totalFunded: formatAmount(shipFundings.reduce((sum, f) => sum + BigInt(f.amount), 0n), ship.asset),
+    funders: Array.from(byFunder.values())
+      .sort((a, b) => (b.total > a.total ? 1 : b.total < a.total ? -1 : 0))
+      .map(f => ({ from: f.from, total: f.total.toString(), totalFormatted: formatAmount(f.total, ship.asset), fundings: f.fundings })),
+    fundings: shipFundings
+  });
+});
+
+// ============================================================================
+// LIFECYCLE (phases, transitions, scheduler)
+// ============================================================================
+
+const LIVE_PHASES = ['draft', 'open', 'review', 'voting', 'allocation', 'distributing'];
+
+// Body for a 409 when a route is called in the wrong phase, or null if allowed
+function phaseError(ship, phases, action) {
+  if (phases.includes(ship.status)) return null;
+  return { error: `Cannot ${action} while the ship is in ${ship.status}`, phase: ship.status, allowedPhases: phases };
+}
+
+// Keep the legacy startDate/endDate and voting window fields in step with the schedule
+function syncPhaseDates(ship) {
+  ship.startDate = ship.schedule.open.startDate;
+  ship.endDate = ship.schedule.open.endDate;
+  if (ship.voting?.enabled && ship.schedule.voting) {
+    ship.voting.startDate = ship.schedule.voting.startDate;
+    ship.voting.endDate = ship.schedule.voting.endDate;
+  }
+}
+
+// Move `amount` of an allocation back to the ship's unallocated budget
+function releaseAllocation(ship, alloc, amount) {
+  ship.allocated = (BigInt(ship.allocated) - BigInt(amount)).toString();
+  ledger.record({
+    shipId: ship.id,
+    type: 'deallocation',
+    asset: ship.asset,
+    debit: accounts.allocated(ship.id),
+    credit: accounts.unallocated(ship.id),
+    amount,
+    ref: { allocationId: alloc.id, applicationId: alloc.applicationId }
+  });
+}
+
+// On cancellation, anything not yet sent goes back to the budget so it can be refunded
+function releaseUnpaidAllocations(ship) {
+  for (const alloc of Array.from(allocations.values())) {
+    if (alloc.shipId !== ship.id || alloc.distributed) continue;
+
+    const tranches = Array.from(milestones.values()).filter(m => m.allocationId === alloc.id);
+    const committed = alloc.hasMilestones
+      ? tranches.filter(m => m.payoutId).reduce((sum, m) => sum + BigInt(m.amount), 0n)
+      : (alloc.payoutId ? BigInt(alloc.amount) : 0n);
+    const release = BigInt(alloc.amount) - committed;
+    if (release <= 0n) continue;
+
+    releaseAllocation(ship, alloc, release);
+    for (const m of tranches) {
+      if (!m.payoutId) milestones.delete(m.id);
+    }
+
+    const application = applications.get(alloc.applicationId);
+    if (committed === 0n) {
+      allocations.delete(alloc.id);
+    } else {
+      alloc.amount = committed.toString();
+      alloc.amountFormatted = formatAmount(committed, ship.asset);
+      allocations.set(alloc.id, alloc);
+    }
+    if (application) {
+      application.allocation = committed.toString();
+      applications.set(application.id, application);
+    }
+  }
+}
+
+// `by` is the acting address, 'system' for payout-driven moves or 'scheduler'.
+// Moves made before a phase's end date shift the later phases.
+function transitionShip(ship, to, by) {
+  const from = ship.status;
+  if (!canTransition(from, to)) {
+    throw new LifecycleError(`Cannot move a ship from ${from} to ${to}`);
+  }
+
+  const now = Date.now();
+  if (by !== 'scheduler') {
+    if (ship.schedule[from]) ship.schedule[from].endDate = now;
+    if (ship.schedule[to]) reschedule(ship.schedule, to, now);
+  }
+
+  ship.status = to;
+  ship.phaseHistory = [...(ship.phaseHistory || []), { from, to, by, at: now }];
+  syncPhaseDates(ship);
+  if (to === 'cancelled') releaseUnpaidAllocations(ship);
+  ships.set(ship.id, ship);
+
+  console.log(`[PHASE] ${ship.name}: ${from} -> ${to} (${by === 'scheduler' || by === 'system' ? by : by.slice(0, 10) + '...'})`);
+  events.publish('ship.phase_changed', { shipId: ship.id, data: { from, to, by, schedule: ship.schedule } });
+  return ship;
+}
+
+// The move a ship's schedule calls for now, if any
+function scheduledMove(ship, now) {
+  const to = dueTransition(ship, now);
+  // Nothing left to pay once allocation ends: straight to completed
+  if (to === 'distributing' && BigInt(ship.distributed) >= BigInt(ship.allocated)) return 'completed';
+  return to;
+}
+
+// Catch a ship up with its schedule, possibly across several phases
+function advanceShip(ship, now = Date.now()) {
+  let to;
+  while ((to = scheduledMove(ship, now))) transitionShip(ship, to, 'scheduler');
+  return ship;
+}
+
+// What advanceShip would make of a ship, without saving or announcing it:
+// reads show the current phase, and the next write or tick records the move
+function shipAsOf(ship, now = Date.now()) {
+  let view = ship;
+  let to;
+  while ((to = scheduledMove(view, now))) {
+    view = { ...view, status: to, phaseHistory: [...(view.phaseHistory || []), { from: view.status, to, by: 'scheduler', at: now }] };
+  }
+  return view;
+}
+
+// Write routes load ships through here so a serverless instance that slept
+// through a phase boundary acts on (and saves) the right phase.
+function loadShip(id) {
+  const ship = ships.get(id);
+  return ship && advanceShip(ship);
+}
+
+// Read routes: the right phase, nothing written
+function viewShip(id) {
+  const ship = ships.get(id);
+  return ship && shipAsOf(ship);
+}
+
+// Returns how many ships changed phase
+function advanceShips() {
+  let advanced = 0;
+  for (const ship of ships.values()) {
+    const before = ship.status;
+    try {
+      advanceShip(ship);
+    } catch (err) {
+      console.error(`[PHASE] ${ship.name}: ${err.message}`);
+    }
+    if (ship.status !== before) advanced++;
+  }
+  return advanced;
+}
+
+// Serverless instances don't tick: a cron job (vercel.json) calls this with
+// `Authorization: Bearer <CRON_SECRET>` so phase moves and their webhooks
+// happen on schedule even when nobody writes to a ship
+app.get('/cron/phases', (req, res) => {
+  if (!CRON_SECRET) return res.status(404).json({ error: 'Cron is not configured' });
+  if (req.get('Authorization') !== `Bearer ${CRON_SECRET}`) return res.status(401).json({ error: 'Invalid cron secret' });
+  res.json({ advanced: advanceShips() });
+});
+
+// Captain moves a ship on early (or cancels it); phases can't be skipped
+app.post('/ships/:id/transition', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.transition), (req, res) => {
+  const { to } = req.body;
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can change the ship phase' });
+  }
+  if (!PHASES.includes(to)) {
+    return res.status(400).json({ error: `to must be one of: ${PHASES.join(', ')}` });
+  }
+
+  const candidate = nextPhase(ship);
+  const next = ship.schedule[candidate] && canTransition(ship.status, candidate) ? candidate : null;
+  if (to !== 'cancelled' && to !== next) {
+    const hint = ship.status === 'allocation'
+      ? `; start paying out with POST /ships/${ship.id}/distribute`
+      : '';
+    return res.status(409).json({
+      error: `Ship is in ${ship.status} and can only move to ${next ? `${next} or ` : ''}cancelled${hint}`,
+      phase: ship.status,
+      allowed: TRANSITIONS[ship.status].filter(p => p === next || p === 'cancelled')
+    });
+  }
+  if (!canTransition(ship.status, to)) {
+    return res.status(409).json({ error: `Cannot move a ${ship.status} ship to ${to}`, phase: ship.status });
+  }
+  if (distributeLocks.has(ship.id)) {
+    return res.status(409).json({ error: 'A distribution is already in progress for this ship' });
+  }
+
+  transitionShip(ship, to, req.actor);
+  res.json({ ship: shipSummary(ship), schedule: ship.schedule, phaseHistory: ship.phaseHistory });
 });
 
 // ============================================================================
 // APPLICATIONS
 // ============================================================================
 
-app.post('/ships/:id/apply', requireWhitelist(), (req, res) => {
-  const { applicant, projectName, description, links } = req.body;
-  // Support both camelCase and snake_case for requestAmount
-  const requestAmount = req.body.requestAmount || req.body.requested_amount || req.body.requestedAmount;
-  const ship = ships.get(req.params.id);
+// Support both camelCase and snake_case for requestAmount
+function requestAmountFrom(body) {
+  return body.requestAmount || body.requested_amount || body.requestedAmount;
+}
+
+function answersError(err, ship) {
+  return { error: err.message, details: err.details, form: ship.form };
+}
+
+const shipLimits = ship => ship.limits || DEFAULT_SHIP_LIMITS;
+
+// The ship's own (tighter) size limits, reported like schema failures
+function checkContentLimits(ship, { description, links }) {
+  const limits = shipLimits(ship);
+  const details = [];
+  if (description && description.length > limits.maxDescriptionLength) {
+    details.push({ field: 'description', message: `at most ${limits.maxDescriptionLength} characters on this ship` });
+  }
+  if (links && links.length > limits.maxLinks) {
+    details.push({ field: 'links', message: `at most ${limits.maxLinks} items on this ship` });
+  }
+  if (details.length > 0) throw new ValidationError(details);
+}
+
+// Ship-wide caps on new applications: { status, body } when one is hit
+function applicationQuotaError(ship, applicant) {
+  const limits = shipLimits(ship);
+  const onShip = Array.from(applications.values()).filter(a => a.shipId === ship.id);
+
+  if (onShip.filter(a => a.status !== 'withdrawn').length >= limits.maxApplications) {
+    return { status: 409, body: { error: `This ship takes at most ${limits.maxApplications} applications`, limit: 'maxApplications' } };
+  }
+  if (onShip.filter(a => a.applicant === applicant).length >= limits.applicationsPerAddress) {
+    return { status: 429, body: { error: `An address can apply to this ship at most ${limits.applicationsPerAddress} times`, limit: 'applicationsPerAddress' } };
+  }
+  const recent = onShip.filter(a => a.createdAt > Date.now() - 60 * 60 * 1000);
+  if (recent.length >= limits.applicationsPerHour) {
+    const retryAfter = Math.ceil((Math.min(...recent.map(a => a.createdAt)) + 60 * 60 * 1000 - Date.now()) / 1000);
+    return { status: 429, body: { error: 'This ship is receiving too many applications; try again later', limit: 'applicationsPerHour', retryAfter } };
+  }
+  return null;
+}
+
+// Duplicate signals against other applicants' open applications: { flags } or { rejected }
+function screenDuplicates(ship, candidate) {
+  const mode = shipLimits(ship).duplicates;
+  if (mode === 'allow') return { flags: [] };
+
+  const others = Array.from(applications.values())
+    .filter(a => a.shipId === ship.id && a.id !== candidate.id && a.applicant !== candidate.applicant && a.status !== 'withdrawn');
+  const flags = duplicateSignals(candidate, others);
+  if (flags.length > 0 && mode === 'reject') {
+    return { rejected: { error: 'This looks like a duplicate of another application on this ship', flags } };
+  }
+  return { flags };
+}
+
+app.post('/ships/:id/apply', requireSignature(), requireAccess(shipOf.ship), throttle('apply'), validateBody(schemas.apply), (req, res) => {
+  const { projectName, description, links } = req.body;
+  const applicant = req.actor;
+  const requestAmount = requestAmountFrom(req.body);
+  const ship = loadShip(req.params.id);
   
   if (!ship) return res.status(404).json({ error: 'Ship not found' });
-  if (ship.status !== 'open') {
-    return res.status(400).json({ error: 'Ship is not accepting applications' });
-  }
+  const notOpen = phaseError(ship, ['open'], 'apply');
+  if (notOpen) return res.status(409).json(notOpen);
 
-  if (!applicant || !projectName) {
+  if (!projectName) {
     return res.status(400).json({ 
-      error: 'applicant and projectName required',
-      example: { applicant: '0x...', projectName: 'My Project', requestAmount: '0.5', links: ['github.com/...'] }
+      error: 'projectName required',
+      example: { projectName: 'My Project', requestAmount: '0.5', links: ['github.com/...'], answers: { team: '...' } },
+      form: ship.form
     });
   }
 
-  if (!ethers.isAddress(applicant)) {
-    return res.status(400).json({ error: 'Invalid applicant address' });
+  const existing = Array.from(applications.values())
+    .find(a => a.shipId === ship.id && a.applicant === applicant && a.status !== 'withdrawn');
+  if (existing) {
+    return res.status(409).json({ error: 'You already applied to this ship; edit that application instead', applicationId: existing.id });
+  }
+
+  const quota = applicationQuotaError(ship, applicant);
+  if (quota) {
+    if (quota.body.retryAfter) res.set('Retry-After', String(quota.body.retryAfter));
+    return res.status(quota.status).json(quota.body);
+  }
+  try {
+    checkContentLimits(ship, { description, links });
+  } catch (err) {
+    if (err instanceof ValidationError) return res.status(400).json({ error: err.message, details: err.details });
+    throw err;
   }
 
   let requestWei = 0n;
   try {
     if (requestAmount) {
-      requestWei = ethers.parseEther(requestAmount.toString());
+      requestWei = parseAmount(requestAmount, ship.asset);
     }
   } catch (e) {
     return res.status(400).json({ error: 'Invalid requestAmount' });
   }
 
+  let answers;
+  try {
+    answers = validateAnswers(ship.form, req.body.answers);
+  } catch (err) {
+    if (err instanceof ApplicationError) return res.status(400).json(answersError(err, ship));
+    throw err;
+  }
+
+  const screening = screenDuplicates(ship, { applicant, projectName, description, links });
+  if (screening.rejected) return res.status(409).json(screening.rejected);
+
   const application = {
     id: uuidv4(),
     shipId: ship.id,
@@ -239,207 +1008,2131 @@ app.post('/ships/:id/apply', requireWhitelist(), (req, res) => {
     projectName,
     description: description || '',
     requestAmount: requestWei.toString(),
-    requestFormatted: formatETH(requestWei),
+    requestFormatted: formatAmount(requestWei, ship.asset),
     links: links || [],
-    status: 'pending', // pending, approved, rejected
+    answers,
+    flags: screening.flags, // possible duplicates, for the captain; see lib/limits.js
+    status: 'pending', // see lib/applications.js
     allocation: '0',
+    version: 1,
+    versions: [],
+    reviewNotes: [],
+    rejectionReason: null,
     createdAt: Date.now()
   };
 
   applications.set(application.id, application);
   console.log(`[APPLICATION] ${projectName} applied to ${ship.name}`);
+  if (application.flags.length > 0) {
+    console.log(`[SPAM] ${projectName} flagged: ${Array.from(new Set(application.flags.map(f => f.type))).join(', ')}`);
+  }
+  events.publish('application.submitted', {
+    shipId: ship.id,
+    data: { applicationId: application.id, projectName, applicant: application.applicant, requestAmount: application.requestFormatted }
+  });
   
   res.status(201).json(application);
 });
 
-app.get('/applications', (req, res) => {
-  const { shipId, status } = req.query;
-  let results = Array.from(applications.values());
-  
-  if (shipId) results = results.filter(a => a.shipId === shipId);
-  if (status) results = results.filter(a => a.status === status);
-  results.sort((a, b) => b.createdAt - a.createdAt);
-  
-  res.json(results);
-});
-
+app.get('/applications/:id', asyncRoute(async (req, res) => {
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+  res.json({
+    ...application,
+    applicantNames: await names.namesFor(application.applicant),
+    trackRecord: trackRecord(application.applicant, application.shipId)
+  });
+}));
+
+// Applicant edits while the ship is open, or answers a change request during review
+app.patch('/applications/:id', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.editApplication), (req, res) => {
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = loadShip(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== application.applicant) {
+    return res.status(403).json({ error: 'Only the applicant can edit an application' });
+  }
+  if (application.status !== 'pending' && application.status !== 'changes_requested') {
+    return res.status(400).json({ error: `Application is ${application.status} and can no longer be edited` });
+  }
+  const phases = application.status === 'changes_requested' ? ['open', 'review'] : ['open'];
+  const notEditable = phaseError(ship, phases, 'edit applications');
+  if (notEditable) return res.status(409).json(notEditable);
+
+  const changes = {};
+  if (req.body.projectName !== undefined) {
+    if (!req.body.projectName) return res.status(400).json({ error: 'projectName cannot be empty' });
+    changes.projectName = req.body.projectName;
+  }
+  if (req.body.description !== undefined) changes.description = req.body.description || '';
+  if (req.body.links !== undefined) changes.links = req.body.links || [];
+
+  const requestAmount = requestAmountFrom(req.body);
+  if (requestAmount !== undefined) {
+    try {
+      changes.requestAmount = parseAmount(requestAmount, ship.asset).toString();
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid requestAmount' });
+    }
+  }
+  if (req.body.answers !== undefined) {
+    try {
+      changes.answers = validateAnswers(ship.form, req.body.answers);
+    } catch (err) {
+      if (err instanceof ApplicationError) return res.status(400).json(answersError(err, ship));
+      throw err;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: `Nothing to change; editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+  }
+  try {
+    checkContentLimits(ship, changes);
+  } catch (err) {
+    if (err instanceof ValidationError) return res.status(400).json({ error: err.message, details: err.details });
+    throw err;
+  }
+
+  const screening = screenDuplicates(ship, { ...application, ...changes });
+  if (screening.rejected) return res.status(409).json(screening.rejected);
+
+  application.versions.push(snapshot(application));
+  Object.assign(application, changes);
+  application.flags = screening.flags;
+  application.requestFormatted = formatAmount(application.requestAmount, ship.asset);
+  application.version += 1;
+  application.updatedAt = Date.now();
+  if (application.status === 'changes_requested') application.status = 'pending';
+  applications.set(application.id, application);
+
+  console.log(`[APPLICATION EDITED] ${application.projectName} v${application.version}`);
+  res.json(application);
+});
+
+app.post('/applications/:id/withdraw', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.withdraw), (req, res) => {
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  if (req.actor !== application.applicant) {
+    return res.status(403).json({ error: 'Only the applicant can withdraw an application' });
+  }
+  if (application.status === 'withdrawn') {
+    return res.status(400).json({ error: 'Application is already withdrawn' });
+  }
+  if (Array.from(allocations.values()).some(a => a.applicationId === application.id)) {
+    return res.status(400).json({ error: 'Application has an allocation; ask the captain to release it' });
+  }
+
+  application.status = 'withdrawn';
+  application.withdrawnAt = Date.now();
+  application.withdrawReason = req.body.reason || null;
+  applications.set(application.id, application);
+
+  console.log(`[WITHDRAWN] ${application.projectName}`);
+  res.json(application);
+});
+
+const APPLICATION_SORTS = {
+  createdAt: { type: 'number', value: a => a.createdAt },
+  updatedAt: { type: 'number', value: a => a.updatedAt || a.createdAt },
+  requestAmount: { type: 'bigint', value: a => a.requestAmount },
+  allocation: { type: 'bigint', value: a => a.allocation },
+  projectName: { type: 'string', value: a => a.projectName }
+};
+
+app.get('/applications', (req, res) => sendPage(res, () => {
+  const { shipId, status, applicant, captain, q } = req.query;
+  const from = parseDate(req.query.createdFrom, 'createdFrom');
+  const to = parseDate(req.query.createdTo, 'createdTo');
+
+  const results = Array.from(applications.values())
+    .filter(a => !shipId || a.shipId === shipId)
+    .filter(a => !status || a.status === status)
+    .filter(a => !applicant || a.applicant === String(applicant).toLowerCase())
+    .filter(a => !captain || ships.get(a.shipId)?.captain === String(captain).toLowerCase())
+    .filter(a => inDateRange(a.createdAt, from, to))
+    .filter(a => {
+      const asset = ships.get(a.shipId)?.asset || NATIVE_ASSET;
+      return amountInRange(a.requestAmount, asset, req.query.minRequest, req.query.maxRequest, 'Request');
+    })
+    .filter(a => matchesText(q, a.projectName, a.description, a.shipName));
+
+  return paginate(results, req.query, APPLICATION_SORTS);
+}));
+
+// ============================================================================
+// VOTING
+// ============================================================================
+
+app.post('/applications/:id/vote', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.vote), (req, res) => {
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = loadShip(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (!ship.voting?.enabled) {
+    return res.status(400).json({ error: 'Ship has no voting phase' });
+  }
+  const notVoting = phaseError(ship, ['voting'], 'vote');
+  if (notVoting) {
+    return res.status(409).json({ ...notVoting, startDate: ship.voting.startDate, endDate: ship.voting.endDate });
+  }
+  if (application.status === 'rejected' || application.status === 'withdrawn') {
+    return res.status(400).json({ error: `Cannot vote on a ${application.status} application` });
+  }
+  if (application.applicant === req.actor) {
+    return res.status(403).json({ error: 'Applicants cannot vote on their own application' });
+  }
+
+  const ballotId = `${ship.id}:${req.actor}`;
+  const ballot = ballots.get(ballotId) || {
+    id: ballotId,
+    shipId: ship.id,
+    voter: req.actor,
+    votes: {},
+    creditsSpent: 0,
+    createdAt: Date.now()
+  };
+
+  try {
+    castVote(ballot, application.id, Number(req.body.votes), ship.voting.creditsPerVoter);
+  } catch (err) {
+    if (err instanceof VotingError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  ballots.set(ballot.id, ballot);
+  console.log(`[VOTE] ${req.actor.slice(0, 10)}... ${ballot.votes[application.id] || 0} votes on ${application.projectName}`);
+
+  res.json({ ballot, creditsRemaining: ship.voting.creditsPerVoter - ballot.creditsSpent });
+});
+
+// ============================================================================
+// REVIEWS (committee scoring)
+// ============================================================================
+
+// Aggregate committee score per application, keyed by application id
+function shipScores(ship, shipApps) {
+  const byApplication = new Map(shipApps.map(a => [a.id, []]));
+  for (const review of reviews.values()) {
+    if (review.shipId === ship.id && byApplication.has(review.applicationId)) {
+      byApplication.get(review.applicationId).push(review);
+    }
+  }
+  return new Map(Array.from(byApplication, ([id, list]) => [id, aggregate(list, ship.committee.rubric, ship.committee.quorum)]));
+}
+
+function quorumError(ship, application) {
+  const { quorum } = ship.committee;
+  if (!quorum) return null;
+  const count = Array.from(reviews.values()).filter(r => r.applicationId === application.id).length;
+  if (count >= quorum) return null;
+  return { error: `${application.projectName} has ${count} of the ${quorum} reviews needed`, reviews: count, quorum };
+}
+
+app.post('/applications/:id/reviews', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.review), (req, res) => {
+  const { scores, comment } = req.body;
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = loadShip(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (!ship.committee.reviewers.includes(req.actor)) {
+    return res.status(403).json({ error: 'Only the ship review committee can score applications' });
+  }
+  if (isRecused(ship.committee, req.actor, application.applicant)) {
+    return res.status(403).json({ error: 'You are recused from reviewing this applicant' });
+  }
+  const notReviewing = phaseError(ship, ['open', 'review', 'voting', 'allocation'], 'review applications');
+  if (notReviewing) return res.status(409).json(notReviewing);
+  if (application.status === 'withdrawn') {
+    return res.status(400).json({ error: 'Application was withdrawn' });
+  }
+
+  let scored;
+  try {
+    scored = scoreReview(ship.committee.rubric, scores);
+  } catch (err) {
+    if (err instanceof ReviewError) return res.status(400).json({ error: err.message, rubric: ship.committee.rubric });
+    throw err;
+  }
+
+  const id = `${application.id}:${req.actor}`;
+  const now = Date.now();
+  const review = {
+    id,
+    shipId: ship.id,
+    applicationId: application.id,
+    reviewer: req.actor,
+    ...scored,
+    comment: comment || null,
+    createdAt: reviews.get(id)?.createdAt || now,
+    updatedAt: now
+  };
+  reviews.set(id, review);
+
+  console.log(`[REVIEW] ${req.actor.slice(0, 10)}... scored ${application.projectName} ${review.score}`);
+  res.status(201).json({ review, aggregate: shipScores(ship, [application]).get(application.id) });
+});
+
+app.get('/applications/:id/reviews', (req, res) => {
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = ships.get(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  res.json({
+    applicationId: application.id,
+    rubric: ship.committee.rubric,
+    aggregate: shipScores(ship, [application]).get(application.id),
+    reviews: Array.from(reviews.values())
+      .filter(r => r.applicationId === application.id)
+      .sort((a, b) => a.createdAt - b.createdAt)
+  });
+});
+
+// Captain changes the committee or quorum until allocation is over
+app.post('/ships/:id/committee', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.committee), (req, res) => {
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can change the committee' });
+  }
+  const notReviewing = phaseError(ship, ['draft', 'open', 'review', 'voting', 'allocation'], 'change the committee');
+  if (notReviewing) return res.status(409).json(notReviewing);
+  if (req.body.rubric !== undefined) {
+    return res.status(400).json({ error: 'The rubric is fixed once the ship is created' });
+  }
+
+  try {
+    ship.committee = updateCommittee(ship.committee, req.body, { captain: ship.captain });
+  } catch (err) {
+    if (err instanceof ReviewError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  // Scores from reviewers who left no longer count
+  for (const review of Array.from(reviews.values())) {
+    if (review.shipId === ship.id && !ship.committee.reviewers.includes(review.reviewer)) reviews.delete(review.id);
+  }
+  ships.set(ship.id, ship);
+
+  console.log(`[COMMITTEE] ${ship.name}: ${ship.committee.reviewers.length} reviewers, quorum ${ship.committee.quorum}`);
+  res.json(ship.committee);
+});
+
+// A reviewer declares a conflict of interest with an applicant (the captain can record one for any reviewer)
+app.post('/ships/:id/recusals', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.recusal), (req, res) => {
+  const { reason, applicationId } = req.body;
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  const reviewer = (req.actor === ship.captain && req.body.reviewer) ? String(req.body.reviewer).toLowerCase() : req.actor;
+  if (!ship.committee.reviewers.includes(reviewer)) {
+    return res.status(403).json({ error: 'Only committee members can be recused' });
+  }
+
+  const applicant = applicationId ? applications.get(applicationId)?.applicant : String(req.body.applicant || '').toLowerCase();
+  if (!applicant || !ethers.isAddress(applicant)) {
+    return res.status(400).json({ error: 'applicant (address) or applicationId required' });
+  }
+
+  if (!isRecused(ship.committee, reviewer, applicant)) {
+    ship.committee.recusals.push({ reviewer, applicant, reason: reason || null, by: req.actor, at: Date.now() });
+    ships.set(ship.id, ship);
+  }
+
+  // Any score already given to that applicant is withdrawn
+  for (const review of Array.from(reviews.values())) {
+    if (review.shipId !== ship.id || review.reviewer !== reviewer) continue;
+    if (applications.get(review.applicationId)?.applicant === applicant) reviews.delete(review.id);
+  }
+
+  console.log(`[RECUSAL] ${reviewer.slice(0, 10)}... from ${applicant.slice(0, 10)}... on ${ship.name}`);
+  res.status(201).json({ recusals: ship.committee.recusals });
+});
+
 // ============================================================================
 // ALLOCATIONS (Captain decisions)
 // ============================================================================
 
-app.post('/applications/:id/allocate', requireWhitelist(), (req, res) => {
-  const { captain, amount, approved } = req.body;
+function createAllocation(ship, application, allocWei) {
+  const allocation = {
+    id: uuidv4(),
+    shipId: ship.id,
+    applicationId: application.id,
+    projectName: application.projectName,
+    applicant: application.applicant,
+    amount: allocWei.toString(),
+    amountFormatted: formatAmount(allocWei, ship.asset),
+    distributed: false,
+    createdAt: Date.now()
+  };
+
+  allocations.set(allocation.id, allocation);
+  
+  application.status = 'approved';
+  application.allocation = allocWei.toString();
+  applications.set(application.id, application);
+  
+  ship.allocated = (BigInt(ship.allocated) + allocWei).toString();
+  ships.set(ship.id, ship);
+  ledger.record({
+    shipId: ship.id,
+    type: 'allocation',
+    asset: ship.asset,
+    debit: accounts.unallocated(ship.id),
+    credit: accounts.allocated(ship.id),
+    amount: allocWei,
+    ref: { allocationId: allocation.id, applicationId: application.id }
+  });
+  
+  console.log(`[ALLOCATED] ${formatAmount(allocWei, ship.asset)} to ${application.projectName}`);
+  events.publish('allocation.made', { shipId: ship.id, data: allocation });
+  return allocation;
+}
+
+// Captain's decisions and comments, oldest first
+function addReviewNote(application, by, kind, note) {
+  application.reviewNotes = [...(application.reviewNotes || []), { by, kind, note: note || null, at: Date.now() }];
+}
+
+app.post('/applications/:id/allocate', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.allocate), (req, res) => {
+  const { amount, approved, note, reason } = req.body;
   const application = applications.get(req.params.id);
   
   if (!application) return res.status(404).json({ error: 'Application not found' });
   
-  const ship = ships.get(application.shipId);
+  const ship = loadShip(application.shipId);
   if (!ship) return res.status(404).json({ error: 'Ship not found' });
   
-  if (captain?.toLowerCase() !== ship.captain) {
+  if (req.actor !== ship.captain) {
     return res.status(403).json({ error: 'Only captain can allocate' });
   }
+  const notReviewing = phaseError(ship, ['review', 'voting', 'allocation'], 'review applications');
+  if (notReviewing) return res.status(409).json(notReviewing);
+  if (application.status === 'withdrawn') {
+    return res.status(400).json({ error: 'Application was withdrawn' });
+  }
+
+  if (approved === false) {
+    application.status = 'rejected';
+    application.rejectionReason = reason || note || null;
+    addReviewNote(application, req.actor, 'rejected', reason || note);
+    applications.set(application.id, application);
+    console.log(`[REJECTED] ${application.projectName}`);
+    return res.json({ application, message: 'Application rejected' });
+  }
+
+  const noQuorum = quorumError(ship, application);
+  if (noQuorum) return res.status(409).json(noQuorum);
+
+  // Non-manual strategies: the captain only approves, amounts come from compute-allocations
+  if (!getStrategy(ship.strategy.type)?.manual) {
+    if (amount !== undefined) {
+      return res.status(400).json({ error: `Ship uses the ${ship.strategy.type} strategy; approve here, then POST /ships/${ship.id}/compute-allocations` });
+    }
+    application.status = 'approved';
+    application.rejectionReason = null;
+    addReviewNote(application, req.actor, 'approved', note);
+    applications.set(application.id, application);
+    console.log(`[APPROVED] ${application.projectName}`);
+    return res.json({ application, message: 'Application approved; amounts are set by compute-allocations' });
+  }
+
+  const notAllocating = phaseError(ship, ['allocation'], 'allocate');
+  if (notAllocating) return res.status(409).json(notAllocating);
+
+  let allocWei = 0n;
+  try {
+    allocWei = parseAmount(amount || '0', ship.asset);
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+
+  // Allocating again replaces the unpaid allocation; once money has moved it stays
+  const previous = Array.from(allocations.values()).filter(a => a.applicationId === application.id);
+  const locked = previous.find(a => a.distributed || a.payoutId || a.hasMilestones);
+  if (locked) {
+    return res.status(409).json({
+      error: locked.hasMilestones ? 'Allocation is paid by milestones and cannot be changed' : 'Allocation has already been paid out',
+      allocationId: locked.id
+    });
+  }
+  const replacedWei = previous.reduce((sum, a) => sum + BigInt(a.amount), 0n);
+
+  const remaining = BigInt(ship.budget) - BigInt(ship.allocated) + replacedWei;
+  if (allocWei > remaining) {
+    return res.status(400).json({ 
+      error: 'Insufficient budget', 
+      remaining: formatAmount(remaining, ship.asset),
+      requested: formatAmount(allocWei, ship.asset)
+    });
+  }
+
+  for (const alloc of previous) {
+    allocations.delete(alloc.id);
+    releaseAllocation(ship, alloc, alloc.amount);
+  }
+
+  application.rejectionReason = null;
+  addReviewNote(application, req.actor, 'approved', note);
+  const allocation = createAllocation(ship, application, allocWei);
+  
+  res.status(201).json({
+    allocation,
+    application,
+    replaced: previous.map(a => a.id),
+    shipBudgetRemaining: formatAmount(remaining - allocWei, ship.asset)
+  });
+});
+
+// Captain sends an application back to the applicant for edits
+app.post('/applications/:id/request-changes', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.note), (req, res) => {
+  const { note } = req.body;
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = loadShip(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can request changes' });
+  }
+  const notReviewing = phaseError(ship, ['open', 'review'], 'request changes');
+  if (notReviewing) return res.status(409).json(notReviewing);
+  if (application.status !== 'pending' && application.status !== 'changes_requested') {
+    return res.status(400).json({ error: `Application is ${application.status}` });
+  }
+  if (!note) {
+    return res.status(400).json({ error: 'note required: tell the applicant what to change' });
+  }
+
+  application.status = 'changes_requested';
+  addReviewNote(application, req.actor, 'changes_requested', note);
+  applications.set(application.id, application);
+
+  console.log(`[CHANGES REQUESTED] ${application.projectName}`);
+  res.json(application);
+});
+
+// Captain comment that doesn't change the application's status
+app.post('/applications/:id/notes', requireSignature(), requireAccess(shipOf.application), validateBody(schemas.note), (req, res) => {
+  const { note } = req.body;
+  const application = applications.get(req.params.id);
+  if (!application) return res.status(404).json({ error: 'Application not found' });
+
+  const ship = ships.get(application.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can add review notes' });
+  }
+  if (!note) return res.status(400).json({ error: 'note required' });
+
+  addReviewNote(application, req.actor, 'note', note);
+  applications.set(application.id, application);
+  res.status(201).json(application);
+});
+
+// Run the ship's strategy over its approved applications. Allocations that
+// are already paid or in flight are kept; everything else is recomputed.
+app.post('/ships/:id/compute-allocations', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.computeAllocations), (req, res) => {
+  const { contributions, dryRun } = req.body;
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can compute allocations' });
+  }
+  const notAllocating = phaseError(ship, ['allocation'], 'compute allocations');
+  if (notAllocating) return res.status(409).json(notAllocating);
+
+  const strategy = getStrategy(ship.strategy.type);
+  if (!strategy) {
+    return res.status(500).json({ error: `Strategy "${ship.strategy.type}" is not registered` });
+  }
+  if (strategy.manual) {
+    return res.status(400).json({ error: 'Ship uses the manual strategy; allocate with POST /applications/:id/allocate' });
+  }
+
+  const shipAllocations = Array.from(allocations.values()).filter(a => a.shipId === ship.id);
+  const locked = shipAllocations.filter(a => a.distributed || a.payoutId || a.hasMilestones);
+  const lockedApplicationIds = new Set(locked.map(a => a.applicationId));
+  const lockedTotal = locked.reduce((sum, a) => sum + BigInt(a.amount), 0n);
+  const budget = BigInt(ship.budget) - lockedTotal;
+
+  const approved = Array.from(applications.values())
+    .filter(a => a.shipId === ship.id && a.status === 'approved' && !lockedApplicationIds.has(a.id));
+  // The quorum may have been raised since these were approved
+  const belowQuorum = approved.filter(a => quorumError(ship, a));
+  const eligible = approved.filter(a => !belowQuorum.includes(a));
+  const eligibleById = new Map(eligible.map(a => [a.id, a]));
+  const skipped = belowQuorum.map(a => ({ applicationId: a.id, projectName: a.projectName, reason: quorumError(ship, a).error }));
+
+  let results;
+  try {
+    const shipBallots = Array.from(ballots.values()).filter(b => b.shipId === ship.id);
+    const scores = shipScores(ship, eligible);
+    results = strategy.compute({ ship, config: ship.strategy, applications: eligible, budget, contributions, ballots: shipBallots, scores });
+  } catch (err) {
+    if (err instanceof StrategyError) return res.status(400).json({ error: err.message, skipped });
+    throw err;
+  }
+  results = results.filter(r => eligibleById.has(r.applicationId) && r.amount > 0n);
+
+  const total = results.reduce((sum, r) => sum + r.amount, 0n);
+  if (total > budget) {
+    return res.status(500).json({ error: `Strategy allocated ${formatAmount(total, ship.asset)}, more than the remaining ${formatAmount(budget, ship.asset)}` });
+  }
+
+  if (dryRun) {
+    return res.json({
+      dryRun: true,
+      strategy: ship.strategy,
+      budget: formatAmount(budget, ship.asset),
+      total: formatAmount(total, ship.asset),
+      allocations: results.map(r => ({
+        applicationId: r.applicationId,
+        projectName: eligibleById.get(r.applicationId).projectName,
+        amount: r.amount.toString(),
+        amountFormatted: formatAmount(r.amount, ship.asset)
+      })),
+      skipped
+    });
+  }
+
+  for (const alloc of shipAllocations) {
+    if (locked.includes(alloc)) continue;
+    allocations.delete(alloc.id);
+    releaseAllocation(ship, alloc, alloc.amount);
+    const application = applications.get(alloc.applicationId);
+    if (application) {
+      application.allocation = '0';
+      applications.set(application.id, application);
+    }
+  }
+
+  const created = results.map(r => createAllocation(ship, eligibleById.get(r.applicationId), r.amount));
+  console.log(`[COMPUTED] ${created.length} allocations for ${ship.name} via ${ship.strategy.type}`);
+
+  res.status(201).json({
+    strategy: ship.strategy,
+    allocations: created,
+    skipped,
+    shipBudgetRemaining: formatAmount(BigInt(ship.budget) - BigInt(ship.allocated), ship.asset)
+  });
+});
+
+// ============================================================================
+// MILESTONES
+// ============================================================================
+
+// Captain splits an allocation into staged tranches
+app.post('/allocations/:id/milestones', requireSignature(), requireAccess(shipOf.allocation), validateBody(schemas.milestones), (req, res) => {
+  const allocation = allocations.get(req.params.id);
+  if (!allocation) return res.status(404).json({ error: 'Allocation not found' });
+
+  const ship = loadShip(allocation.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can set milestones' });
+  }
+  const notAllocated = phaseError(ship, ['allocation', 'distributing'], 'set milestones');
+  if (notAllocated) return res.status(409).json(notAllocated);
+  if (allocation.distributed || allocation.payoutId) {
+    return res.status(400).json({ error: 'Allocation has already been paid out' });
+  }
+
+  const existing = Array.from(milestones.values()).filter(m => m.allocationId === allocation.id);
+  if (existing.some(m => m.status !== 'pending')) {
+    return res.status(400).json({ error: 'Milestones already have submissions and can no longer be replaced' });
+  }
+
+  let plan;
+  try {
+    plan = parseMilestonePlan(req.body.milestones, allocation.amount, ship.asset);
+  } catch (err) {
+    if (err instanceof MilestoneError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  for (const m of existing) milestones.delete(m.id);
+
+  const now = Date.now();
+  const created = plan.map(m => {
+    const milestone = {
+      id: uuidv4(),
+      shipId: ship.id,
+      allocationId: allocation.id,
+      applicationId: allocation.applicationId,
+      projectName: allocation.projectName,
+      applicant: allocation.applicant,
+      index: m.index,
+      description: m.description,
+      amount: m.amount.toString(),
+      amountFormatted: formatAmount(m.amount, ship.asset),
+      dueDate: m.dueDate,
+      status: 'pending', // pending, submitted, approved, rejected, paid
+      evidence: [],
+      reviewNote: null,
+      reviewedAt: null,
+      payoutId: null,
+      txHash: null,
+      createdAt: now
+    };
+    milestones.set(milestone.id, milestone);
+    return milestone;
+  });
+
+  allocation.hasMilestones = true;
+  allocations.set(allocation.id, allocation);
+
+  console.log(`[MILESTONES] ${allocation.projectName} split into ${created.length} tranches`);
+  res.status(201).json({ allocation, milestones: created });
+});
+
+// Applicant submits evidence for a milestone
+app.post('/milestones/:id/submit', requireSignature(), requireAccess(shipOf.milestone), validateBody(schemas.milestoneSubmit), (req, res) => {
+  const milestone = milestones.get(req.params.id);
+  if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
+
+  if (req.actor !== milestone.applicant) {
+    return res.status(403).json({ error: 'Only the applicant can submit milestone evidence' });
+  }
+  const ship = loadShip(milestone.shipId);
+  const notDelivering = ship && phaseError(ship, ['allocation', 'distributing'], 'submit milestones');
+  if (notDelivering) return res.status(409).json(notDelivering);
+  if (milestone.status !== 'pending' && milestone.status !== 'rejected') {
+    return res.status(400).json({ error: `Milestone is ${milestone.status}` });
+  }
+
+  let evidence;
+  try {
+    evidence = parseEvidence(req.body);
+  } catch (err) {
+    if (err instanceof MilestoneError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  milestone.evidence.push(evidence);
+  milestone.status = 'submitted';
+  milestones.set(milestone.id, milestone);
+
+  console.log(`[MILESTONE SUBMITTED] ${milestone.projectName} #${milestone.index + 1}`);
+  res.json(milestone);
+});
+
+// Captain approves (tranche becomes payable) or sends back a milestone
+app.post('/milestones/:id/review', requireSignature(), requireAccess(shipOf.milestone), validateBody(schemas.milestoneReview), (req, res) => {
+  const { approved, note } = req.body;
+  const milestone = milestones.get(req.params.id);
+  if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
+
+  const ship = loadShip(milestone.shipId);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can review milestones' });
+  }
+  const notDelivering = phaseError(ship, ['allocation', 'distributing'], 'review milestones');
+  if (notDelivering) return res.status(409).json(notDelivering);
+  if (milestone.status !== 'submitted') {
+    return res.status(400).json({ error: `Milestone is ${milestone.status}, not submitted` });
+  }
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'approved (boolean) required' });
+  }
+
+  milestone.status = approved ? 'approved' : 'rejected';
+  milestone.reviewNote = note || null;
+  milestone.reviewedAt = Date.now();
+  milestones.set(milestone.id, milestone);
+
+  console.log(`[MILESTONE ${approved ? 'APPROVED' : 'REJECTED'}] ${milestone.projectName} #${milestone.index + 1}`);
+  res.json(milestone);
+});
+
+// ============================================================================
+// DISTRIBUTION
+// ============================================================================
+
+function shipSummary(ship) {
+  return {
+    id: ship.id,
+    name: ship.name,
+    asset: ship.asset.symbol,
+    budget: formatAmount(ship.budget, ship.asset),
+    allocated: formatAmount(ship.allocated, ship.asset),
+    distributed: formatAmount(ship.distributed, ship.asset),
+    status: ship.status
+  };
+}
+
+function payoutSummary(payout) {
+  return {
+    payoutId: payout.id,
+    allocationId: payout.allocationId,
+    milestoneId: payout.milestoneId || null,
+    projectName: payout.projectName,
+    applicant: payout.to,
+    gross: formatAmount(payout.gross, payout.asset),
+    fee: formatAmount(BigInt(payout.gross) - BigInt(payout.amount), payout.asset),
+    net: formatAmount(payout.amount, payout.asset),
+    status: payout.status,
+    txHash: payout.txHash,
+    error: payout.error
+  };
+}
+
+// Gas is paid once per transaction, even when a batch covers many payouts
+function recordGas(payout) {
+  if (!payout.gasCost || BigInt(payout.gasCost) === 0n) return;
+  if (ledger.hasEntry(e => e.type === 'gas' && e.ref.txHash === payout.txHash)) return;
+  ledger.record({
+    shipId: payout.shipId,
+    type: 'gas',
+    asset: NATIVE_ASSET,
+    debit: accounts.GAS,
+    credit: accounts.TREASURY,
+    amount: payout.gasCost,
+    ref: { txHash: payout.txHash }
+  });
+}
+
+// Keep the allocation and ship counters and the ledger in step with each payout.
+function handlePayoutStatus(payout) {
+  if (payout.status === 'confirmed' || payout.status === 'failed') {
+    recordGas(payout);
+    events.publish(`payout.${payout.status}`, {
+      shipId: payout.shipId,
+      data: { ...payoutSummary(payout), kind: payout.kind || 'grant', distributionId: payout.distributionId }
+    });
+  }
+  if (payout.kind === 'refund') return handleRefundStatus(payout);
+
+  if (payout.status === 'confirmed') {
+    const ref = { payoutId: payout.id, allocationId: payout.allocationId, txHash: payout.txHash, to: payout.to };
+    ledger.record({
+      shipId: payout.shipId,
+      type: 'payout',
+      asset: payout.asset,
+      debit: accounts.allocated(payout.shipId),
+      credit: accounts.TREASURY,
+      amount: payout.amount,
+      ref
+    });
+    ledger.record({
+      shipId: payout.shipId,
+      type: 'fee',
+      asset: payout.asset,
+      debit: accounts.allocated(payout.shipId),
+      credit: accounts.FEES,
+      amount: BigInt(payout.gross) - BigInt(payout.amount),
+      ref
+    });
+
+    if (payout.milestoneId) {
+      const milestone = milestones.get(payout.milestoneId);
+      if (milestone) {
+        milestone.status = 'paid';
+        milestone.txHash = payout.txHash;
+        milestones.set(milestone.id, milestone);
+      }
+    }
+
+    const alloc = allocations.get(payout.allocationId);
+    const fullyPaid = !alloc?.hasMilestones || Array.from(milestones.values())
+      .filter(m => m.allocationId === payout.allocationId)
+      .every(m => m.status === 'paid');
+    if (alloc && fullyPaid) {
+      alloc.distributed = true;
+      alloc.distributedAt = Date.now();
+      alloc.txHash = payout.txHash;
+      allocations.set(alloc.id, alloc);
+    }
+
+    const ship = ships.get(payout.shipId);
+    if (ship) {
+      ship.distributed = (BigInt(ship.distributed) + BigInt(payout.gross)).toString();
+      ships.set(ship.id, ship);
+    }
+    console.log(`[PAYOUT] ${formatAmount(payout.amount, payout.asset)} to ${payout.projectName} (${payout.txHash})`);
+  } else if (payout.status === 'failed') {
+    console.error(`[PAYOUT FAILED] ${payout.projectName}: ${payout.error}`);
+  }
+}
+
+function refreshDistribution(distribution) {
+  const list = distribution.payoutIds.map(id => payouts.get(id)).filter(Boolean);
+  distribution.payouts = list.map(payoutSummary);
+  if (list.every(p => p.status === 'confirmed')) {
+    distribution.status = 'completed';
+  } else if (list.some(p => p.status === 'queued' || p.status === 'broadcast')) {
+    distribution.status = 'processing';
+  } else {
+    distribution.status = 'partial';
+  }
+  distributions.set(distribution.id, distribution);
+  return distribution;
+}
+
+function updateShipDistributionStatus(ship) {
+  if (ship.status === 'distributing' && BigInt(ship.distributed) >= BigInt(ship.allocated)) {
+    transitionShip(ship, 'completed', 'system');
+  }
+}
+
+const payoutEngine = createPayoutEngine({
+  payouts,
+  getWallet,
+  getProvider,
+  confirmations: PAYOUT_CONFIRMATIONS,
+  confirmTimeout: PAYOUT_CONFIRM_TIMEOUT,
+  onStatusChange: handlePayoutStatus
+});
+
+// One distribute/retry at a time per ship
+const distributeLocks = new Set();
+
+// Per-ship wait between distribute/retry calls: the 429 body, or null
+function distributeCooldown(ship) {
+  const wait = shipLimits(ship).distributeCooldownSeconds * 1000;
+  const retryAfter = Math.ceil(((ship.lastDistributeAt || 0) + wait - Date.now()) / 1000);
+  if (retryAfter <= 0) return null;
+  return { error: `Wait ${retryAfter}s before distributing again on this ship`, limit: 'distributeCooldownSeconds', retryAfter };
+}
+
+// Claims the distribute lock and starts the ship's cooldown
+function startDistributing(ship) {
+  distributeLocks.add(ship.id);
+  ship.lastDistributeAt = Date.now();
+  ships.set(ship.id, ship);
+}
+
+// Gas estimate and per-recipient breakdown for a planned distribution
+async function estimateDistribution(ship, plan, mode) {
+  const provider = getProvider();
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+
+  let gas = 0n;
+  let estimate;
+  if (mode === 'batch') {
+    estimate = await estimateBatch(provider, TREASURY_ADDRESS, DISPERSE_ADDRESS, ship.asset, plan);
+    gas = (estimate.approvalGas || 0n) + (estimate.batchGas || 0n);
+  } else {
+    estimate = { transactions: plan.length, error: null };
+    try {
+      for (const p of plan) {
+        gas += await provider.estimateGas({ from: TREASURY_ADDRESS, ...transferRequest(ship.asset, p.to, p.amount) });
+      }
+    } catch (err) {
+      estimate.error = err.shortMessage || err.message;
+    }
+  }
+
+  return {
+    ...estimate,
+    approvalGas: estimate.approvalGas?.toString() ?? undefined,
+    batchGas: estimate.batchGas?.toString() ?? undefined,
+    gas: gas.toString(),
+    estimatedCost: formatAmount(gas * gasPrice, NATIVE_ASSET)
+  };
+}
+
+app.post('/ships/:id/distribute', requireSignature(), requireAccess(shipOf.ship), throttle('distribute'), validateBody(schemas.distribute), asyncRoute(async (req, res) => {
+  const { dryRun } = req.body;
+  const mode = req.body.mode || 'single'; // single, batch
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+  if (req.actor !== ship.captain) {
+    return res.status(403).json({ error: 'Only captain can distribute' });
+  }
+  // A repeated key returns the original distribution instead of paying again, even once the ship has moved on
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+  if (idempotencyKey && !dryRun) {
+    const previous = Array.from(distributions.values())
+      .find(d => d.shipId === ship.id && d.idempotencyKey === idempotencyKey);
+    if (previous) {
+      return res.json({ success: true, replayed: true, distribution: previous, ship: shipSummary(ship) });
+    }
+  }
+
+  const notDistributing = phaseError(ship, ['allocation', 'distributing'], 'distribute');
+  if (notDistributing) return res.status(409).json(notDistributing);
+  if (mode !== 'single' && mode !== 'batch') {
+    return res.status(400).json({ error: 'mode must be single or batch' });
+  }
+
+  if (distributeLocks.has(ship.id)) {
+    return res.status(409).json({ error: 'A distribution is already in progress for this ship' });
+  }
+
+  // Whole allocations, plus approved tranches of milestone-based ones
+  const plan = [];
+  for (const alloc of allocations.values()) {
+    if (alloc.shipId !== ship.id || alloc.distributed) continue;
+    const tranches = alloc.hasMilestones
+      ? Array.from(milestones.values()).filter(m => m.allocationId === alloc.id && m.status === 'approved' && !m.payoutId)
+      : (!alloc.payoutId && BigInt(alloc.amount) > 0n ? [null] : []);
+
+    for (const milestone of tranches) {
+      const gross = milestone ? milestone.amount : alloc.amount;
+      const { fee, net } = splitFee(gross);
+      plan.push({
+        alloc,
+        milestone,
+        allocationId: alloc.id,
+        milestoneId: milestone?.id || null,
+        projectName: milestone ? `${alloc.projectName} (milestone ${milestone.index + 1})` : alloc.projectName,
+        to: alloc.applicant,
+        gross,
+        fee: fee.toString(),
+        amount: net.toString()
+      });
+    }
+  }
+
+  if (plan.length === 0) {
+    return res.status(400).json({ error: 'No pending allocations or approved milestones to distribute' });
+  }
+
+  const totalToDistribute = plan.reduce((sum, p) => sum + BigInt(p.gross), 0n);
+  const fee = plan.reduce((sum, p) => sum + BigInt(p.fee), 0n);
+  const netTotal = totalToDistribute - fee;
+
+  if (dryRun) {
+    try {
+      return res.json({
+        dryRun: true,
+        mode,
+        asset: ship.asset.symbol,
+        totalGross: formatAmount(totalToDistribute, ship.asset),
+        totalFee: formatAmount(fee, ship.asset),
+        totalNet: formatAmount(netTotal, ship.asset),
+        recipients: plan.map(p => ({
+          allocationId: p.allocationId,
+          milestoneId: p.milestoneId,
+          projectName: p.projectName,
+          applicant: p.to,
+          gross: formatAmount(p.gross, ship.asset),
+          net: formatAmount(p.amount, ship.asset)
+        })),
+        gasEstimate: await estimateDistribution(ship, plan, mode)
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  if (!getWallet()) {
+    return res.status(500).json({ error: 'Wallet not configured' });
+  }
+
+  const distribution = {
+    id: uuidv4(),
+    shipId: ship.id,
+    shipName: ship.name,
+    idempotencyKey,
+    mode,
+    status: 'processing', // processing, completed, partial
+    asset: ship.asset.symbol,
+    totalGross: formatAmount(totalToDistribute, ship.asset),
+    totalFee: formatAmount(fee, ship.asset),
+    totalNet: formatAmount(netTotal, ship.asset),
+    payoutIds: [],
+    payouts: [],
+    createdAt: Date.now()
+  };
+
+  const cooling = distributeCooldown(ship);
+  if (cooling) return res.status(429).set('Retry-After', String(cooling.retryAfter)).json(cooling);
+
+  startDistributing(ship);
+  try {
+    // The first distribution ends the allocation phase
+    if (ship.status === 'allocation') transitionShip(ship, 'distributing', req.actor);
+
+    // Token batches pull from the treasury, so the contract needs an allowance first
+    if (mode === 'batch') {
+      await ensureAllowance(getWallet(), ship.asset, DISPERSE_ADDRESS, batchTotal(plan), PAYOUT_CONFIRMATIONS);
+    }
+
+    const queued = plan.map(({ alloc, milestone, ...fields }) => {
+      const payout = payoutEngine.queue({
+        shipId: ship.id,
+        distributionId: distribution.id,
+        asset: ship.asset,
+        ...fields
+      });
+      if (milestone) {
+        milestone.payoutId = payout.id;
+        milestones.set(milestone.id, milestone);
+      } else {
+        alloc.payoutId = payout.id;
+        allocations.set(alloc.id, alloc);
+      }
+      return payout;
+    });
+
+    distribution.payoutIds = queued.map(p => p.id);
+    refreshDistribution(distribution);
+
+    if (mode === 'batch') {
+      await payoutEngine.processBatch(queued, list => batchRequest(DISPERSE_ADDRESS, ship.asset, list));
+    } else {
+      await payoutEngine.process(queued);
+    }
+
+    refreshDistribution(distribution);
+    updateShipDistributionStatus(ship);
+
+    res.json({ success: distribution.status === 'completed', distribution, ship: shipSummary(ship) });
+  } catch (err) {
+    res.status(500).json({ error: err.message, distributionId: distribution.id });
+  } finally {
+    distributeLocks.delete(ship.id);
+  }
+}));
+
+// Who may retry a payout: the captain any of them; refunds also whoever closed the ship and the funder refunded
+function canRetryPayout(ship, payout, actor) {
+  if (actor === ship.captain) return true;
+  return payout.kind === 'refund' && (actor === ship.closeout?.by || actor === payout.to);
+}
+
+// Reconcile in-flight payouts and resend only the failed ones
+app.post('/ships/:id/distribute/retry', requireSignature(), requireAccess(shipOf.ship), throttle('distribute'), asyncRoute(async (req, res) => {
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+  const shipPayouts = Array.from(payouts.values()).filter(p => p.shipId === ship.id);
+  if (req.actor !== ship.captain && !shipPayouts.some(p => canRetryPayout(ship, p, req.actor))) {
+    return res.status(403).json({ error: 'Only the captain can retry payouts; refunds also whoever closed the ship and the refunded funder' });
+  }
+
+  if (!getWallet()) {
+    return res.status(500).json({ error: 'Wallet not configured' });
+  }
+
+  if (distributeLocks.has(ship.id)) {
+    return res.status(409).json({ error: 'A distribution is already in progress for this ship' });
+  }
+
+  const unsettled = shipPayouts.filter(p => p.status !== 'confirmed' && canRetryPayout(ship, p, req.actor));
+
+  if (unsettled.length === 0) {
+    return res.status(400).json({ error: 'No failed or unconfirmed payouts to retry' });
+  }
+
+  const cooling = distributeCooldown(ship);
+  if (cooling) return res.status(429).set('Retry-After', String(cooling.retryAfter)).json(cooling);
+
+  startDistributing(ship);
+  try {
+    await payoutEngine.retry(unsettled);
+
+    const distributionIds = new Set(unsettled.map(p => p.distributionId));
+    const updated = Array.from(distributionIds)
+      .map(id => distributions.get(id))
+      .filter(Boolean)
+      .map(refreshDistribution);
+    updateShipDistributionStatus(ship);
+
+    res.json({
+      success: unsettled.every(p => p.status === 'confirmed'),
+      payouts: unsettled.map(payoutSummary),
+      distributions: updated,
+      ship: shipSummary(ship)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    distributeLocks.delete(ship.id);
+  }
+}));
+
+const DISTRIBUTION_SORTS = {
+  createdAt: { type: 'number', value: d => d.createdAt },
+  shipName: { type: 'string', value: d => d.shipName }
+};
+
+app.get('/distributions', (req, res) => sendPage(res, () => {
+  const { shipId, status, kind, captain, q } = req.query;
+  const from = parseDate(req.query.createdFrom, 'createdFrom');
+  const to = parseDate(req.query.createdTo, 'createdTo');
+
+  const results = Array.from(distributions.values())
+    .filter(d => !shipId || d.shipId === shipId)
+    .filter(d => !status || d.status === status)
+    .filter(d => !kind || (d.kind || 'grant') === kind)
+    .filter(d => !captain || ships.get(d.shipId)?.captain === String(captain).toLowerCase())
+    .filter(d => inDateRange(d.createdAt, from, to))
+    .filter(d => matchesText(q, d.shipName, ...d.payouts.map(p => p.projectName)));
+
+  return paginate(results, req.query, DISTRIBUTION_SORTS);
+}));
+
+// ============================================================================
+// CLOSE-OUT (refunds & rollover)
+// ============================================================================
+
+// A confirmed refund returns unallocated budget to a funder
+function handleRefundStatus(payout) {
+  if (payout.status === 'confirmed') {
+    ledger.record({
+      shipId: payout.shipId,
+      type: 'refund',
+      asset: payout.asset,
+      debit: accounts.unallocated(payout.shipId),
+      credit: accounts.TREASURY,
+      amount: payout.amount,
+      ref: { payoutId: payout.id, txHash: payout.txHash, to: payout.to }
+    });
+
+    const ship = ships.get(payout.shipId);
+    if (ship) {
+      ship.budget = (BigInt(ship.budget) - BigInt(payout.amount)).toString();
+      ship.refunded = (BigInt(ship.refunded || '0') + BigInt(payout.amount)).toString();
+      ships.set(ship.id, ship);
+    }
+    console.log(`[REFUND] ${formatAmount(payout.amount, payout.asset)} to ${payout.to.slice(0, 10)}... (${payout.txHash})`);
+  } else if (payout.status === 'failed') {
+    console.error(`[REFUND FAILED] ${payout.to.slice(0, 10)}...: ${payout.error}`);
+  }
+}
+
+// Split `amount` across funders by what each put in; rounding dust goes to the largest funder
+function refundShares(ship, amount) {
+  const totals = new Map();
+  for (const f of fundings.values()) {
+    if (f.shipId !== ship.id || !f.from) continue;
+    totals.set(f.from, (totals.get(f.from) || 0n) + BigInt(f.amount));
+  }
+
+  const entries = Array.from(totals, ([from, weight]) => ({ applicationId: from, weight }))
+    .sort((a, b) => (b.weight > a.weight ? 1 : b.weight < a.weight ? -1 : 0));
+  const shares = splitByWeight(entries, amount).map(s => ({ to: s.applicationId, amount: s.amount }));
+  if (shares.length > 0) {
+    shares[0].amount += amount - shares.reduce((sum, s) => sum + s.amount, 0n);
+  }
+  return shares.filter(s => s.amount > 0n);
+}
+
+// Close a finished ship: refund unallocated budget to funders pro rata, or roll it into a successor ship
+app.post('/ships/:id/close', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.close), asyncRoute(async (req, res) => {
+  const { mode, successorShipId } = req.body;
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  const isFunder = Array.from(fundings.values()).some(f => f.shipId === ship.id && f.from === req.actor);
+  if (req.actor !== ship.captain && !isFunder) {
+    return res.status(403).json({ error: 'Only the captain or a funder can close a ship' });
+  }
+  if (ship.closeout) {
+    return res.status(409).json({ error: 'Ship is already closed out', closeout: ship.closeout });
+  }
+  const notFinished = phaseError(ship, ['completed', 'cancelled'], 'close out');
+  if (notFinished) return res.status(409).json(notFinished);
+  if (mode !== 'refund' && mode !== 'rollover') {
+    return res.status(400).json({ error: 'mode must be refund or rollover' });
+  }
+  if (distributeLocks.has(ship.id)) {
+    return res.status(409).json({ error: 'A distribution is already in progress for this ship' });
+  }
+
+  const unallocated = BigInt(ship.budget) - BigInt(ship.allocated);
+  const closeout = {
+    mode,
+    by: req.actor,
+    unallocated: unallocated.toString(),
+    unallocatedFormatted: formatAmount(unallocated, ship.asset),
+    successorShipId: null,
+    distributionId: null,
+    closedAt: Date.now()
+  };
+
+  if (mode === 'rollover') {
+    const successor = successorShipId && loadShip(successorShipId);
+    if (!successor || successor.id === ship.id) {
+      return res.status(400).json({ error: 'successorShipId must be another existing ship' });
+    }
+    if (!LIVE_PHASES.includes(successor.status)) {
+      return res.status(400).json({ error: `Successor ship is ${successor.status}` });
+    }
+    if (assetKey(successor.asset) !== assetKey(ship.asset)) {
+      return res.status(400).json({ error: `Successor ship budget is in ${successor.asset.symbol}, not ${ship.asset.symbol}` });
+    }
+
+    closeout.successorShipId = successor.id;
+    ship.closeout = closeout;
+    ship.budget = ship.allocated;
+    ship.rolledOver = unallocated.toString();
+    ships.set(ship.id, ship);
 
-  if (approved === false) {
-    application.status = 'rejected';
-    applications.set(application.id, application);
-    console.log(`[REJECTED] ${application.projectName}`);
-    return res.json({ application, message: 'Application rejected' });
+    successor.budget = (BigInt(successor.budget) + unallocated).toString();
+    successor.rolledOverFrom = [...(successor.rolledOverFrom || []), ship.id];
+    ships.set(successor.id, successor);
+
+    // Funders keep their pro-rata claim in the successor, should it be refunded later
+    for (const share of refundShares(ship, unallocated)) {
+      const id = `rollover:${ship.id}:${share.to}`;
+      fundings.set(id, {
+        id,
+        shipId: successor.id,
+        from: share.to,
+        rolledOverFrom: ship.id,
+        amount: share.amount.toString(),
+        amountFormatted: formatAmount(share.amount, ship.asset),
+        blockNumber: null,
+        timestamp: null,
+        createdAt: Date.now()
+      });
+    }
+
+    ledger.record({
+      shipId: ship.id,
+      type: 'rollover',
+      asset: ship.asset,
+      debit: accounts.unallocated(ship.id),
+      credit: accounts.unallocated(successor.id),
+      amount: unallocated,
+      ref: { fromShipId: ship.id, toShipId: successor.id }
+    });
+
+    console.log(`[ROLLOVER] ${formatAmount(unallocated, ship.asset)} from ${ship.name} to ${successor.name}`);
+    return res.json({ closeout, ship: shipSummary(ship), successor: shipSummary(successor) });
   }
 
-  let allocWei = 0n;
-  try {
-    allocWei = ethers.parseEther((amount || '0').toString());
-  } catch (e) {
-    return res.status(400).json({ error: 'Invalid amount' });
+  const shares = refundShares(ship, unallocated);
+  if (unallocated > 0n && shares.length === 0) {
+    return res.status(400).json({ error: 'No recorded funders to refund; use rollover instead' });
+  }
+  if (shares.length > 0 && !getWallet()) {
+    return res.status(500).json({ error: 'Wallet not configured' });
   }
 
-  const remaining = BigInt(ship.budget) - BigInt(ship.allocated);
-  if (allocWei > remaining) {
-    return res.status(400).json({ 
-      error: 'Insufficient budget', 
-      remaining: formatETH(remaining),
-      requested: formatETH(allocWei)
-    });
+  ship.closeout = closeout;
+  ships.set(ship.id, ship);
+  if (shares.length === 0) {
+    return res.json({ closeout, ship: shipSummary(ship) });
   }
 
-  const allocation = {
+  const distribution = {
     id: uuidv4(),
     shipId: ship.id,
-    applicationId: application.id,
-    projectName: application.projectName,
-    applicant: application.applicant,
-    amount: allocWei.toString(),
-    amountFormatted: formatETH(allocWei),
-    distributed: false,
+    shipName: ship.name,
+    kind: 'refund',
+    idempotencyKey: null,
+    mode: 'single',
+    status: 'processing',
+    asset: ship.asset.symbol,
+    totalGross: formatAmount(unallocated, ship.asset),
+    totalFee: formatAmount(0n, ship.asset),
+    totalNet: formatAmount(unallocated, ship.asset),
+    payoutIds: [],
+    payouts: [],
     createdAt: Date.now()
   };
-
-  allocations.set(allocation.id, allocation);
-  
-  application.status = 'approved';
-  application.allocation = allocWei.toString();
-  applications.set(application.id, application);
-  
-  ship.allocated = (BigInt(ship.allocated) + allocWei).toString();
+  closeout.distributionId = distribution.id;
   ships.set(ship.id, ship);
-  
-  console.log(`[ALLOCATED] ${formatETH(allocWei)} to ${application.projectName}`);
-  
-  res.status(201).json({ allocation, application, shipBudgetRemaining: formatETH(remaining - allocWei) });
-});
+
+  distributeLocks.add(ship.id);
+  try {
+    const queued = shares.map(share => payoutEngine.queue({
+      shipId: ship.id,
+      distributionId: distribution.id,
+      kind: 'refund',
+      projectName: `Refund to ${share.to.slice(0, 10)}...`,
+      to: share.to,
+      asset: ship.asset,
+      gross: share.amount.toString(),
+      fee: '0',
+      amount: share.amount.toString()
+    }));
+    distribution.payoutIds = queued.map(p => p.id);
+    refreshDistribution(distribution);
+
+    await payoutEngine.process(queued);
+    refreshDistribution(distribution);
+
+    res.json({ success: distribution.status === 'completed', closeout, distribution, ship: shipSummary(ship) });
+  } catch (err) {
+    res.status(500).json({ error: err.message, distributionId: distribution.id });
+  } finally {
+    distributeLocks.delete(ship.id);
+  }
+}));
 
 // ============================================================================
-// DISTRIBUTION
+// LEDGER & RECONCILIATION
 // ============================================================================
 
-app.post('/ships/:id/distribute', requireWhitelist(), async (req, res) => {
+function formatEntry(entry) {
+  return { ...entry, amountFormatted: formatAmount(entry.amount, entry.asset) };
+}
+
+// Entries recorded for a ship or moving value into/out of its accounts (rollovers)
+function touchesShip(shipId) {
+  const prefix = `ship:${shipId}:`;
+  return e => e.shipId === shipId || e.debit.startsWith(prefix) || e.credit.startsWith(prefix);
+}
+
+// Compare a ship's ledger accounts with its budget/allocated/distributed counters
+function shipLedgerCheck(ship) {
+  const bucket = ledger.balances(touchesShip(ship.id))[assetKey(ship.asset)]?.accounts || {};
+  const ledgerUnallocated = -(bucket[accounts.unallocated(ship.id)] || 0n);
+  const ledgerAllocated = -(bucket[accounts.allocated(ship.id)] || 0n);
+  const expectedUnallocated = BigInt(ship.budget) - BigInt(ship.allocated);
+  const expectedAllocated = BigInt(ship.allocated) - BigInt(ship.distributed);
+
+  return {
+    shipId: ship.id,
+    name: ship.name,
+    asset: ship.asset.symbol,
+    unallocated: formatAmount(ledgerUnallocated, ship.asset),
+    allocatedUnpaid: formatAmount(ledgerAllocated, ship.asset),
+    consistent: ledgerUnallocated === expectedUnallocated && ledgerAllocated === expectedAllocated
+  };
+}
+
+app.get('/ships/:id/ledger', (req, res) => {
   const ship = ships.get(req.params.id);
   if (!ship) return res.status(404).json({ error: 'Ship not found' });
-  
-  if (!getWallet()) {
-    return res.status(500).json({ error: 'Wallet not configured' });
+
+  res.json({
+    ...shipLedgerCheck(ship),
+    entries: ledger.list(touchesShip(ship.id)).map(formatEntry)
+  });
+});
+
+// Ledger treasury balance per asset vs what the treasury actually holds
+app.get('/treasury/reconcile', asyncRoute(async (req, res) => {
+  const balances = ledger.balances();
+  if (!balances.native) balances.native = { asset: NATIVE_ASSET, accounts: {} };
+
+  try {
+    const assets = await Promise.all(Object.values(balances).map(async ({ asset, accounts: acc }) => {
+      const expected = acc[accounts.TREASURY] || 0n;
+      const onChain = await balanceOf(getProvider(), asset, TREASURY_ADDRESS);
+      const drift = onChain - expected;
+      const shipLiabilities = Object.entries(acc)
+        .filter(([account]) => account.startsWith('ship:'))
+        .reduce((sum, [, value]) => sum - value, 0n);
+
+      return {
+        asset: asset.symbol,
+        address: asset.address,
+        ledgerBalance: formatAmount(expected, asset),
+        onChainBalance: formatAmount(onChain, asset),
+        drift: formatAmount(drift, asset),
+        status: drift === 0n ? 'ok' : (drift > 0n ? 'surplus' : 'deficit'),
+        owedToShips: formatAmount(shipLiabilities, asset),
+        feesHeld: formatAmount(-(acc[accounts.FEES] || 0n), asset),
+        gasSpent: formatAmount(acc[accounts.GAS] || 0n, asset)
+      };
+    }));
+
+    const inconsistentShips = Array.from(ships.values()).map(shipLedgerCheck).filter(c => !c.consistent);
+
+    res.json({
+      treasury: TREASURY_ADDRESS,
+      checkedAt: Date.now(),
+      ok: assets.every(a => a.status !== 'deficit') && inconsistentShips.length === 0,
+      assets,
+      inconsistentShips
+    });
+  } catch (err) {
+    res.status(502).json({ error: `Could not read treasury balance: ${err.message}` });
   }
+}));
 
-  const pendingAllocations = Array.from(allocations.values())
-    .filter(a => a.shipId === ship.id && !a.distributed && BigInt(a.amount) > 0n);
+// ============================================================================
+// PROFILES (cross-round history per address)
+// ============================================================================
 
-  if (pendingAllocations.length === 0) {
-    return res.status(400).json({ error: 'No pending allocations to distribute' });
+// Sum amounts per asset: [{ asset, address, total, totalFormatted }]
+function totalsByAsset(records, assetOf, amountOf) {
+  const totals = new Map();
+  for (const record of records) {
+    const asset = assetOf(record);
+    if (!asset) continue;
+    const entry = totals.get(assetKey(asset)) || { asset, total: 0n };
+    entry.total += BigInt(amountOf(record));
+    totals.set(assetKey(asset), entry);
   }
+  return Array.from(totals.values()).map(({ asset, total }) => ({
+    asset: asset.symbol,
+    address: asset.address,
+    total: total.toString(),
+    totalFormatted: formatAmount(total, asset)
+  }));
+}
 
-  const totalToDistribute = pendingAllocations.reduce((sum, a) => sum + BigInt(a.amount), 0n);
-  const fee = (totalToDistribute * FEE_PERCENT) / 100n;
-  const netTotal = totalToDistribute - fee;
+const shipAsset = record => ships.get(record.shipId)?.asset;
 
-  const payouts = [];
+// An applicant's outcomes on other ships, shown to captains next to an application
+function trackRecord(applicant, excludeShipId = null) {
+  const past = Array.from(applications.values())
+    .filter(a => a.applicant === applicant && a.shipId !== excludeShipId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const received = Array.from(payouts.values())
+    .filter(p => p.to === applicant && p.kind !== 'refund' && p.status === 'confirmed' && p.shipId !== excludeShipId);
+  const completed = Array.from(allocations.values())
+    .filter(a => a.applicant === applicant && a.distributed && a.shipId !== excludeShipId);
+  const count = status => past.filter(a => a.status === status).length;
 
-  for (const alloc of pendingAllocations) {
-    const netAmount = (BigInt(alloc.amount) * 95n) / 100n; // 5% fee per allocation
-    
+  return {
+    applications: past.length,
+    approved: count('approved'),
+    rejected: count('rejected'),
+    withdrawn: count('withdrawn'),
+    completedGrants: completed.length,
+    received: totalsByAsset(received, p => p.asset, p => p.amount),
+    history: past.slice(0, 20).map(a => ({
+      applicationId: a.id,
+      shipId: a.shipId,
+      shipName: a.shipName,
+      projectName: a.projectName,
+      status: a.status,
+      allocation: shipAsset(a) ? formatAmount(a.allocation, shipAsset(a)) : a.allocation,
+      createdAt: a.createdAt
+    }))
+  };
+}
+
+// Accepts an address, an ENS name or a Basename (*.base.eth)
+app.get('/addresses/:addr', asyncRoute(async (req, res) => {
+  let address = req.params.addr;
+  if (!ethers.isAddress(address)) {
+    if (!address.includes('.')) return res.status(400).json({ error: 'Not an address or name' });
     try {
-      const tx = await getWallet().sendTransaction({ to: alloc.applicant, value: netAmount });
-      
-      alloc.distributed = true;
-      alloc.distributedAt = Date.now();
-      alloc.txHash = tx.hash;
-      allocations.set(alloc.id, alloc);
-      
-      payouts.push({
-        allocationId: alloc.id,
-        projectName: alloc.projectName,
-        applicant: alloc.applicant,
-        gross: formatETH(alloc.amount),
-        net: formatETH(netAmount),
-        txHash: tx.hash
-      });
-      
-      console.log(`[PAYOUT] ${formatETH(netAmount)} to ${alloc.projectName}`);
+      address = await names.resolveName(address);
     } catch (err) {
-      console.error(`[PAYOUT FAILED] ${alloc.projectName}: ${err.message}`);
+      if (err instanceof NameError) return res.status(400).json({ error: err.message });
+      throw err;
     }
+    if (!address) return res.status(404).json({ error: `${req.params.addr} does not resolve to an address` });
   }
+  address = address.toLowerCase();
 
-  ship.distributed = (BigInt(ship.distributed) + netTotal).toString();
-  if (BigInt(ship.distributed) >= BigInt(ship.allocated)) {
-    ship.status = 'completed';
-  } else {
-    ship.status = 'distributing';
+  const captained = Array.from(ships.values())
+    .filter(s => s.captain === address)
+    .map(s => shipAsOf(s))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const applied = Array.from(applications.values())
+    .filter(a => a.applicant === address)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const allocated = Array.from(allocations.values()).filter(a => a.applicant === address);
+  const received = Array.from(payouts.values())
+    .filter(p => p.to === address)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const confirmed = kind => received.filter(p => p.status === 'confirmed' && (p.kind || 'grant') === kind);
+  const funded = Array.from(fundings.values()).filter(f => f.from === address && !f.rolledOverFrom);
+
+  res.json({
+    address,
+    names: await names.namesFor(address),
+    totals: {
+      granted: totalsByAsset(captained, s => s.asset, s => s.distributed),
+      allocated: totalsByAsset(allocated, shipAsset, a => a.amount),
+      received: totalsByAsset(confirmed('grant'), p => p.asset, p => p.amount),
+      funded: totalsByAsset(funded, shipAsset, f => f.amount),
+      refunded: totalsByAsset(confirmed('refund'), p => p.asset, p => p.amount)
+    },
+    captained: captained.map(s => ({ ...shipSummary(s), createdAt: s.createdAt })),
+    applications: applied.map(a => ({
+      applicationId: a.id,
+      shipId: a.shipId,
+      shipName: a.shipName,
+      projectName: a.projectName,
+      status: a.status,
+      requested: a.requestFormatted,
+      allocation: shipAsset(a) ? formatAmount(a.allocation, shipAsset(a)) : a.allocation,
+      rejectionReason: a.rejectionReason || null,
+      createdAt: a.createdAt
+    })),
+    payouts: received.map(p => ({
+      ...payoutSummary(p),
+      shipId: p.shipId,
+      kind: p.kind || 'grant',
+      updatedAt: p.updatedAt
+    }))
+  });
+}));
+
+// ============================================================================
+// ACCESS POLICIES & ALLOWLISTS
+// ============================================================================
+
+// Which policy applies to a ship, and (with ?address=) that address's roles and decision
+app.get('/ships/:id/access', asyncRoute(async (req, res) => {
+  const ship = ships.get(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  const view = { shipId: ship.id, source: ship.access ? 'ship' : 'platform', policy: policyFor(ship) };
+  if (!req.query.address) return res.json(view);
+  if (!ethers.isAddress(req.query.address)) return res.status(400).json({ error: 'address must be an address' });
+
+  const address = req.query.address.toLowerCase();
+  const roles = rolesFor(address, ship);
+  if (roles.length > 0) return res.json({ ...view, address, roles, allowed: true, reason: `Has a role on this ship (${roles.join(', ')})` });
+  try {
+    const decision = await access.check(policyFor(ship), address);
+    res.json({ ...view, address, roles, allowed: decision.allowed, reason: decision.reason || null });
+  } catch (err) {
+    if (err instanceof AccessUnavailableError) return res.status(503).json({ ...view, address, roles, error: err.message });
+    throw err;
+  }
+}));
+
+// Captain (or an admin) sets the ship's policy; null goes back to the platform policy
+app.post('/ships/:id/access', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.access), asyncRoute(async (req, res) => {
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+  if (!req.roles.includes('captain') && !req.roles.includes('admin')) {
+    return res.status(403).json({ error: 'Only the captain or an admin can change access' });
+  }
+  const finished = phaseError(ship, LIVE_PHASES, 'change access');
+  if (finished) return res.status(409).json(finished);
+  if (!('access' in req.body)) {
+    return res.status(400).json({ error: 'access required (a policy, or null for the platform policy)', types: POLICY_TYPES });
+  }
+
+  try {
+    ship.access = await shipPolicyFrom(req.body.access, req.actor);
+  } catch (err) {
+    if (err instanceof AccessError) return res.status(400).json({ error: err.message });
+    throw err;
   }
   ships.set(ship.id, ship);
+  console.log(`[ACCESS] ${ship.name}: ${ship.access ? ship.access.type : 'platform'} policy set by ${req.actor.slice(0, 10)}...`);
+  res.json({ shipId: ship.id, source: ship.access ? 'ship' : 'platform', policy: policyFor(ship) });
+}));
 
-  const distribution = {
+// Captain (or an admin) tunes the ship's limits; omitted keys keep their values
+app.post('/ships/:id/limits', requireSignature(), requireAccess(shipOf.ship), validateBody(schemas.limits), (req, res) => {
+  const ship = loadShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+  if (!req.roles.includes('captain') && !req.roles.includes('admin')) {
+    return res.status(403).json({ error: 'Only the captain or an admin can change limits' });
+  }
+  const finished = phaseError(ship, LIVE_PHASES, 'change limits');
+  if (finished) return res.status(409).json(finished);
+
+  try {
+    ship.limits = parseShipLimits(req.body.limits, shipLimits(ship));
+  } catch (err) {
+    if (err instanceof LimitError) return res.status(400).json({ error: err.message, ranges: LIMIT_RANGES });
+    throw err;
+  }
+  ships.set(ship.id, ship);
+  console.log(`[LIMITS] ${ship.name}: ${Object.keys(req.body.limits).join(', ')} changed by ${req.actor.slice(0, 10)}...`);
+  res.json({ shipId: ship.id, limits: ship.limits });
+});
+
+app.get('/allowlists', (req, res) => {
+  res.json(Array.from(allowlists.values()).map(list => allowlistView(list)));
+});
+
+app.get('/allowlists/:name', (req, res) => {
+  const list = allowlists.get(req.params.name);
+  if (!list) return res.status(404).json({ error: 'Allowlist not found' });
+  res.json(allowlistView(list, true));
+});
+
+app.post('/admin/allowlists', requireSignature(), requireAdmin(), validateBody(schemas.allowlist), (req, res) => {
+  let list;
+  try {
+    const name = parseAllowlistName(req.body.name);
+    if (allowlists.get(name)) return res.status(409).json({ error: `Allowlist ${name} already exists; update it instead` });
+    list = {
+      id: name,
+      name,
+      description: String(req.body.description || ''),
+      addresses: parseAddressList(req.body.addresses ?? []),
+      createdBy: req.actor,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  } catch (err) {
+    if (err instanceof AccessError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  allowlists.set(list.id, list);
+  console.log(`[ACCESS] allowlist ${list.name} created with ${list.addresses.length} addresses`);
+  res.status(201).json(allowlistView(list, true));
+});
+
+// Add and remove addresses, or change the description
+app.post('/admin/allowlists/:name', requireSignature(), requireAdmin(), validateBody(schemas.allowlistUpdate), (req, res) => {
+  const list = allowlists.get(req.params.name);
+  if (!list) return res.status(404).json({ error: 'Allowlist not found' });
+
+  let add;
+  let remove;
+  try {
+    add = parseAddressList(req.body.add ?? [], 'add');
+    remove = new Set(parseAddressList(req.body.remove ?? [], 'remove'));
+  } catch (err) {
+    if (err instanceof AccessError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+  const addresses = Array.from(new Set([...list.addresses, ...add])).filter(a => !remove.has(a));
+  if (addresses.length > MAX_ALLOWLIST_SIZE) {
+    return res.status(400).json({ error: `An allowlist holds at most ${MAX_ALLOWLIST_SIZE} addresses` });
+  }
+
+  list.addresses = addresses;
+  if (req.body.description !== undefined) list.description = String(req.body.description);
+  list.updatedAt = Date.now();
+  allowlists.set(list.id, list);
+  console.log(`[ACCESS] allowlist ${list.name}: +${add.length} -${remove.size} by ${req.actor.slice(0, 10)}...`);
+  res.json(allowlistView(list, true));
+});
+
+app.delete('/admin/allowlists/:name', requireSignature(), requireAdmin(), (req, res) => {
+  const list = allowlists.get(req.params.name);
+  if (!list) return res.status(404).json({ error: 'Allowlist not found' });
+
+  const usedBy = Array.from(ships.values())
+    .filter(s => LIVE_PHASES.includes(s.status) && policyLists(s.access).includes(list.name))
+    .map(s => ({ id: s.id, name: s.name }));
+  if (policyLists(PLATFORM_ACCESS_POLICY).includes(list.name) || usedBy.length > 0) {
+    return res.status(409).json({ error: 'Allowlist is used by an access policy', platform: policyLists(PLATFORM_ACCESS_POLICY).includes(list.name), ships: usedBy });
+  }
+
+  allowlists.delete(list.id);
+  console.log(`[ACCESS] allowlist ${list.name} deleted by ${req.actor.slice(0, 10)}...`);
+  res.json({ deleted: list.name });
+});
+
+// ============================================================================
+// EXPORT & IMPORT (audits and migrations)
+// ============================================================================
+
+// Plain decimals so spreadsheets can sum them
+const decimal = (units, asset) => ethers.formatUnits(BigInt(units ?? 0), asset.decimals);
+const isoDate = ms => (ms ? new Date(ms).toISOString() : '');
+
+function roundRecords(ship) {
+  const byCreated = (a, b) => a.createdAt - b.createdAt;
+  const shipApps = Array.from(applications.values()).filter(a => a.shipId === ship.id).sort(byCreated);
+  return {
+    applications: shipApps,
+    allocations: Array.from(allocations.values()).filter(a => a.shipId === ship.id).sort(byCreated),
+    payouts: Array.from(payouts.values()).filter(p => p.shipId === ship.id).sort(byCreated),
+    fundings: Array.from(fundings.values()).filter(f => f.shipId === ship.id).sort(byCreated),
+    scores: shipScores(ship, shipApps)
+  };
+}
+
+// CSV tables, one per ?table=; column names match the import aliases so an
+// applications export can be imported again
+const EXPORT_TABLES = {
+  applications(ship, round) {
+    const applicationOf = new Map(round.allocations.map(a => [a.id, a.applicationId]));
+    const paid = new Map();
+    for (const p of round.payouts) {
+      if (p.kind === 'refund' || p.status !== 'confirmed') continue;
+      const id = applicationOf.get(p.allocationId);
+      paid.set(id, [...(paid.get(id) || []), p]);
+    }
+    const total = (a, amountOf) => (paid.get(a.id) || []).reduce((sum, p) => sum + amountOf(p), 0n);
+    return [
+      ['applicationId', a => a.id],
+      ['projectName', a => a.projectName],
+      ['applicant', a => a.applicant],
+      ['status', a => a.status],
+      ['asset', () => ship.asset.symbol],
+      ['requestAmount', a => decimal(a.requestAmount, ship.asset)],
+      ['allocation', a => decimal(a.allocation, ship.asset)],
+      ['paidGross', a => decimal(total(a, p => BigInt(p.gross)), ship.asset)],
+      ['fees', a => decimal(total(a, p => BigInt(p.gross) - BigInt(p.amount)), ship.asset)],
+      ['paidNet', a => decimal(total(a, p => BigInt(p.amount)), ship.asset)],
+      ['payoutTxHashes', a => [...(paid.get(a.id) || []).map(p => p.txHash), a.imported?.payoutTxHash].filter(Boolean).join(' ')],
+      ['score', a => round.scores.get(a.id)?.score ?? ''],
+      ['rejectionReason', a => a.rejectionReason || ''],
+      ['createdAt', a => isoDate(a.createdAt)]
+    ];
+  },
+
+  payouts(ship) {
+    return [
+      ['payoutId', p => p.id],
+      ['kind', p => p.kind || 'grant'],
+      ['projectName', p => p.projectName || ''],
+      ['to', p => p.to],
+      ['asset', p => p.asset.symbol],
+      ['gross', p => decimal(p.gross, p.asset)],
+      ['fee', p => decimal(BigInt(p.gross) - BigInt(p.amount), p.asset)],
+      ['net', p => decimal(p.amount, p.asset)],
+      ['status', p => p.status],
+      ['txHash', p => p.txHash || ''],
+      ['milestoneId', p => p.milestoneId || ''],
+      ['distributionId', p => p.distributionId || ''],
+      ['createdAt', p => isoDate(p.createdAt)],
+      ['updatedAt', p => isoDate(p.updatedAt)]
+    ];
+  },
+
+  funders(ship) {
+    return [
+      ['txHash', f => (f.rolledOverFrom ? '' : f.id)],
+      ['from', f => f.from],
+      ['asset', () => ship.asset.symbol],
+      ['amount', f => decimal(f.amount, ship.asset)],
+      ['blockNumber', f => f.blockNumber ?? ''],
+      ['timestamp', f => isoDate(f.timestamp)],
+      ['rolledOverFrom', f => f.rolledOverFrom || '']
+    ];
+  }
+};
+
+const EXPORT_ROWS = { applications: 'applications', payouts: 'payouts', funders: 'fundings' };
+
+function exportFilename(ship) {
+  const name = ship.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${name || 'ship'}-${ship.id.slice(0, 8)}`;
+}
+
+app.get('/ships/:id/export', (req, res) => {
+  const ship = viewShip(req.params.id);
+  if (!ship) return res.status(404).json({ error: 'Ship not found' });
+
+  const format = req.query.format || 'json';
+  if (format !== 'csv' && format !== 'json') return res.status(400).json({ error: 'format must be csv or json' });
+  const round = roundRecords(ship);
+
+  if (format === 'json') {
+    res.attachment(`${exportFilename(ship)}.json`);
+    return res.json({
+      exportedAt: Date.now(),
+      ship,
+      applications: round.applications.map(a => ({ ...a, score: round.scores.get(a.id)?.score ?? null })),
+      allocations: round.allocations,
+      payouts: round.payouts.map(({ rawTx, ...p }) => p),
+      fundings: round.fundings,
+      ledger: shipLedgerCheck(ship)
+    });
+  }
+
+  const table = req.query.table || 'applications';
+  if (!EXPORT_TABLES[table]) {
+    return res.status(400).json({ error: `table must be one of: ${Object.keys(EXPORT_TABLES).join(', ')}` });
+  }
+  res.type('text/csv');
+  res.attachment(`${exportFilename(ship)}-${table}.csv`);
+  res.send(toCsv(EXPORT_TABLES[table](ship, round), round[EXPORT_ROWS[table]]));
+});
+
+function parseImportDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new ImportError(`ship.${name} must be an ISO date or unix milliseconds`);
+  return ms;
+}
+
+// A round that ran elsewhere, imported as a completed ship for history,
+// profiles and exports. Its budget counters stay at zero: none of its
+// funds moved through this treasury, so the ledger has nothing to match.
+async function importedShip(input, captain) {
+  if (!input || typeof input !== 'object' || !input.name) throw new ImportError('ship.name required');
+  if (input.captain !== undefined && !ethers.isAddress(input.captain)) throw new ImportError('ship.captain must be an address');
+  if (input.criteria !== undefined && !Array.isArray(input.criteria)) throw new ImportError('ship.criteria must be an array');
+  const criteria = (input.criteria || []).map(String);
+
+  const now = Date.now();
+  const startDate = parseImportDate(input.startDate, 'startDate') ?? now;
+  const endDate = parseImportDate(input.endDate, 'endDate') ?? startDate;
+  if (endDate < startDate) throw new ImportError('ship.endDate must not be before ship.startDate');
+
+  const asset = await resolveAsset(input.asset, getProvider());
+  const schedule = buildSchedule({
+    startDate,
+    openDays: Math.max(endDate - startDate, 1) / (24 * 60 * 60 * 1000),
+    reviewDays: 0,
+    allocationDays: 0
+  });
+
+  const ship = {
+    id: uuidv4(),
+    name: String(input.name),
+    description: String(input.description || ''),
+    captain: (input.captain || captain).toLowerCase(),
+    criteria,
+    form: parseForm(undefined),
+    committee: configureCommittee(undefined, { captain: input.captain || captain, criteria }),
+    access: null,
+    limits: { ...DEFAULT_SHIP_LIMITS },
+    asset,
+    strategy: configureStrategy('manual', { asset }),
+    voting: configureVoting(undefined),
+    budget: '0',
+    allocated: '0',
+    distributed: '0',
+    schedule,
+    status: 'completed',
+    phaseHistory: [{ from: 'open', to: 'completed', by: 'import', at: now }],
+    imported: { source: input.source ? String(input.source) : null, importedBy: captain, importedAt: now },
+    createdAt: now
+  };
+  syncPhaseDates(ship);
+  return ship;
+}
+
+function importedApplication(ship, data, { source, admin, now }) {
+  return {
     id: uuidv4(),
     shipId: ship.id,
     shipName: ship.name,
-    totalGross: formatETH(totalToDistribute),
-    totalFee: formatETH(fee),
-    totalNet: formatETH(netTotal),
-    payouts,
-    createdAt: Date.now()
+    applicant: data.applicant,
+    projectName: data.projectName,
+    description: data.description,
+    requestAmount: data.requestAmount.toString(),
+    requestFormatted: formatAmount(data.requestAmount, ship.asset),
+    links: data.links,
+    answers: data.answers,
+    flags: [],
+    status: data.status,
+    allocation: data.allocation.toString(),
+    version: 1,
+    versions: [],
+    reviewNotes: [],
+    rejectionReason: null,
+    imported: {
+      source,
+      externalId: data.externalId,
+      payoutTxHash: data.payoutTxHash,
+      fields: data.extra,
+      importedBy: admin,
+      importedAt: now
+    },
+    createdAt: now
   };
+}
 
-  distributions.set(distribution.id, distribution);
+// Bulk-load applications into a running ship ({ shipId }), or a whole
+// round run elsewhere ({ ship }). Nothing is written unless every row is valid.
+app.post('/admin/import', requireSignature(), requireAdmin(), throttle('import'), validateBody(schemas.import), asyncRoute(async (req, res) => {
+  const { format = 'json', data, shipId, source, dryRun = false } = req.body;
 
-  res.json({
-    success: true,
-    distribution,
-    ship: {
-      id: ship.id,
-      name: ship.name,
-      budget: formatETH(ship.budget),
-      allocated: formatETH(ship.allocated),
-      distributed: formatETH(ship.distributed),
-      status: ship.status
+  let input;
+  try {
+    input = readImport(format, data);
+  } catch (err) {
+    if (err instanceof ImportError || err instanceof CsvError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  const round = req.body.ship || input.ship;
+  if (!shipId === !round) {
+    return res.status(400).json({ error: 'Give either shipId (import into a running ship) or ship (import a finished round)' });
+  }
+
+  let ship;
+  if (shipId) {
+    ship = loadShip(shipId);
+    if (!ship) return res.status(404).json({ error: 'Ship not found' });
+    const closed = phaseError(ship, ['draft', 'open', 'review'], 'import applications');
+    if (closed) return res.status(409).json(closed);
+  } else {
+    try {
+      ship = await importedShip(round, req.actor);
+    } catch (err) {
+      if (err instanceof ImportError || err instanceof AssetError || err instanceof LifecycleError) {
+        return res.status(400).json({ error: err.message });
+      }
+      return res.status(502).json({ error: `Could not resolve asset: ${err.message}` });
+    }
+  }
+
+  const taken = new Set(Array.from(applications.values())
+    .filter(a => a.shipId === ship.id && a.status !== 'withdrawn')
+    .map(a => a.applicant));
+  const { valid, errors } = validateRows(input.rows, {
+    asset: ship.asset,
+    form: ship.form,
+    historical: !shipId,
+    baseUnits: req.body.baseUnits === true,
+    taken
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: `${errors.length} of ${input.rows.length} rows are invalid; nothing was imported`,
+      rows: errors,
+      columns: FIELD_ALIASES
+    });
+  }
+
+  const now = Date.now();
+  const context = { source: source || round?.source || format, admin: req.actor, now };
+  const imported = valid.map(({ data }) => importedApplication(ship, data, context));
+
+  if (dryRun) {
+    return res.json({ dryRun: true, ship: shipSummary(ship), applications: imported.length, preview: imported.slice(0, 20) });
+  }
+
+  if (!shipId) ships.set(ship.id, ship);
+  for (const application of imported) {
+    applications.set(application.id, application);
+    if (shipId) {
+      events.publish('application.submitted', {
+        shipId: ship.id,
+        data: { applicationId: application.id, projectName: application.projectName, applicant: application.applicant, requestAmount: application.requestFormatted, imported: true }
+      });
     }
+  }
+  console.log(`[IMPORT] ${imported.length} applications into ${ship.name} by ${req.actor.slice(0, 10)}...`);
+
+  res.status(201).json({
+    ship: shipSummary(ship),
+    imported: imported.length,
+    applicationIds: imported.map(a => a.id)
+  });
+}));
+
+// ============================================================================
+// EVENTS & WEBHOOKS
+// ============================================================================
+
+function webhookView(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function eventTypesFrom(query) {
+  return query.types ? String(query.types).split(',').map(t => t.trim()).filter(Boolean) : [];
+}
+
+// Server-sent events; resume with Last-Event-ID (or ?since=) from the recent buffer
+app.get('/events', (req, res) => {
+  const filter = { shipId: req.query.shipId || null, types: eventTypesFrom(req.query) };
+  const unknown = filter.types.filter(t => t !== '*' && !EVENT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}`, events: EVENT_TYPES });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    if (!matchesFilter(event, filter)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  const lastId = req.get('Last-Event-ID') || req.query.since;
+  if (lastId) events.since(lastId).forEach(send);
+
+  const unsubscribe = events.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
   });
 });
 
-app.get('/distributions', (req, res) => {
-  const { shipId } = req.query;
-  let results = Array.from(distributions.values());
-  if (shipId) results = results.filter(d => d.shipId === shipId);
-  results.sort((a, b) => b.createdAt - a.createdAt);
+// The secret is returned once, here; use it to verify X-GrantShips-Signature
+app.post('/webhooks', requireSignature(), requireAccess(), validateBody(schemas.webhook), asyncRoute(async (req, res) => {
+  const { url, shipId } = req.body;
+  if (shipId && !ships.has(shipId)) return res.status(404).json({ error: 'Ship not found' });
+
+  try {
+    const webhook = await webhookDispatcher.register({ url, events: req.body.events, shipId, owner: req.actor });
+    console.log(`[WEBHOOK] ${webhook.url} registered by ${req.actor.slice(0, 10)}...`);
+    res.status(201).json(webhook);
+  } catch (err) {
+    if (err instanceof WebhookError) return res.status(400).json({ error: err.message, events: EVENT_TYPES });
+    throw err;
+  }
+}));
+
+// URLs and payloads are private: signed reads see their own webhooks, admins see all
+function canSeeWebhook(req, webhook) {
+  return webhook.owner === req.actor || rolesFor(req.actor).includes('admin');
+}
+
+app.get('/webhooks', requireSignature(), requireAccess(), (req, res) => {
+  const admin = rolesFor(req.actor).includes('admin');
+  const owner = admin ? (req.query.owner ? String(req.query.owner).toLowerCase() : null) : req.actor;
+  const results = Array.from(webhooks.values())
+    .filter(w => w.active && (!owner || w.owner === owner))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(webhookView);
   res.json(results);
 });
 
+app.get('/webhooks/:id/deliveries', requireSignature(), requireAccess(), (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  if (!canSeeWebhook(req, webhook)) {
+    return res.status(403).json({ error: 'Only the owner or an admin can see deliveries' });
+  }
+
+  const results = Array.from(deliveries.values())
+    .filter(d => d.webhookId === webhook.id && (!req.query.status || d.status === req.query.status))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 100);
+  res.json({ webhook: webhookView(webhook), deliveries: results });
+});
+
+app.delete('/webhooks/:id', requireSignature(), requireAccess(), (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook || !webhook.active) return res.status(404).json({ error: 'Webhook not found' });
+  if (req.actor !== webhook.owner) {
+    return res.status(403).json({ error: 'Only the owner can remove a webhook' });
+  }
+
+  webhookDispatcher.remove(webhook.id);
+  console.log(`[WEBHOOK] ${webhook.url} removed`);
+  res.json(webhookView(webhook));
+});
+
 // ============================================================================
 // UTILITY
 // ============================================================================
 
 app.get('/stats', (req, res) => {
-  const totalBudget = Array.from(ships.values())
-    .reduce((sum, s) => sum + BigInt(s.budget), 0n);
-  const totalDistributed = Array.from(ships.values())
-    .reduce((sum, s) => sum + BigInt(s.distributed), 0n);
+  // Totals can only be summed within one asset
+  const totals = new Map();
+  for (const s of ships.values()) {
+    const key = s.asset.address || 'native';
+    const entry = totals.get(key) || { asset: s.asset, budget: 0n, distributed: 0n };
+    entry.budget += BigInt(s.budget);
+    entry.distributed += BigInt(s.distributed);
+    totals.set(key, entry);
+  }
+  const native = totals.get('native') || { asset: NATIVE_ASSET, budget: 0n, distributed: 0n };
 
   res.json({
     ships: ships.size,
-    activeShips: Array.from(ships.values()).filter(s => s.status === 'open').length,
+    activeShips: Array.from(ships.values()).map(s => shipAsOf(s)).filter(s => LIVE_PHASES.includes(s.status) && s.status !== 'draft').length,
     applications: applications.size,
     approvedApplications: Array.from(applications.values()).filter(a => a.status === 'approved').length,
-    totalBudget: formatETH(totalBudget),
-    totalDistributed: formatETH(totalDistributed)
+    totalBudget: formatAmount(native.budget, NATIVE_ASSET),
+    totalDistributed: formatAmount(native.distributed, NATIVE_ASSET),
+    byAsset: Array.from(totals.values()).map(t => ({
+      asset: t.asset.symbol,
+      address: t.asset.address,
+      totalBudget: formatAmount(t.budget, t.asset),
+      totalDistributed: formatAmount(t.distributed, t.asset)
+    }))
   });
 });
 
@@ -448,8 +3141,14 @@ app.get('/health', (req, res) => {
     status: 'ok',
     platform: 'Grant Ships',
     network: 'Base',
+    chainId: CHAIN_ID,
+    explorer: EXPLORER_URL,
     treasury: TREASURY_ADDRESS,
-    payoutsEnabled: !!TREASURY_PRIVATE_KEY
+    fundingConfirmations: FUNDING_CONFIRMATIONS,
+    payoutsEnabled: !!TREASURY_PRIVATE_KEY,
+    names: names.configured,
+    access: { platformPolicy: PLATFORM_ACCESS_POLICY.type, failMode: PLATFORM_ACCESS_POLICY.failMode, admins: ADMIN_ADDRESSES.length },
+    storage: { driver: STORAGE_DRIVER, schemaVersion: storage.schemaVersion }
   });
 });
 
@@ -457,80 +3156,9 @@ app.get('/health', (req, res) => {
 // FRONTEND
 // ============================================================================
 
-app.get('/', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Grant Ships | Modular Grant Rounds</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0d1117; color: #e6edf3; min-height: 100vh; }
-    .container { max-width: 900px; margin: 0 auto; padding: 2rem; }
-    .hero { text-align: center; padding: 4rem 2rem; background: linear-gradient(180deg, rgba(240,136,62,0.15) 0%, transparent 100%); border-radius: 16px; margin-bottom: 3rem; }
-    .hero h1 { font-size: 2.5rem; margin-bottom: 1rem; background: linear-gradient(90deg, #f0883e, #f778ba); -webkit-background-clip: text; -webkit-text-fill-color: transparent; }
-    .hero p { color: #8b949e; max-width: 600px; margin: 0 auto 2rem; }
-    .badge { display: inline-block; background: #238636; color: white; padding: 0.25rem 0.75rem; border-radius: 20px; font-size: 0.8rem; margin-bottom: 1rem; }
-    .features { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1.5rem; margin: 2rem 0; }
-    .feature { background: #161b22; border: 1px solid #30363d; border-radius: 12px; padding: 1.5rem; text-align: center; }
-    .feature h3 { color: #f0883e; margin-bottom: 0.5rem; }
-    .feature p { color: #8b949e; font-size: 0.9rem; }
-    .api-section { background: #161b22; border: 1px solid #30363d; border-radius: 12px; padding: 1.5rem; margin-top: 2rem; }
-    .endpoint { display: flex; gap: 1rem; padding: 0.5rem 0; border-bottom: 1px solid #30363d; font-family: monospace; font-size: 0.85rem; }
-    .endpoint:last-child { border-bottom: none; }
-    .method { width: 50px; }
-    .method.get { color: #58a6ff; }
-    .method.post { color: #3fb950; }
-    footer { text-align: center; padding: 2rem; color: #8b949e; border-top: 1px solid #30363d; margin-top: 3rem; }
-    footer a { color: #58a6ff; text-decoration: none; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="hero">
-      <div class="badge">🟢 LIVE ON BASE</div>
-      <h1>🚢 Grant Ships</h1>
-      <p>Launch modular grant rounds. Configure budget, criteria, duration. Accept applications. Distribute to approved projects.</p>
-    </div>
-
-    <div class="features">
-      <div class="feature">
-        <h3>⚓ Launch a Ship</h3>
-        <p>Create a grant round with your own rules</p>
-      </div>
-      <div class="feature">
-        <h3>📝 Accept Applications</h3>
-        <p>Projects apply with proposals and links</p>
-      </div>
-      <div class="feature">
-        <h3>🎯 Allocate Funds</h3>
-        <p>Captain decides who gets funded</p>
-      </div>
-      <div class="feature">
-        <h3>💰 Distribute</h3>
-        <p>Funds flow to approved projects</p>
-      </div>
-    </div>
-
-    <div class="api-section">
-      <h2 style="margin-bottom: 1rem;">🔌 API</h2>
-      <div class="endpoint"><span class="method post">POST</span><span>/ships</span><span style="margin-left:auto;color:#8b949e">Create ship</span></div>
-      <div class="endpoint"><span class="method get">GET</span><span>/ships</span><span style="margin-left:auto;color:#8b949e">List ships</span></div>
-      <div class="endpoint"><span class="method post">POST</span><span>/ships/:id/fund</span><span style="margin-left:auto;color:#8b949e">Fund ship</span></div>
-      <div class="endpoint"><span class="method post">POST</span><span>/ships/:id/apply</span><span style="margin-left:auto;color:#8b949e">Apply for grant</span></div>
-      <div class="endpoint"><span class="method post">POST</span><span>/applications/:id/allocate</span><span style="margin-left:auto;color:#8b949e">Captain allocates</span></div>
-      <div class="endpoint"><span class="method post">POST</span><span>/ships/:id/distribute</span><span style="margin-left:auto;color:#8b949e">Payout grants</span></div>
-    </div>
-  </div>
-  <footer>
-    <p>Built by <a href="https://x.com/owockibot">@owockibot</a> | 5% platform fee | Treasury: ${TREASURY_ADDRESS.slice(0, 6)}...${TREASURY_ADDRESS.slice(-4)}</p>
-  </footer>
-</body>
-</html>
-  `);
-});
+// Single-page dashboard (public/): browse ships, apply, fund, review and
+// distribute with a browser wallet signing the same requests as any client
+app.use(express.static(path.join(__dirname, 'public')));
 
 // ============================================================================
 // AGENT DOCS
@@ -543,29 +3171,139 @@ app.get('/agent', (req, res) => {
     network: 'Base',
     treasury_fee: '5%',
     endpoints: [
-      { method: 'POST', path: '/ships', description: 'Create a grant ship (round)', body: { name: 'string (required)', captain: 'string (required)', description: 'string', criteria: 'array of strings', durationDays: 'number (default 30)' } },
-      { method: 'GET', path: '/ships', description: 'List all ships', query: { status: 'open/closed/distributing/completed' } },
-      { method: 'GET', path: '/ships/:id', description: 'Get ship with applications and allocations' },
-      { method: 'POST', path: '/ships/:id/fund', description: 'Fund a ship budget (send ETH to treasury first)', body: { txHash: 'string (required)' } },
-      { method: 'POST', path: '/ships/:id/apply', description: 'Apply for grant from ship', body: { applicant: 'string (required)', projectName: 'string (required)', description: 'string', requestAmount: 'string (ETH)', links: 'array' } },
-      { method: 'GET', path: '/applications', description: 'List applications', query: { shipId: 'filter by ship', status: 'pending/approved/rejected' } },
-      { method: 'POST', path: '/applications/:id/allocate', description: 'Captain allocates funds to application', body: { captain: 'string (required)', amount: 'string (ETH)', approved: 'boolean (false to reject)' } },
-      { method: 'POST', path: '/ships/:id/distribute', description: 'Distribute allocated funds to approved projects' },
-      { method: 'GET', path: '/distributions', description: 'List all distributions', query: { shipId: 'filter by ship' } },
+      { method: 'POST', path: '/ships', description: 'Create a grant ship (round); the signer becomes captain', body: { name: 'string (required)', description: 'string', criteria: 'array of strings', startDate: 'ISO date or unix ms; a future date starts the ship in draft', durationDays: 'application window in days (default 30)', reviewDays: 'number (default 7)', allocationDays: 'number (default 14)', asset: 'ETH (default), USDC or an ERC-20 address', strategy: 'string or { type, ...options } (default manual)', voting: '{ creditsPerVoter, durationDays } to add a quadratic-voting phase after review', form: `custom application questions: [{ id, label, type (${QUESTION_TYPES.join('/')}), required, options, maxLength }] or plain strings`, committee: '{ reviewers: [addresses], quorum: reviews needed before approval, rubric: [{ criterion, weight, maxScore }] (defaults to criteria, equal weights) }; the captain is always a reviewer', access: 'access policy for this ship (see access); omitted follows the platform policy', limits: 'per-ship limits (see limits); omitted keys use the defaults' } },
+      { method: 'GET', path: '/ships', description: 'List ships (paginated, see pagination)', query: { status: PHASES.join('/'), captain: 'address', asset: 'symbol or token address', q: 'search ship name, description and applicant project names', createdFrom: 'ISO date or unix ms', createdTo: 'ISO date or unix ms', minBudget: 'amount in the ship asset', maxBudget: 'amount in the ship asset', sort: Object.keys(SHIP_SORTS).join('/') } },
+      { method: 'GET', path: '/ships/:id', description: 'Get ship with applications, allocations, vote tallies and committee scores (mean, per criterion, reviewer agreement, quorum)' },
+      { method: 'POST', path: '/ships/:id/fund', description: `Fund a ship budget (send the ship asset to the treasury first; ERC-20 Transfer logs are verified). Each tx is credited once, after ${FUNDING_CONFIRMATIONS} confirmations`, body: { txHash: 'string (required)' } },
+      { method: 'POST', path: '/ships/:id/transition', description: 'Captain ends the current phase early or cancels the ship; later phases shift to keep their lengths', body: { to: 'next phase or cancelled (required)' } },
+      { method: 'GET', path: '/ships/:id/funders', description: 'Funding transactions and per-funder totals for a ship' },
+      { method: 'GET', path: '/ships/:id/export', description: 'Download a round for audits: JSON with every application, allocation, payout (tx hashes, fees) and funding, or one CSV table', query: { format: 'json (default) or csv', table: `csv only: ${Object.keys(EXPORT_TABLES).join('/')} (default applications)` } },
+      { method: 'POST', path: '/ships/:id/apply', description: 'Apply for grant from ship while it is open; one application per applicant per ship. Subject to the ship limits; possible duplicates of other applications are listed in flags', body: { projectName: 'string (required)', description: 'string', requestAmount: 'string (ship asset units)', links: 'array', answers: 'object keyed by the ship form question ids' } },
+      { method: 'GET', path: '/applications', description: 'List applications (paginated, see pagination)', query: { shipId: 'filter by ship', status: APPLICATION_STATUSES.join('/'), applicant: 'address', captain: 'address of the ship captain', q: 'search project name, description and ship name', createdFrom: 'ISO date or unix ms', createdTo: 'ISO date or unix ms', minRequest: 'amount in the ship asset', maxRequest: 'amount in the ship asset', sort: Object.keys(APPLICATION_SORTS).join('/') } },
+      { method: 'GET', path: '/applications/:id', description: "Get an application with its previous versions, review notes, the applicant's ENS/Basename and their track record on other ships" },
+      { method: 'PATCH', path: '/applications/:id', description: 'Applicant edits while the ship is open (or after a change request during review); each edit keeps the previous version', body: { projectName: 'string', description: 'string', requestAmount: 'string', links: 'array', answers: 'object' } },
+      { method: 'POST', path: '/applications/:id/withdraw', description: 'Applicant withdraws an application that has no allocation', body: { reason: 'string' } },
+      { method: 'POST', path: '/applications/:id/request-changes', description: 'Captain sends an application back for edits (open or review)', body: { note: 'string (required)' } },
+      { method: 'POST', path: '/applications/:id/reviews', description: 'Committee member scores an application against the rubric; resubmitting replaces their review', body: { scores: '{ dimensionId: 0..maxScore } for every rubric dimension (required)', comment: 'string' } },
+      { method: 'GET', path: '/applications/:id/reviews', description: 'Rubric, reviews and aggregate score for an application' },
+      { method: 'GET', path: '/ships/:id/access', description: "The ship's access policy; with ?address= also that address's roles and whether it may act", query: { address: 'address to check' } },
+      { method: 'POST', path: '/ships/:id/access', description: 'Captain or admin sets the ship access policy while the ship is live', body: { access: 'policy (see access), or null for the platform policy' } },
+      { method: 'POST', path: '/ships/:id/limits', description: 'Captain or admin changes the ship limits while the ship is live; omitted keys keep their values', body: { limits: 'object (required, see limits)' } },
+      { method: 'POST', path: '/ships/:id/committee', description: 'Captain changes reviewers or quorum (rubric is fixed)', body: { reviewers: 'array of addresses', quorum: 'number' } },
+      { method: 'POST', path: '/ships/:id/recusals', description: 'Reviewer recuses from an applicant (captain may name any reviewer); existing scores are dropped', body: { applicant: 'address', applicationId: 'alternative to applicant', reviewer: 'captain only', reason: 'string' } },
+      { method: 'POST', path: '/applications/:id/notes', description: 'Captain adds a review note without changing the status', body: { note: 'string (required)' } },
+      { method: 'POST', path: '/applications/:id/vote', description: 'Cast quadratic votes on an application during voting (n votes cost n^2 credits; resubmitting replaces)', body: { votes: 'integer (required)' } },
+      { method: 'POST', path: '/applications/:id/allocate', description: 'Captain approves/rejects an application; manual ships also set the amount here (again to replace an unpaid allocation)', body: { amount: 'string (ship asset units)', approved: 'boolean (false to reject)', reason: 'string (rejection reason)', note: 'string' } },
+      { method: 'POST', path: '/ships/:id/compute-allocations', description: 'Captain computes allocations for approved applications from the ship strategy', body: { contributions: 'quadratic (source contributions): [{ applicationId, contributor, amount }]', dryRun: 'boolean' } },
+      { method: 'POST', path: '/allocations/:id/milestones', description: 'Captain splits an allocation into milestones; amounts must add up to the allocation', body: { milestones: 'array of { description, amount, dueDate } (required)' } },
+      { method: 'POST', path: '/milestones/:id/submit', description: 'Applicant submits evidence for a milestone', body: { evidence: 'string', links: 'array' } },
+      { method: 'POST', path: '/milestones/:id/review', description: 'Captain approves or rejects milestone evidence; approved tranches become payable', body: { approved: 'boolean (required)', note: 'string' } },
+      { method: 'POST', path: '/ships/:id/distribute', description: 'Captain distributes allocations and approved milestone tranches; waits for confirmations', body: { mode: 'single (one tx per payout, default) or batch (one Disperse contract tx)', dryRun: 'boolean: return gas estimate and per-recipient breakdown without sending', idempotencyKey: 'string (or Idempotency-Key header); repeats return the original distribution' } },
+      { method: 'POST', path: '/ships/:id/distribute/retry', description: 'Captain reconciles unconfirmed payouts and resends failed ones; whoever closed the ship, and each refunded funder, can do the same for refunds' },
+      { method: 'POST', path: '/ships/:id/close', description: 'Captain or a funder closes a completed or cancelled ship: refund unallocated budget to funders pro rata, or roll it into a successor ship', body: { mode: 'refund or rollover (required)', successorShipId: 'string (rollover)' } },
+      { method: 'GET', path: '/distributions', description: 'List distributions, payouts and refunds (paginated, see pagination)', query: { shipId: 'filter by ship', status: 'processing/completed/partial', kind: 'grant/refund', captain: 'address of the ship captain', q: 'search ship and project names', createdFrom: 'ISO date or unix ms', createdTo: 'ISO date or unix ms', sort: Object.keys(DISTRIBUTION_SORTS).join('/') } },
+      { method: 'GET', path: '/ships/:id/ledger', description: 'Double-entry ledger entries for a ship (funding, allocation, fee, payout, refund, gas) and a consistency check' },
+      { method: 'GET', path: '/treasury/reconcile', description: 'Compare ledger treasury balances with on-chain balances per asset and flag drift' },
+      { method: 'GET', path: '/addresses/:addr', description: 'Profile for an address, ENS name or Basename: names, ships captained, applications and outcomes, totals granted/received/funded, payouts with tx hashes' },
+      { method: 'GET', path: '/events', description: 'Server-sent event stream; reconnect with Last-Event-ID to replay recent events', query: { shipId: 'only events for this ship', types: `comma-separated: ${EVENT_TYPES.join(', ')}`, since: 'event id to replay from' } },
+      { method: 'GET', path: '/allowlists', description: 'Local allowlists (names and sizes)' },
+      { method: 'GET', path: '/allowlists/:name', description: 'One allowlist with its addresses' },
+      { method: 'POST', path: '/admin/allowlists', description: 'Admin only. Create a local allowlist for allowlist policies', body: { name: 'lowercase letters, digits, - and _', description: 'string', addresses: 'array of addresses' } },
+      { method: 'POST', path: '/admin/allowlists/:name', description: 'Admin only. Add or remove addresses', body: { add: 'array of addresses', remove: 'array of addresses', description: 'string' } },
+      { method: 'DELETE', path: '/admin/allowlists/:name', description: 'Admin only. Delete an allowlist no live policy uses' },
+      { method: 'POST', path: '/admin/import', description: `Admin only (ADMIN_ADDRESSES). Bulk-load up to ${MAX_IMPORT_ROWS} applications into a ship in draft/open/review, or a finished round run elsewhere (created as a completed ship; allocations and payout tx hashes are kept as a record, no funds move). Invalid rows are reported by row number and nothing is written`, body: { format: 'csv or json', data: 'CSV text, or an array of applications, or { ship, applications }', shipId: 'import into this ship', ship: '{ name, description, captain, asset, criteria, startDate, endDate, source } for a finished round', source: 'e.g. gitcoin', baseUnits: 'amounts are integers in base units (e.g. Gitcoin matched), default false', dryRun: 'validate and preview only' }, columns: 'applicant, projectName, description, requestAmount, status, allocation, payoutTxHash, externalId, links; case and punctuation are ignored and Gitcoin names (title, payoutAddress, recipientId, matched, website, projectGithub, ...) are accepted; other columns named after form questions become answers' },
+      { method: 'POST', path: '/webhooks', description: 'Register a webhook; the response includes the HMAC secret (shown once). Failed deliveries are retried with exponential backoff', body: { url: 'https URL on a public address (required)', events: 'array of event types or ["*"] (default all)', shipId: 'only events for this ship' } },
+      { method: 'GET', path: '/webhooks', description: 'Signed read: your active webhooks (without secrets); admins see all', query: { owner: 'address (admins only)' } },
+      { method: 'GET', path: '/webhooks/:id/deliveries', description: 'Signed read, owner or admin: recent deliveries with attempts, response status and errors', query: { status: 'pending/delivered/failed' } },
+      { method: 'DELETE', path: '/webhooks/:id', description: 'Owner removes a webhook' },
       { method: 'GET', path: '/stats', description: 'Platform statistics' },
-      { method: 'GET', path: '/health', description: 'Health check' }
+      { method: 'GET', path: '/health', description: 'Health check' },
+      { method: 'GET', path: '/cron/phases', description: 'Scheduler (Authorization: Bearer CRON_SECRET): records every phase move ship schedules call for and sends their webhooks; returns how many ships moved' }
     ],
     example_flow: [
-      '1. POST /ships - Create grant round with captain and criteria',
-      '2. Send ETH to treasury, POST /ships/:id/fund - Fund the ship',
-      '3. POST /ships/:id/apply - Projects apply for grants',
-      '4. POST /applications/:id/allocate - Captain approves and allocates',
+      '1. POST /ships - Create grant round with criteria (signer is captain)',
+      '2. Send ETH or the ship token to treasury, POST /ships/:id/fund - Fund the ship',
+      '3. POST /ships/:id/apply - Projects apply for grants while the ship is open',
+      '4. POST /applications/:id/allocate - Captain approves during review, sets amounts during allocation',
       '5. POST /ships/:id/distribute - Funds flow to approved projects'
     ],
+    lifecycle: {
+      phases: PHASES,
+      transitions: TRANSITIONS,
+      description: 'open, review, voting (if configured) and allocation each have a start and end date in ship.schedule and advance automatically when they end: reads show the phase a ship is in, and the move is recorded (ship.phaseHistory, ship.phase_changed) by the next write to the ship, the scheduler of a long-running server or /cron/phases. Allocation hands over to distributing (or completed if nothing is allocated); the first distribute also starts it. Routes answer 409 with allowedPhases when called in the wrong phase.'
+    },
+    pagination: {
+      description: 'GET /ships, /applications and /distributions return { items, total, nextCursor }. total counts all matches; pass nextCursor back as cursor for the next page (null on the last page).',
+      query: { limit: `1-${MAX_LIMIT} (default 50)`, cursor: 'from the previous page', sort: 'field name, per endpoint', order: 'asc/desc (default desc, asc for names)' }
+    },
+    strategies: listStrategies(),
+    events: {
+      types: EVENT_TYPES,
+      envelope: '{ id, type, shipId, data, createdAt }',
+      webhookHeaders: {
+        'X-GrantShips-Event': 'event type',
+        'X-GrantShips-Delivery': 'delivery id, stable across retries',
+        'X-GrantShips-Timestamp': 'unix seconds',
+        'X-GrantShips-Signature': 'sha256=hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`)'
+      }
+    },
+    access: {
+      description: 'Every signed request passes an access policy: the policy of the ship it concerns, or the platform policy. Anyone who already has a role on the ship (or is an admin) is let through; the policy decides who joins.',
+      roles: ROLES,
+      platformPolicy: PLATFORM_ACCESS_POLICY,
+      remoteHosts: [...REMOTE_POLICY_HOSTS],
+      policies: {
+        open: '{ type: "open" }',
+        allowlist: '{ type: "allowlist", list: "<allowlist name>" }',
+        erc20: '{ type: "erc20", token: "0x...", minBalance: "100" } (whole tokens)',
+        erc721: '{ type: "erc721", token: "0x...", minBalance: 1 }',
+        remote: '{ type: "remote", url: "https://..." } (JSON array of addresses); captains can use the hosts in remoteHosts, admins any',
+        any: '{ type: "any", policies: [...] } (passes if any does)'
+      },
+      failMode: 'closed (default): 503 while a provider cannot answer; open: let requests through. A remote list that stops answering is served from its last copy for up to 24h first.',
+      message: 'optional text returned on denial'
+    },
+    limits: {
+      errors: 'Invalid bodies answer 400 { error, details: [{ field, message }] }; bodies over the size limit 413; rate limits 429 { error, limit, retryAfter } with a Retry-After header',
+      bodySize: { default: BODY_LIMIT, '/admin/import': IMPORT_BODY_LIMIT },
+      rateLimits: Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, rule]) => [name, `${rule.limit} per ${rule.windowMs / 1000}s`])),
+      rateLimitScope: 'ip counts every request per client IP (RateLimit-* headers); the others count per signer. Counters are per server process',
+      ship: {
+        defaults: DEFAULT_SHIP_LIMITS,
+        ranges: LIMIT_RANGES,
+        duplicates: `${DUPLICATE_MODES.join('/')}: applications repeating another applicant's project name, URL or description are flagged for the captain (flags on the application), rejected with 409, or let through`
+      }
+    },
+    authentication: {
+      description: 'Every POST, PATCH and DELETE requires an EIP-712 signature. Send the payload plus auth: { signature, nonce, expiry }. The signer is the acting address; nonces are single-use. Signed reads (GET /webhooks...) sign an empty payload ({}) and send the fields as X-Auth-Signature, X-Auth-Nonce and X-Auth-Expiry headers.',
+      domain: auth.domain,
+      types: auth.types,
+      message: {
+        action: 'HTTP method and path, e.g. "POST /ships/<id>/fund"',
+        payload: 'request body without auth, as JSON with keys sorted at every level',
+        nonce: 'unique string per signer',
+        expiry: 'unix seconds, at most 24h ahead'
+      }
+    },
     x402_enabled: false
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Grant Ships running on :${PORT}`));
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+// Anything a route didn't answer itself: logged, and a JSON 500 like every other error
+app.use((err, req, res, next) => {
+  console.error(`[ERROR] ${req.method} ${req.path}: ${err.stack || err.message}`);
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Serverless platforms and tests import the app; `node server.js` also listens
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log(`Grant Ships running on :${PORT}`));
+  setInterval(advanceShips, PHASE_TICK_MS).unref();
+}
 module.exports = app;
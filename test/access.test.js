@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { createShip } = require('./helpers/rounds');
+const { MAX_REMOTE_LISTS, createAccessControl } = require('../lib/access');
+
+let h;
+before(async () => { h = await startApp(); });
+after(() => h.close());
+
+test('a policy that fails unexpectedly answers 500 and the server keeps running', async () => {
+  const [captain] = h.members;
+  // A whole-token contract can't express a fractional minimum balance
+  const token = h.chain.token({ symbol: 'WHOLE', decimals: 0 });
+  const ship = await createShip(h, captain, { access: { type: 'erc20', token, minBalance: '0.5' } });
+
+  let res = await h.get(`/ships/${ship.id}/access?address=${h.outsider.address}`);
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, 'Internal server error');
+
+  // Through the signed-request middleware too
+  res = await h.send(h.outsider, 'POST', `/ships/${ship.id}/apply`, { projectName: 'Outsider' });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, 'Internal server error');
+
+  res = await h.get('/health');
+  assert.equal(res.status, 200);
+});
+
+test('captains can only point remote policies at approved hosts', async () => {
+  const [captain] = h.members;
+  const internal = { type: 'remote', url: 'https://169.254.169.254/latest/meta-data' };
+
+  let res = await h.send(captain, 'POST', '/ships', { name: 'Probe', access: internal });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /169\.254\.169\.254/);
+
+  const ship = await createShip(h, captain);
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/access`, { access: { type: 'any', policies: [{ type: 'open' }, internal] } });
+  assert.equal(res.status, 400);
+
+  // The platform list's host is approved, and admins may use any host
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/access`, { access: { type: 'remote', url: 'https://access.test/other' } });
+  assert.equal(res.status, 200, res.text);
+  res = await h.send(h.admin, 'POST', `/ships/${ship.id}/access`, { access: { type: 'remote', url: 'https://lists.test/members' } });
+  assert.equal(res.status, 200, res.text);
+
+  // But not at this machine or a private network
+  for (const url of ['http://localhost:3000/members', 'https://127.0.0.1/members', 'https://169.254.169.254/latest']) {
+    res = await h.send(h.admin, 'POST', `/ships/${ship.id}/access`, { access: { type: 'remote', url } });
+    assert.equal(res.status, 400, url);
+  }
+});
+
+test('remote lists are cached up to a limit', async () => {
+  const fetched = [];
+  const fetchImpl = async url => {
+    fetched.push(url);
+    return Response.json([]);
+  };
+  const lookup = async () => [{ address: '203.0.113.10', family: 4 }];
+  const access = createAccessControl({ allowlists: new Map(), getProvider: () => null, fetchImpl, lookup });
+  const check = i => access.check({ type: 'remote', url: `https://lists.test/${i}`, failMode: 'closed' }, '0x0000000000000000000000000000000000000001');
+
+  for (let i = 0; i <= MAX_REMOTE_LISTS; i++) await check(i);
+  await check(MAX_REMOTE_LISTS);
+  assert.equal(fetched.length, MAX_REMOTE_LISTS + 1);
+
+  // The oldest list was dropped to make room
+  await check(0);
+  assert.equal(fetched.length, MAX_REMOTE_LISTS + 2);
+});
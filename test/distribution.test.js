@@ -0,0 +1,230 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startApp } = require('./helpers/app');
+const { createShip, apply, transition, allocate, allocatedRound } = require('./helpers/rounds');
+
+let h;
+before(async () => { h = await startApp(); });
+after(() => h.close());
+
+const sentTo = wallet => h.chain.sent.filter(tx => tx.to === wallet.address.toLowerCase());
+
+test('the 5% fee is taken per payout and rounds down', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const { ship } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '2',
+    grants: [{ applicant: alice, amount: '0.333333333333333333' }, { applicant: bob, amount: '0.000000000000000019' }]
+  });
+
+  const res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 200, res.text);
+
+  // Grantees get gross minus floor(gross * 5 / 100), to the wei
+  const expected = [[alice, 333333333333333333n, 16666666666666666n], [bob, 19n, 0n]];
+  for (const [wallet, gross, fee] of expected) {
+    assert.deepEqual(sentTo(wallet).map(tx => tx.value), [gross - fee]);
+  }
+  assert.equal(res.body.distribution.totalFee, '0.016667 ETH');
+
+  // The treasury keeps exactly the fees
+  const ledger = (await h.get(`/ships/${ship.id}/ledger`)).body;
+  assert.equal(ledger.consistent, true);
+  const fees = ledger.entries.filter(e => e.type === 'fee').reduce((sum, e) => sum + BigInt(e.amount), 0n);
+  assert.equal(fees, 16666666666666666n);
+});
+
+test('a partial payout failure is retried without paying anyone twice', async () => {
+  const [captain, funder, , , carol, dave] = h.members;
+  const { ship } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '1',
+    grants: [{ applicant: carol, amount: '0.2' }, { applicant: dave, amount: '0.3' }]
+  });
+
+  h.chain.failing.add(dave.address.toLowerCase());
+  let res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.distribution.status, 'partial');
+  assert.equal(res.body.ship.status, 'distributing');
+  const failed = res.body.distribution.payouts.find(p => p.applicant === dave.address.toLowerCase());
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /broadcast rejected/);
+
+  // Only the confirmed payout counts as distributed
+  let details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.distributed, ethers.parseEther('0.2').toString());
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+
+  // The ship's cooldown applies to retries too
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 429);
+  assert.equal(res.body.limit, 'distributeCooldownSeconds');
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/limits`, { limits: { distributeCooldownSeconds: 0 } });
+  assert.equal(res.status, 200, res.text);
+
+  h.chain.failing.clear();
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.ship.status, 'completed');
+
+  assert.deepEqual(sentTo(carol).map(tx => tx.value), [ethers.parseEther('0.19')]);
+  assert.deepEqual(sentTo(dave).map(tx => tx.value), [ethers.parseEther('0.285')]);
+
+  details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.distributed, ethers.parseEther('0.5').toString());
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 400);
+});
+
+test('reallocating replaces the unpaid allocation instead of adding to it', async () => {
+  const [captain, funder, , bob] = h.members;
+  const { ship, applications: [application] } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '1',
+    grants: [{ applicant: bob, amount: '0.2' }]
+  });
+  const before = sentTo(bob).length;
+
+  // The first allocation is released back to the budget before the new one is made
+  await allocate(h, application, captain, '0.3');
+  let details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.allocated, ethers.parseEther('0.3').toString());
+  assert.deepEqual(details.allocations.map(a => a.amount), [ethers.parseEther('0.3').toString()]);
+  const ledger = (await h.get(`/ships/${ship.id}/ledger`)).body;
+  assert.equal(ledger.consistent, true);
+  assert.equal(ledger.entries.filter(e => e.type === 'deallocation').length, 1);
+
+  let res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(sentTo(bob).slice(before).map(tx => tx.value), [ethers.parseEther('0.285')]);
+
+  // Once paid, the allocation is final
+  details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.status, 'completed');
+  res = await h.send(captain, 'POST', `/applications/${application.id}/allocate`, { amount: '0.5' });
+  assert.equal(res.status, 409);
+  assert.equal(sentTo(bob).length, before + 1);
+});
+
+test('a repeated idempotency key returns the original distribution', async () => {
+  const [captain, funder, alice] = h.members;
+  const { ship } = await allocatedRound(h, { captain, funder, budget: '1', grants: [{ applicant: alice, amount: '0.1' }] });
+  const before = sentTo(alice).length;
+
+  const first = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { idempotencyKey: 'payday-1' });
+  assert.equal(first.status, 200, first.text);
+  const again = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { idempotencyKey: 'payday-1' });
+  assert.equal(again.status, 200, again.text);
+  assert.equal(again.body.replayed, true);
+  assert.equal(again.body.distribution.id, first.body.distribution.id);
+  assert.equal(sentTo(alice).length, before + 1);
+});
+
+test('a batch pays every recipient in one Disperse transaction', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const { ship } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '1',
+    grants: [{ applicant: alice, amount: '0.2' }, { applicant: bob, amount: '0.4' }]
+  });
+
+  const res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { mode: 'batch' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  const hashes = new Set(res.body.distribution.payouts.map(p => p.txHash));
+  assert.equal(hashes.size, 1);
+
+  const batch = h.chain.sent.filter(tx => hashes.has(tx.hash));
+  assert.deepEqual(batch.map(tx => [tx.to, tx.value]), [
+    [alice.address.toLowerCase(), ethers.parseEther('0.19')],
+    [bob.address.toLowerCase(), ethers.parseEther('0.38')]
+  ]);
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+});
+
+test('a token batch approves the Disperse contract before paying', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const token = h.chain.token({ symbol: 'USDC', decimals: 6 });
+  const ship = await createShip(h, captain, { asset: token });
+  const txHash = h.chain.tokenTransfer({ token, from: funder.address, value: 100000000n });
+  h.chain.mine(3);
+  let res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.funded, '100.000000 USDC');
+
+  const applications = [await apply(h, ship, alice), await apply(h, ship, bob)];
+  await transition(h, ship, captain, 'review');
+  await transition(h, ship, captain, 'allocation');
+  await allocate(h, applications[0], captain, '10');
+  await allocate(h, applications[1], captain, '20');
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { mode: 'batch', dryRun: true });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.gasEstimate.approvalRequired, true);
+
+  // The stub chain rejects a disperseToken call without enough allowance
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { mode: 'batch' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  const hashes = new Set(res.body.distribution.payouts.map(p => p.txHash));
+  const batch = h.chain.sent.filter(tx => hashes.has(tx.hash));
+  assert.deepEqual(batch.map(tx => [tx.to, tx.value, tx.token]), [
+    [alice.address.toLowerCase(), 9500000n, token],
+    [bob.address.toLowerCase(), 19000000n, token]
+  ]);
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+});
+
+test('a rejected batch fails all its payouts and the retry pays each once', async () => {
+  const [captain, funder, , , , , erin, frank] = h.members;
+  const { ship } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '1',
+    grants: [{ applicant: erin, amount: '0.1' }, { applicant: frank, amount: '0.3' }]
+  });
+
+  h.chain.failing.add(frank.address.toLowerCase());
+  let res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { mode: 'batch' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, false);
+  assert.deepEqual(res.body.distribution.payouts.map(p => p.status), ['failed', 'failed']);
+  assert.deepEqual([...sentTo(erin), ...sentTo(frank)], []);
+  assert.equal((await h.get(`/ships/${ship.id}`)).body.distributed, '0');
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/limits`, { limits: { distributeCooldownSeconds: 0 } });
+  assert.equal(res.status, 200, res.text);
+  h.chain.failing.clear();
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.ship.status, 'completed');
+
+  assert.deepEqual(sentTo(erin).map(tx => tx.value), [ethers.parseEther('0.095')]);
+  assert.deepEqual(sentTo(frank).map(tx => tx.value), [ethers.parseEther('0.285')]);
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+});
+
+test('a dry run estimates without sending', async () => {
+  const [captain, funder, alice] = h.members;
+  const { ship } = await allocatedRound(h, { captain, funder, budget: '1', grants: [{ applicant: alice, amount: '0.1' }] });
+  const before = h.chain.sent.length;
+
+  const res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, { dryRun: true });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.totalNet, '0.095000 ETH');
+  assert.equal(h.chain.sent.length, before);
+  assert.equal((await h.get(`/ships/${ship.id}`)).body.status, 'allocation');
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startApp } = require('./helpers/app');
+const { createShip, fund, apply, transition } = require('./helpers/rounds');
+
+let h;
+before(async () => { h = await startApp(); });
+after(() => h.close());
+
+test('a round runs from creation to payout', async () => {
+  const [captain, funder, alice, bob] = h.members;
+
+  const ship = await createShip(h, captain, { name: 'Builders Round', durationDays: 14 });
+  assert.equal(ship.status, 'open');
+  assert.equal(ship.captain, captain.address.toLowerCase());
+  assert.equal(ship.budget, '0');
+
+  const { funding } = await fund(h, ship, funder, '2');
+  assert.equal(funding.from, funder.address.toLowerCase());
+  assert.equal(funding.amount, ethers.parseEther('2').toString());
+
+  const a = await apply(h, ship, alice, { projectName: 'Alice Tools', requestAmount: '1' });
+  const b = await apply(h, ship, bob, { projectName: 'Bob Docs', requestAmount: '0.5' });
+  assert.equal(a.status, 'pending');
+  assert.equal(a.requestAmount, ethers.parseEther('1').toString());
+
+  await transition(h, ship, captain, 'review');
+  await transition(h, ship, captain, 'allocation');
+
+  let res = await h.send(captain, 'POST', `/applications/${a.id}/allocate`, { amount: '1' });
+  assert.equal(res.status, 201, res.text);
+  assert.equal(res.body.shipBudgetRemaining, '1.000000 ETH');
+  res = await h.send(captain, 'POST', `/applications/${b.id}/allocate`, { amount: '0.5' });
+  assert.equal(res.status, 201, res.text);
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.distribution.status, 'completed');
+  assert.equal(res.body.ship.status, 'completed');
+
+  // Grantees receive the allocation minus the 5% platform fee, on chain
+  const paid = Object.fromEntries(h.chain.sent.map(tx => [tx.to, tx.value]));
+  assert.equal(paid[alice.address.toLowerCase()], ethers.parseEther('0.95'));
+  assert.equal(paid[bob.address.toLowerCase()], ethers.parseEther('0.475'));
+  for (const payout of res.body.distribution.payouts) {
+    assert.equal(payout.status, 'confirmed');
+    assert.ok(h.chain.sent.some(tx => tx.hash === payout.txHash));
+  }
+
+  const details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.distributed, ethers.parseEther('1.5').toString());
+  assert.deepEqual(details.applications.map(app => app.status), ['approved', 'approved']);
+  assert.ok(details.allocations.every(allocation => allocation.distributed));
+
+  const ledger = (await h.get(`/ships/${ship.id}/ledger`)).body;
+  assert.equal(ledger.consistent, true);
+  assert.equal(ledger.unallocated, '0.500000 ETH');
+  assert.equal(ledger.allocatedUnpaid, '0.000000 ETH');
+  const fees = ledger.entries.filter(e => e.type === 'fee');
+  assert.deepEqual(fees.map(e => BigInt(e.amount)).sort((x, y) => (x < y ? -1 : 1)), [ethers.parseEther('0.025'), ethers.parseEther('0.05')]);
+});
+
+test('only addresses on the platform access list can act', async () => {
+  const [captain] = h.members;
+  const ship = await createShip(h, captain);
+
+  const res = await h.send(h.outsider, 'POST', `/ships/${ship.id}/apply`, { projectName: 'Uninvited' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.policy, 'platform');
+
+  const check = await h.get(`/ships/${ship.id}/access?address=${h.outsider.address}`);
+  assert.equal(check.body.allowed, false);
+});
+
+test('nonces are only stored for requests that get through access', async () => {
+  const [captain] = h.members;
+  const ship = await createShip(h, captain);
+  const path = `/ships/${ship.id}/apply`;
+
+  // Refused requests leave nothing behind: replaying one is refused the same way
+  const refused = { projectName: 'Uninvited' };
+  refused.auth = await h.sign(h.outsider, 'POST', path, { projectName: 'Uninvited' });
+  assert.equal((await h.request('POST', path, refused)).status, 403);
+  assert.equal((await h.request('POST', path, refused)).status, 403);
+
+  const admitted = { projectName: 'Invited' };
+  admitted.auth = await h.sign(h.members[3], 'POST', path, { projectName: 'Invited' });
+  const [first, concurrent] = await Promise.all([h.request('POST', path, admitted), h.request('POST', path, admitted)]);
+  assert.deepEqual([first.status, concurrent.status].sort(), [201, 401]);
+  const replay = await h.request('POST', path, admitted);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'Nonce already used');
+});
+
+test('signed requests are bound to their signer and path', async () => {
+  const [captain, alice] = h.members;
+  const ship = await createShip(h, captain);
+
+  // Unsigned
+  let res = await h.request('POST', `/ships/${ship.id}/apply`, { projectName: 'No auth' });
+  assert.equal(res.status, 401);
+
+  // Someone else's ship can't be moved on by a non-captain
+  res = await h.send(alice, 'POST', `/ships/${ship.id}/transition`, { to: 'review' });
+  assert.equal(res.status, 403);
+});
+
+test('the dashboard and the config it reads are served', async () => {
+  let res = await h.get('/');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/html/);
+  assert.match(res.text, /<script type="module" src="\/app.js">/);
+
+  res = await h.get('/app.js');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /javascript/);
+
+  res = await h.get('/health');
+  assert.equal(res.body.chainId, 8453);
+  assert.equal(res.body.explorer, 'https://basescan.org');
+  assert.equal(res.body.fundingConfirmations, 3);
+  assert.equal(res.body.treasury, h.treasury.address);
+});
+
+test('ship lists page with cursors and refuse ones that do not fit the sort', async () => {
+  const [captain] = h.members;
+  for (let i = 0; i < 3; i++) await createShip(h, captain, { name: `Paged ${i}` });
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await h.get(`/ships?captain=${captain.address}&q=Paged&sort=budget&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(res.status, 200, res.text);
+    seen.push(...res.body.items.map(s => s.name));
+    cursor = res.body.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen.sort(), ['Paged 0', 'Paged 1', 'Paged 2']);
+
+  const forged = Buffer.from(JSON.stringify({ v: 'x', id: 'a' })).toString('base64url');
+  for (const bad of [forged, 'not-a-cursor']) {
+    const res = await h.get(`/ships?sort=budget&cursor=${bad}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid cursor');
+  }
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startApp } = require('./helpers/app');
+const { createShip, fund, apply, transition, allocate } = require('./helpers/rounds');
+
+let h;
+before(async () => { h = await startApp(); });
+after(() => h.close());
+
+test('a funding transaction is credited once', async () => {
+  const [captain, funder] = h.members;
+  const ship = await createShip(h, captain);
+  const other = await createShip(h, captain);
+  const { txHash } = await fund(h, ship, funder, '1');
+
+  let res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.shipId, ship.id);
+
+  // Same tx, different case, different ship
+  res = await h.send(funder, 'POST', `/ships/${other.id}/fund`, { txHash: txHash.toUpperCase().replace('0X', '0x') });
+  assert.equal(res.status, 409);
+
+  // Concurrent submissions of one hash credit it once
+  const fresh = h.chain.transfer({ from: funder.address, value: ethers.parseEther('1') });
+  h.chain.mine(3);
+  const results = await Promise.all([
+    h.send(funder, 'POST', `/ships/${other.id}/fund`, { txHash: fresh }),
+    h.send(funder, 'POST', `/ships/${other.id}/fund`, { txHash: fresh })
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+
+  assert.equal((await h.get(`/ships/${ship.id}`)).body.budget, ethers.parseEther('1').toString());
+  assert.equal((await h.get(`/ships/${other.id}`)).body.budget, ethers.parseEther('1').toString());
+});
+
+test('funding needs a successful, confirmed transfer to the treasury', async () => {
+  const [captain, funder] = h.members;
+  const ship = await createShip(h, captain);
+  const value = ethers.parseEther('1');
+
+  const elsewhere = h.chain.transfer({ from: funder.address, to: captain.address, value });
+  const reverted = h.chain.transfer({ from: funder.address, value, status: 0 });
+  h.chain.mine(3);
+
+  let res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash: elsewhere });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /treasury/);
+
+  res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash: reverted });
+  assert.equal(res.status, 400);
+
+  res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash: ethers.hexlify(ethers.randomBytes(32)) });
+  assert.equal(res.status, 400);
+
+  // Mined but not yet confirmed: ask again later, and it still counts once confirmed
+  const recent = h.chain.transfer({ from: funder.address, value });
+  res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash: recent });
+  assert.equal(res.status, 425);
+  assert.equal(res.body.required, 3);
+
+  h.chain.mine(2);
+  res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash: recent });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.ship.budget, value.toString());
+});
+
+test('allocations cannot exceed the funded budget', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const ship = await createShip(h, captain);
+  await fund(h, ship, funder, '1');
+  const a = await apply(h, ship, alice);
+  const b = await apply(h, ship, bob);
+  await transition(h, ship, captain, 'review');
+  await transition(h, ship, captain, 'allocation');
+
+  await allocate(h, a, captain, '0.6');
+  let res = await h.send(captain, 'POST', `/applications/${b.id}/allocate`, { amount: '0.5' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Insufficient budget');
+  assert.equal(res.body.remaining, '0.400000 ETH');
+
+  // Exactly the remainder is fine
+  res = await h.send(captain, 'POST', `/applications/${b.id}/allocate`, { amount: '0.4' });
+  assert.equal(res.status, 201, res.text);
+  assert.equal(res.body.shipBudgetRemaining, '0.000000 ETH');
+
+  const details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.equal(details.allocated, details.budget);
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+});
+
+test('funds are only accepted while the ship is live', async () => {
+  const [captain, funder] = h.members;
+  const ship = await createShip(h, captain);
+  await transition(h, ship, captain, 'cancelled');
+
+  const txHash = h.chain.transfer({ from: funder.address, value: ethers.parseEther('1') });
+  h.chain.mine(3);
+  const res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.phase, 'cancelled');
+});
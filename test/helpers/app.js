@@ -0,0 +1,124 @@
+/**
+ * Boots the exported app for a test file
+ *
+ * Configures the server through the environment before requiring it:
+ * in-memory storage, a throwaway treasury key, the stubbed chain from
+ * ./chain.js, a stubbed platform access list (the remote whitelist) and
+ * DNS answers for *.test hosts, which the outbound URL guard looks up.
+ * Node runs every test file in its own process, so each file gets a fresh
+ * app; tests inside a file share it and create their own ships.
+ */
+
+const dns = require('dns');
+const { ethers } = require('ethers');
+const { createChain } = require('./chain');
+const { canonicalJSON, AUTH_TYPES } = require('../../lib/auth');
+
+const ACCESS_LIST_URL = 'https://access.test/members';
+const MEMBERS = 12;
+const TEST_HOST_ADDRESS = '203.0.113.10'; // a public (documentation) address
+
+// Deterministic keys, so failures are reproducible
+const walletFor = label => new ethers.Wallet(ethers.id(`grant-ships-test:${label}`));
+
+async function startApp({ env = {} } = {}) {
+  const treasury = walletFor('treasury');
+  const members = Array.from({ length: MEMBERS }, (_, i) => walletFor(`member-${i}`));
+  const admin = walletFor('admin');
+
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    TREASURY_PRIVATE_KEY: treasury.privateKey,
+    TREASURY_ADDRESS: treasury.address,
+    ADMIN_ADDRESSES: admin.address,
+    ACCESS_POLICY: JSON.stringify({ type: 'remote', url: ACCESS_LIST_URL }),
+    BASENAME_RESOLVER: '',
+    FUNDING_CONFIRMATIONS: '3',
+    RATE_LIMITS: JSON.stringify({ ip: { limit: 100000 }, write: { limit: 100000 }, apply: { limit: 100000 }, fund: { limit: 100000 }, distribute: { limit: 100000 } }),
+    ...env
+  });
+
+  const chain = createChain({ treasury: treasury.address });
+  const restoreChain = chain.install();
+
+  // The platform whitelist: members and the admin, nobody else
+  const realFetch = global.fetch;
+  global.fetch = async (url, options) => {
+    if (String(url) === ACCESS_LIST_URL) return Response.json([...members, admin].map(w => w.address));
+    return realFetch(url, options);
+  };
+
+  const realLookup = dns.promises.lookup;
+  dns.promises.lookup = async (hostname, options) => (hostname.endsWith('.test')
+    ? [{ address: TEST_HOST_ADDRESS, family: 4 }]
+    : realLookup(hostname, options));
+
+  const app = require('../../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, headers = {}) {
+    const res = await realFetch(base + path, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // CSV exports and the dashboard aren't JSON
+    }
+    return { status: res.status, body: json, text, headers: res.headers };
+  }
+
+  const { domain } = (await request('GET', '/agent')).body.authentication;
+  let nonce = 0;
+
+  // The `auth` fields a client sends for a request signed by `wallet` (see lib/auth.js)
+  async function sign(wallet, method, path, payload = {}) {
+    const message = {
+      action: `${method} ${path.split('?')[0]}`,
+      payload: canonicalJSON(payload),
+      nonce: `test-${++nonce}`,
+      expiry: Math.floor(Date.now() / 1000) + 600
+    };
+    const signature = await wallet.signTypedData(domain, AUTH_TYPES, message);
+    return { signature, nonce: message.nonce, expiry: message.expiry };
+  }
+
+  // A signed request; GETs sign {} and send it in headers
+  async function send(wallet, method, path, payload = {}) {
+    const auth = await sign(wallet, method, path, payload);
+    if (method === 'GET') {
+      return request(method, path, undefined, { 'X-Auth-Signature': auth.signature, 'X-Auth-Nonce': auth.nonce, 'X-Auth-Expiry': String(auth.expiry) });
+    }
+    return request(method, path, { ...payload, auth });
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    global.fetch = realFetch;
+    dns.promises.lookup = realLookup;
+    restoreChain();
+  }
+
+  return {
+    app,
+    chain,
+    treasury,
+    admin,
+    members,
+    outsider: walletFor('outsider'),
+    get: path => request('GET', path),
+    request,
+    sign,
+    send,
+    close
+  };
+}
+
+module.exports = { startApp, walletFor };
@@ -0,0 +1,149 @@
+/**
+ * In-memory chain for tests
+ *
+ * Replaces the JsonRpcProvider methods the server uses, so funding checks
+ * and payouts run against transactions kept here instead of a Base node.
+ * Payouts the treasury broadcasts are decoded into `sent`; addresses in
+ * `failing` make their broadcasts throw, like an RPC rejecting the tx.
+ * ERC-20 tokens made with token() answer contract reads and track
+ * approvals; calls to the Disperse contract pay each recipient, and a
+ * failing recipient rejects the whole batch.
+ */
+
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('../../lib/assets');
+const { DEFAULT_DISPERSE_ADDRESS, DISPERSE_ABI } = require('../../lib/disperse');
+
+const CHAIN_ID = 8453n;
+const GAS_PRICE = 1000000000n; // 1 gwei
+const GAS_USED = 21000n;
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+const disperse = new ethers.Interface(DISPERSE_ABI);
+
+function createChain({ treasury, disperser = DEFAULT_DISPERSE_ADDRESS }) {
+  const transactions = new Map();
+  const receipts = new Map();
+  const tokens = new Map();
+  const sent = [];
+  const failing = new Set();
+  let block = 1000;
+  let treasuryNonce = 0;
+
+  const randomHash = () => ethers.hexlify(ethers.randomBytes(32));
+
+  function record(tx, { status = 1, logs = [] } = {}) {
+    transactions.set(tx.hash, { ...tx, blockNumber: block });
+    const receipt = { hash: tx.hash, status, blockNumber: block, gasUsed: GAS_USED, gasPrice: GAS_PRICE, logs };
+    receipts.set(tx.hash, receipt);
+    return receipt;
+  }
+
+  // A native transfer mined in the current block; mine() to confirm it
+  function transfer({ from, to = treasury, value, status = 1 }) {
+    const hash = randomHash();
+    record({ hash, from: ethers.getAddress(from), to: ethers.getAddress(to), value, data: '0x' }, { status });
+    return hash;
+  }
+
+  // An ERC-20 contract; `decimals` and `symbol` are what it reports
+  function token({ symbol = 'USDC', decimals = 6 } = {}) {
+    const address = ethers.hexlify(ethers.randomBytes(20)).toLowerCase();
+    tokens.set(address, { symbol, decimals, allowances: new Map() });
+    return address;
+  }
+
+  // A token transfer to the treasury, with the Transfer log funding reads
+  function tokenTransfer({ token: address, from, to = treasury, value }) {
+    const hash = randomHash();
+    const log = { address: ethers.getAddress(address), ...erc20.encodeEventLog('Transfer', [from, to, value]) };
+    const data = erc20.encodeFunctionData('transfer', [to, value]);
+    record({ hash, from: ethers.getAddress(from), to: log.address, value: 0n, data }, { logs: [log] });
+    return hash;
+  }
+
+  function mine(blocks = 1) {
+    block += blocks;
+    return block;
+  }
+
+  async function call(tx) {
+    const contract = tokens.get(String(tx.to).toLowerCase());
+    if (!contract) throw new Error(`No contract at ${tx.to}`);
+    const { name, args } = erc20.parseTransaction({ data: tx.data });
+    const results = {
+      symbol: () => [contract.symbol],
+      decimals: () => [contract.decimals],
+      balanceOf: () => [0n],
+      allowance: () => [contract.allowances.get(args[1].toLowerCase()) || 0n]
+    };
+    return erc20.encodeFunctionResult(name, results[name]());
+  }
+
+  // What a treasury transaction pays: native value, a token transfer or a
+  // Disperse batch; `approve` is the allowance an approval sets instead
+  function decode(tx) {
+    if (tx.to.toLowerCase() === disperser.toLowerCase()) {
+      const { name, args } = disperse.parseTransaction({ data: tx.data, value: tx.value });
+      const [token, recipients, values] = name === 'disperseToken' ? args : [null, ...args];
+      return { paid: recipients.map((to, i) => ({ to, value: values[i], token: token && token.toLowerCase() })), pulled: token };
+    }
+
+    if (!tokens.has(tx.to.toLowerCase())) return { paid: [{ to: tx.to, value: tx.value, token: null }] };
+    const { name, args } = erc20.parseTransaction({ data: tx.data });
+    if (name === 'approve') return { paid: [], approve: { token: tx.to, spender: args[0], amount: args[1] } };
+    return { paid: [{ to: args[0], value: args[1], token: tx.to.toLowerCase() }] };
+  }
+
+  // Disperse pulls token batches from the treasury through its allowance
+  function spendAllowance(token, amount) {
+    const { allowances } = tokens.get(token.toLowerCase());
+    const allowance = allowances.get(disperser.toLowerCase()) || 0n;
+    if (allowance < amount) throw new Error('transfer amount exceeds allowance');
+    allowances.set(disperser.toLowerCase(), allowance - amount);
+  }
+
+  async function broadcast(raw) {
+    const tx = ethers.Transaction.from(raw);
+    const { paid, pulled, approve } = decode(tx);
+    if (paid.some(p => failing.has(p.to.toLowerCase()))) throw new Error(`broadcast rejected for ${tx.to}`);
+    if (pulled) spendAllowance(pulled, paid.reduce((sum, p) => sum + p.value, 0n));
+    if (approve) tokens.get(approve.token.toLowerCase()).allowances.set(approve.spender.toLowerCase(), approve.amount);
+
+    treasuryNonce = Math.max(treasuryNonce, tx.nonce + 1);
+    block += 1;
+    const receipt = record({ hash: tx.hash, from: tx.from, to: tx.to, value: tx.value, data: tx.data });
+    for (const p of paid) {
+      sent.push({ hash: tx.hash, to: p.to.toLowerCase(), value: p.value, token: p.token, nonce: tx.nonce });
+    }
+    // wallet.sendTransaction() hands this back as the transaction response
+    return { hash: tx.hash, wait: async () => receipt };
+  }
+
+  const methods = {
+    getNetwork: async () => new ethers.Network('base', CHAIN_ID),
+    getBlockNumber: async () => block,
+    getBlock: async number => ({ number, timestamp: Math.floor(Date.now() / 1000) }),
+    getTransaction: async hash => transactions.get(hash) || null,
+    getTransactionReceipt: async hash => receipts.get(hash) || null,
+    waitForTransaction: async hash => receipts.get(hash) || null,
+    getTransactionCount: async () => treasuryNonce,
+    getBalance: async () => 0n,
+    getFeeData: async () => new ethers.FeeData(GAS_PRICE, GAS_PRICE, GAS_PRICE),
+    estimateGas: async () => GAS_USED,
+    call,
+    broadcastTransaction: broadcast
+  };
+
+  // Patch every JsonRpcProvider; returns a function that puts them back
+  function install() {
+    const proto = ethers.JsonRpcProvider.prototype;
+    const originals = Object.fromEntries(Object.keys(methods).map(name => [name, proto[name]]));
+    Object.assign(proto, methods);
+    return () => Object.assign(proto, originals);
+  }
+
+  return { transfer, token, tokenTransfer, mine, install, sent, failing, gasCost: GAS_USED * GAS_PRICE };
+}
+
+module.exports = { createChain };
@@ -0,0 +1,58 @@
+/**
+ * Steps of a grant round, for tests that need a ship in a given state
+ *
+ * Each step asserts its own response so a broken setup fails where it
+ * breaks rather than in the test that relies on it.
+ */
+
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+async function createShip(h, captain, body = {}) {
+  const res = await h.send(captain, 'POST', '/ships', { name: 'Test Round', criteria: ['open source'], ...body });
+  assert.equal(res.status, 201, res.text);
+  return res.body;
+}
+
+// Send ETH to the treasury, wait out the confirmations and credit the ship
+async function fund(h, ship, funder, eth) {
+  const txHash = h.chain.transfer({ from: funder.address, value: ethers.parseEther(eth) });
+  h.chain.mine(3);
+  const res = await h.send(funder, 'POST', `/ships/${ship.id}/fund`, { txHash });
+  assert.equal(res.status, 200, res.text);
+  return { txHash, ...res.body };
+}
+
+async function apply(h, ship, applicant, body = {}) {
+  const res = await h.send(applicant, 'POST', `/ships/${ship.id}/apply`, { projectName: `Project ${applicant.address.slice(2, 8)}`, requestAmount: '0.1', ...body });
+  assert.equal(res.status, 201, res.text);
+  return res.body;
+}
+
+async function transition(h, ship, captain, to) {
+  const res = await h.send(captain, 'POST', `/ships/${ship.id}/transition`, { to });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+async function allocate(h, application, captain, amount) {
+  const res = await h.send(captain, 'POST', `/applications/${application.id}/allocate`, { amount });
+  assert.equal(res.status, 201, res.text);
+  return res.body.allocation;
+}
+
+// A funded manual ship in allocation with one allocation per entry of `grants`
+async function allocatedRound(h, { captain, funder, budget, grants, ship: options = {} }) {
+  const ship = await createShip(h, captain, options);
+  await fund(h, ship, funder, budget);
+  const applications = [];
+  for (const { applicant } of grants) applications.push(await apply(h, ship, applicant));
+
+  await transition(h, ship, captain, 'review');
+  await transition(h, ship, captain, 'allocation');
+  const allocations = [];
+  for (const [i, { amount }] of grants.entries()) allocations.push(await allocate(h, applications[i], captain, amount));
+  return { ship, applications, allocations };
+}
+
+module.exports = { createShip, fund, apply, transition, allocate, allocatedRound };
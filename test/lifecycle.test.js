@@ -0,0 +1,175 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { createShip, fund, apply, transition, allocate, allocatedRound } = require('./helpers/rounds');
+
+const CRON_SECRET = 'test-cron-secret';
+
+let h;
+before(async () => { h = await startApp({ env: { CRON_SECRET } }); });
+after(() => h.close());
+
+test('ships move through their phases in order', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const ship = await createShip(h, captain);
+  await fund(h, ship, funder, '1');
+  const application = await apply(h, ship, alice);
+
+  let res = await h.send(captain, 'POST', `/ships/${ship.id}/transition`, { to: 'allocation' });
+  assert.equal(res.status, 409);
+  res = await h.send(alice, 'POST', `/ships/${ship.id}/transition`, { to: 'review' });
+  assert.equal(res.status, 403);
+  res = await h.send(captain, 'POST', `/applications/${application.id}/allocate`, { amount: '0.5' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.phase, 'open');
+
+  await transition(h, ship, captain, 'review');
+  res = await h.send(bob, 'POST', `/ships/${ship.id}/apply`, { projectName: 'Too late' });
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.allowedPhases, ['open']);
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 409);
+
+  await transition(h, ship, captain, 'allocation');
+  await allocate(h, application, captain, '0.5');
+
+  // Distributing starts with the first payout, not by hand
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/transition`, { to: 'distributing' });
+  assert.equal(res.status, 409);
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/distribute`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.ship.status, 'completed');
+
+  const details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.deepEqual(details.phaseHistory.map(p => `${p.from}->${p.to}`), [
+    'open->review',
+    'review->allocation',
+    'allocation->distributing',
+    'distributing->completed'
+  ]);
+  assert.deepEqual(details.allowedTransitions, []);
+
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/transition`, { to: 'open' });
+  assert.equal(res.status, 409);
+});
+
+test('a ship with a future start date waits in draft', async () => {
+  const [captain, , alice] = h.members;
+  const ship = await createShip(h, captain, { startDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() });
+  assert.equal(ship.status, 'draft');
+
+  let res = await h.send(alice, 'POST', `/ships/${ship.id}/apply`, { projectName: 'Early' });
+  assert.equal(res.status, 409);
+
+  await transition(h, ship, captain, 'open');
+  await apply(h, ship, alice);
+});
+
+test('reads show a due phase move and the cron records it', async () => {
+  const [captain] = h.members;
+  const ship = await createShip(h, captain, { startDate: new Date(Date.now() + 500).toISOString() });
+  assert.equal(ship.status, 'draft');
+  await new Promise(resolve => setTimeout(resolve, 600));
+
+  let res = await h.get(`/ships/${ship.id}`);
+  assert.equal(res.body.status, 'open');
+  assert.equal((await h.get(`/ships?status=open&captain=${captain.address}`)).body.items.some(s => s.id === ship.id), true);
+
+  res = await h.get('/cron/phases');
+  assert.equal(res.status, 401);
+  const cron = () => h.request('GET', '/cron/phases', undefined, { Authorization: `Bearer ${CRON_SECRET}` });
+  // The reads saved nothing, so the cron has the move to make
+  res = await cron();
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body, { advanced: 1 });
+  assert.deepEqual((await cron()).body, { advanced: 0 });
+
+  const details = (await h.get(`/ships/${ship.id}`)).body;
+  assert.deepEqual(details.phaseHistory.map(p => `${p.from}->${p.to} by ${p.by}`), ['draft->open by scheduler']);
+});
+
+test('a cancelled ship takes no more applications or allocations', async () => {
+  const [captain, funder, alice, bob] = h.members;
+  const ship = await createShip(h, captain);
+  await fund(h, ship, funder, '1');
+  const application = await apply(h, ship, alice);
+  await transition(h, ship, captain, 'cancelled');
+
+  let res = await h.send(bob, 'POST', `/ships/${ship.id}/apply`, { projectName: 'After' });
+  assert.equal(res.status, 409);
+  res = await h.send(captain, 'POST', `/applications/${application.id}/allocate`, { amount: '0.1' });
+  assert.equal(res.status, 409);
+  res = await h.send(captain, 'POST', `/ships/${ship.id}/transition`, { to: 'open' });
+  assert.equal(res.status, 409);
+
+  // Funders get the budget back
+  res = await h.send(funder, 'POST', `/ships/${ship.id}/close`, { mode: 'refund' });
+  assert.equal(res.status, 200, res.text);
+  const refunds = h.chain.sent.filter(tx => tx.to === funder.address.toLowerCase());
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].value, 1000000000000000000n);
+});
+
+test('a failed refund can be retried by the funder who closed the ship', async () => {
+  const [captain, , alice, , , erin, frank, grace] = h.members;
+  const ship = await createShip(h, captain);
+  await fund(h, ship, erin, '0.3');
+  await fund(h, ship, frank, '0.1');
+  await transition(h, ship, captain, 'cancelled');
+
+  h.chain.failing.add(frank.address.toLowerCase());
+  let res = await h.send(erin, 'POST', `/ships/${ship.id}/close`, { mode: 'refund' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, false);
+  h.chain.failing.clear();
+
+  // Nobody else's business
+  res = await h.send(alice, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 403);
+  res = await h.send(grace, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 403);
+
+  res = await h.send(erin, 'POST', `/ships/${ship.id}/distribute/retry`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.success, true);
+  const refunds = wallet => h.chain.sent.filter(tx => tx.to === wallet.address.toLowerCase()).map(tx => tx.value);
+  assert.deepEqual(refunds(erin), [300000000000000000n]);
+  assert.deepEqual(refunds(frank), [100000000000000000n]);
+  assert.equal((await h.get(`/ships/${ship.id}/ledger`)).body.consistent, true);
+});
+
+test('applications follow their own status rules', async () => {
+  const [captain, funder, alice, bob, carol] = h.members;
+  const { ship, applications } = await allocatedRound(h, {
+    captain,
+    funder,
+    budget: '1',
+    grants: [{ applicant: alice, amount: '0.1' }]
+  });
+  const [funded] = applications;
+
+  // Withdrawn and rejected applications can't be edited
+  const other = await createShip(h, captain);
+  const withdrawn = await apply(h, other, bob);
+  let res = await h.send(bob, 'POST', `/applications/${withdrawn.id}/withdraw`, {});
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.status, 'withdrawn');
+  res = await h.send(bob, 'PATCH', `/applications/${withdrawn.id}`, { projectName: 'Back' });
+  assert.equal(res.status, 400);
+
+  const rejected = await apply(h, other, carol);
+  await transition(h, other, captain, 'review');
+  res = await h.send(captain, 'POST', `/applications/${rejected.id}/allocate`, { approved: false, reason: 'Out of scope' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.application.status, 'rejected');
+  assert.equal(res.body.application.rejectionReason, 'Out of scope');
+  res = await h.send(carol, 'PATCH', `/applications/${rejected.id}`, { projectName: 'Retry' });
+  assert.equal(res.status, 400);
+
+  // An allocated application can't be withdrawn from under the captain
+  res = await h.send(alice, 'POST', `/applications/${funded.id}/withdraw`, {});
+  assert.equal(res.status, 400);
+  assert.equal((await h.get(`/applications/${funded.id}`)).body.status, 'approved');
+  assert.equal((await h.get(`/ships/${ship.id}`)).body.status, 'allocation');
+});
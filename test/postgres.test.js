@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pg = require('pg');
+const { newDb } = require('pg-mem');
+const { startApp } = require('./helpers/app');
+const { createShip, fund } = require('./helpers/rounds');
+
+// The server's postgres driver connects through pg.Pool: point it at an in-memory database
+const db = newDb({ noAstCoverageCheck: true });
+pg.Pool = db.adapters.createPg().Pool;
+const pool = new pg.Pool();
+
+let h;
+before(async () => {
+  h = await startApp({ env: { STORAGE_DRIVER: '', DATABASE_URL: 'postgres://grant-ships.test/db' } });
+});
+after(() => h.close());
+
+const stored = async (collection, id) =>
+  (await pool.query('SELECT record FROM grant_ships WHERE collection = $1 AND id = $2', [collection, id])).rows[0]?.record;
+
+test('with DATABASE_URL set, ships and funding are in Postgres before the response arrives', async () => {
+  const [captain, funder] = h.members;
+  assert.equal((await h.get('/health')).body.storage.driver, 'postgres');
+
+  const ship = await createShip(h, captain);
+  const { txHash } = await fund(h, ship, funder, '1');
+  assert.equal((await stored('ships', ship.id)).budget, '1000000000000000000');
+  assert.equal((await stored('fundings', txHash)).shipId, ship.id);
+
+  // Another instance's write shows up on the next request
+  const record = await stored('ships', ship.id);
+  await pool.query(
+    "UPDATE grant_ships SET record = $1, seq = nextval('grant_ships_seq') WHERE collection = 'ships' AND id = $2",
+    [JSON.stringify({ ...record, name: 'Renamed elsewhere' }), ship.id]
+  );
+  assert.equal((await h.get(`/ships/${ship.id}`)).body.name, 'Renamed elsewhere');
+});
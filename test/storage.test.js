@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newDb } = require('pg-mem');
+const { createStorage, MIGRATIONS } = require('../lib/storage');
+
+let dir;
+let file;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grant-ships-storage-'));
+  file = path.join(dir, 'store.json');
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const open = (options = {}) => createStorage({ driver: 'json', file, ...options });
+const journalLines = () => fs.readFileSync(`${file}.journal`, 'utf8').split('\n').filter(Boolean);
+
+test('json storage appends each change to a journal instead of rewriting the snapshot', () => {
+  let storage = open();
+  const snapshot = fs.readFileSync(file, 'utf8');
+  const ships = storage.collection('ships');
+  ships.set('a', { id: 'a', name: 'First' });
+  ships.set('b', { id: 'b', name: 'Second' });
+  ships.delete('a');
+
+  assert.equal(fs.readFileSync(file, 'utf8'), snapshot);
+  assert.equal(journalLines().length, 3);
+
+  // A restart replays the journal, then folds it into the snapshot
+  storage = open();
+  assert.deepEqual(Array.from(storage.collection('ships').values()), [{ id: 'b', name: 'Second' }]);
+  assert.equal(storage.schemaVersion, MIGRATIONS[MIGRATIONS.length - 1].version);
+  assert.deepEqual(journalLines(), []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).collections.ships, { b: { id: 'b', name: 'Second' } });
+});
+
+test('json storage compacts a long journal and survives a torn last line', () => {
+  const storage = open({ compactAfter: 3 });
+  const ships = storage.collection('ships');
+  for (const id of ['a', 'b', 'c']) ships.set(id, { id });
+  assert.deepEqual(journalLines(), []);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).collections.ships.c.id, 'c');
+
+  ships.set('d', { id: 'd' });
+  fs.appendFileSync(`${file}.journal`, '{"collection":"ships","id":"e","rec');
+
+  const reopened = open();
+  assert.deepEqual(Array.from(reopened.collection('ships').values()).map(s => s.id), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(journalLines(), []);
+});
+
+// Two instances of a serverless deployment sharing one database
+function postgres() {
+  const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+  const pool = new Pool();
+  return { pool, open: (p = pool) => createStorage({ driver: 'postgres', pool: p }) };
+}
+
+test('postgres storage keeps records and the schema across cold starts', async () => {
+  const db = postgres();
+  const first = db.open();
+  await first.ready();
+  const ships = first.collection('ships');
+  ships.set('a', { id: 'a', budget: '100' });
+  ships.set('b', { id: 'b', budget: '5' });
+  ships.delete('b');
+  first.collection('payouts').set('p', { id: 'p', txHash: '0xabc' });
+  await first.settle();
+
+  const second = db.open();
+  const preloaded = second.collection('ships'); // server.js takes its collections before loading finishes
+  await second.ready();
+  assert.equal(second.schemaVersion, MIGRATIONS[MIGRATIONS.length - 1].version);
+  assert.deepEqual(Array.from(preloaded.values()), [{ id: 'a', budget: '100' }]);
+  assert.equal(second.collection('payouts').get('p').txHash, '0xabc');
+});
+
+test('postgres storage picks up other instances\' writes and retries failed ones', async () => {
+  const db = postgres();
+  const a = db.open();
+  const b = db.open();
+  await a.ready();
+  await b.ready();
+
+  a.collection('ships').set('x', { id: 'x', status: 'open' });
+  a.collection('ships').set('y', { id: 'y', status: 'open' });
+  await a.settle();
+  await b.sync();
+  assert.equal(b.collection('ships').get('x').status, 'open');
+
+  // b's own unsaved change wins over what a wrote meanwhile
+  b.collection('ships').set('y', { id: 'y', status: 'review' });
+  a.collection('ships').delete('x');
+  a.collection('ships').set('y', { id: 'y', status: 'cancelled' });
+  await a.settle();
+  await b.sync();
+  assert.equal(b.collection('ships').has('x'), false);
+  assert.equal(b.collection('ships').get('y').status, 'review');
+
+  // A write that fails stays queued until the database answers again
+  const connect = db.pool.connect.bind(db.pool);
+  db.pool.connect = async () => { throw new Error('connection refused'); };
+  b.collection('ships').set('z', { id: 'z', status: 'open' });
+  await assert.rejects(b.settle(), /connection refused/);
+  db.pool.connect = connect;
+  await b.settle();
+  await a.sync();
+  assert.equal(a.collection('ships').get('z').status, 'open');
+  assert.equal(a.collection('ships').get('y').status, 'review');
+});
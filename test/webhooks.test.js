@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { WebhookError, createWebhookDispatcher } = require('../lib/webhooks');
+
+let h;
+before(async () => { h = await startApp(); });
+after(() => h.close());
+
+async function register(wallet, url) {
+  const res = await h.send(wallet, 'POST', '/webhooks', { url, events: ['payout.failed'] });
+  assert.equal(res.status, 201, res.text);
+  return res.body;
+}
+
+test('webhooks and their deliveries are only shown to their owner and admins', async () => {
+  const [alice, bob] = h.members;
+  const mine = await register(alice, 'https://hooks.test/alice');
+  await register(bob, 'https://hooks.test/bob');
+
+  let res = await h.get('/webhooks');
+  assert.equal(res.status, 401);
+  res = await h.get(`/webhooks/${mine.id}/deliveries`);
+  assert.equal(res.status, 401);
+
+  // Owners see only their own, whatever they ask for
+  res = await h.send(alice, 'GET', `/webhooks?owner=${bob.address}`);
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body.map(w => w.url), ['https://hooks.test/alice']);
+  assert.equal(res.body[0].secret, undefined);
+
+  res = await h.send(bob, 'GET', `/webhooks/${mine.id}/deliveries`);
+  assert.equal(res.status, 403);
+  res = await h.send(alice, 'GET', `/webhooks/${mine.id}/deliveries`);
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body.deliveries, []);
+
+  res = await h.send(h.admin, 'GET', '/webhooks');
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.length, 2);
+  res = await h.send(h.admin, 'GET', `/webhooks?owner=${bob.address}`);
+  assert.deepEqual(res.body.map(w => w.url), ['https://hooks.test/bob']);
+});
+
+test('webhooks must point at public addresses', async () => {
+  const [alice] = h.members;
+  for (const url of ['http://localhost:8080/hook', 'https://127.0.0.1/hook', 'https://169.254.169.254/latest', 'https://[::ffff:10.0.0.1]/hook', 'http://hooks.test/plain']) {
+    const res = await h.send(alice, 'POST', '/webhooks', { url, events: ['payout.failed'] });
+    assert.equal(res.status, 400, url);
+  }
+});
+
+test('a host that moves to a private address is refused at delivery time', async () => {
+  let address = '203.0.113.10';
+  const requests = [];
+  const webhooks = new Map();
+  const deliveries = new Map();
+  const dispatcher = createWebhookDispatcher({
+    webhooks,
+    deliveries,
+    maxAttempts: 1,
+    lookup: async () => [{ address, family: 4 }],
+    fetchImpl: async url => {
+      requests.push(url);
+      return new Response(null, { status: 204 });
+    }
+  });
+
+  await dispatcher.register({ url: 'https://hooks.test/x', owner: 'a' });
+  address = '10.0.0.5';
+  await assert.rejects(dispatcher.register({ url: 'https://hooks.test/y', owner: 'a' }), WebhookError);
+  assert.equal(webhooks.size, 1);
+
+  // Registered while public, private by the time the event fires
+  dispatcher.dispatch({ id: 'e1', type: 'payout.failed', shipId: null, data: {}, createdAt: Date.now() });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const [delivery] = deliveries.values();
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.lastError, /public address/);
+  assert.deepEqual(requests, []);
+});